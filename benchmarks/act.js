@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// Compares a run sharing one DocumentModel per document with checks indexing the USJ themselves.
+// Run with `npm run bench` (builds dist/ first).
+const fs = require('fs');
+const path = require('path');
+const { checks, getAvailableChecks, DocumentModel } = require('../dist/index.js');
+const utils = require('../dist/utils.js');
+
+const ROUNDS = Number(process.env.ROUNDS) || 10;
+const text = fs.readFileSync(path.resolve(__dirname, '../tests/mock_data/ACT.json'), 'utf8');
+const source = JSON.parse(text);
+const target = JSON.parse(text);
+const recipe = getAvailableChecks().map((check) => ({ ...check, enabled: true }));
+
+// The detectors of the seven original checks, timed on their own
+const DETECTORS = [
+    'detectShortLongVerses', 'checkChapterVerseIntegrity', 'detectMissingVerses', 'detectRepeatedWordsAndWhitespace',
+    'detectUnmatchedPunctuation', 'detectNumberMismatches', 'detectFootnoteQuotes',
+];
+
+// Each detector given the raw USJ, as before the document model: each one walks the trees again
+function separateIndexing() {
+    utils.detectShortLongVerses(source, target, 20);
+    utils.checkChapterVerseIntegrity(source, target);
+    utils.detectMissingVerses(source, target);
+    utils.detectRepeatedWordsAndWhitespace(target);
+    utils.detectUnmatchedPunctuation(target);
+    utils.detectNumberMismatches(source, target);
+    utils.detectFootnoteQuotes(target);
+}
+
+// The same detectors sharing one model per document
+function sharedModel() {
+    const sourceModel = new DocumentModel(source);
+    const targetModel = new DocumentModel(target);
+    utils.detectShortLongVerses(sourceModel, targetModel, 20);
+    utils.checkChapterVerseIntegrity(sourceModel, targetModel);
+    utils.detectMissingVerses(sourceModel, targetModel);
+    utils.detectRepeatedWordsAndWhitespace(targetModel);
+    utils.detectUnmatchedPunctuation(targetModel);
+    utils.detectNumberMismatches(sourceModel, targetModel);
+    utils.detectFootnoteQuotes(targetModel);
+}
+
+function median(run) {
+    run(); // warm-up
+    const times = [];
+    for (let i = 0; i < ROUNDS; i++) {
+        const start = process.hrtime.bigint();
+        run();
+        times.push(Number(process.hrtime.bigint() - start) / 1e6);
+    }
+    times.sort((a, b) => a - b);
+    return times[Math.floor(times.length / 2)];
+}
+
+const separate = median(separateIndexing);
+const shared = median(sharedModel);
+const full = median(() => checks(source, target, recipe));
+
+console.log(`ACT, median of ${ROUNDS} rounds`);
+console.log(`  ${DETECTORS.length} detectors: ${DETECTORS.join(', ')}`);
+console.log(`    each indexing the USJ:      ${separate.toFixed(1)} ms`);
+console.log(`    shared document model:      ${shared.toFixed(1)} ms (${(separate / shared).toFixed(1)}x faster)`);
+console.log(`  checks() end to end, all ${recipe.length} checks: ${full.toFixed(1)} ms`);
@@ -1,11 +1,18 @@
 // USJ State Machine Handler for Verses, Chapters, and Counting
+import { parseDocument } from './formats.js';
+import { expandVerseNumber, parseVerseNumber, verseCovers } from './references.js';
 
 /**
  * State machine for extracting chapters, verses, and counts from a USJ file.
  */
 export class USJHandler {
-    constructor(usj) {
-        this.usj = usj;
+    /**
+     * @param {object|string} usj - USJ object, or USJ/USX/USFM text to parse.
+     * @param {object} [options] - Handler options.
+     * @param {string} [options.format] - Format of a text input ("usj", "usx", "usfm" or "auto").
+     */
+    constructor(usj, options = {}) {
+        this.usj = parseDocument(usj, options.format);
     }
 
     /**
@@ -24,20 +31,29 @@ export class USJHandler {
 
     /**
      * Count the total number of verses in the USJ file.
+     * A bridge ("3-4") counts as every verse it covers, and segments ("5a", "5b") count once.
      * @returns {number} Total verses.
      */
     nbverses() {
-        let verseCount = 0;
+        const verses = new Set();
+        let currentChapter = null;
         this.traverse(this.usj.content, (item) => {
-            if (item.marker === 'v' && item.number) {
-                verseCount++;
+            if (item.marker === 'c' && item.number) {
+                currentChapter = item.number;
+            } else if (item.marker === 'v' && item.number) {
+                const covered = expandVerseNumber(item.number);
+                for (const verse of covered.length > 0 ? covered : [item.number]) {
+                    verses.add(`${currentChapter}:${verse}`);
+                }
             }
         });
-        return verseCount;
+        return verses.size;
     }
 
     /**
      * Extract the content of a specific verse.
+     * A bridge ("3-4") containing the verse is returned whole, and a verse split into
+     * segments ("5a", "5b") is returned with all its segments unless one is requested.
      * @param {string} reference - Verse reference in the format "<chapter>:<verse>".
      * @returns {string} The extracted verse content.
      */
@@ -51,7 +67,7 @@ export class USJHandler {
             if (item.marker === 'c' && item.number) {
                 currentChapter = item.number;
             } else if (item.marker === 'v' && item.number && currentChapter === targetChapter) {
-                collecting = item.number === targetVerse;
+                collecting = verseCovers(item.number, targetVerse);
             } else if (collecting && typeof item === 'string') {
                 verseContent += item;
             }
@@ -77,8 +93,8 @@ export class USJHandler {
             if (item.marker === 'c' && item.number) {
                 currentChapter = item.number;
             } else if (item.marker === 'v' && item.number && currentChapter >= startChapter && currentChapter <= endChapter) {
-                const verseNumber = parseInt(item.number, 10);
-                const inRange = verseNumber >= startVerse && verseNumber <= endVerse;
+                const verse = parseVerseNumber(item.number);
+                const inRange = verse !== null && verse.end >= startVerse && verse.start <= endVerse;
 
                 collecting = inRange;
             }
@@ -115,15 +131,18 @@ export class USJHandler {
     /**
      * Traverse the content array and execute a callback on each item.
      * @param {array} content - USJ content array.
-     * @param {function} callback - Callback to execute on each item.
+     * @param {function} callback - Callback to execute on each item, called with the item and
+     *   its JSON pointer (e.g. "/content/3/content/1").
+     * @param {string} [path] - JSON pointer of the content array.
      */
-    traverse(content, callback) {
-        for (const item of content) {
-            callback(item);
+    traverse(content, callback, path = '/content') {
+        content.forEach((item, index) => {
+            const itemPath = `${path}/${index}`;
+            callback(item, itemPath);
             if (item.content) {
-                this.traverse(item.content, callback);
+                this.traverse(item.content, callback, `${itemPath}/content`);
             }
-        }
+        });
     }
 
     /**
@@ -131,74 +150,162 @@ export class USJHandler {
      * @returns {object} Map of verse IDs to their cleaned text content.
      */
     extractVerses() {
+        const verses = {};
+        for (const [key, { text }] of Object.entries(this.extractVerseMap())) {
+            verses[key] = text;
+        }
+        return verses;
+    }
+
+    /**
+     * Extracts all verses like `extractVerses()`, keeping track of the nodes their text comes from.
+     * Paths are JSON pointers into the USJ object.
+     * @returns {object} Map of verse IDs to `{ text, path, segments }`, where `path` points at the
+     *   verse marker and each segment `{ path, offset }` places a string node at `offset` in `text`
+     *   (negative when leading whitespace of the node was trimmed).
+     */
+    extractVerseMap() {
         const verses = {};
         let currentChapter = null;
         let currentVerse = null;
         let currentContent = '';
+        let currentPath = null;
+        let segments = [];
+
+        function append(text, path) {
+            if (path) segments.push({ path, offset: currentContent.length });
+            currentContent += text;
+        }
 
-        function traverse(content, inFootNote = false) {
+        function store() {
+            if (currentChapter && currentVerse) {
+                const trimmed = currentContent.length - currentContent.trimStart().length;
+                verses[`${currentChapter}:${currentVerse}`] = {
+                    text: currentContent.trim(),
+                    path: currentPath,
+                    segments: segments.map((segment) => ({ path: segment.path, offset: segment.offset - trimmed })),
+                };
+            }
+        }
+
+        function traverse(content, path, inFootNote = false) {
             // That's the odd recursion part
             // But it's working that way
             if (inFootNote) {
                 inFootNote = false;
                 return;
             }
-            for (const item of content) {
+            content.forEach((item, index) => {
+                const itemPath = `${path}/${index}`;
                 if (item.marker === 'f' || item.marker === 'x') {
                     inFootNote = true;
                 } else if (item.marker === 'c' && item.number) {
-                    // New chapter: reset tracking
+                    // New chapter: store the last verse of the previous one and reset tracking
+                    store();
                     currentChapter = item.number;
                     currentVerse = null;
                     currentContent = '';
+                    segments = [];
                 } else if (item.marker === 'v' && item.number) {
                     // New verse: store previous verse and reset content
-                    if (currentChapter && currentVerse) {
-                        verses[`${currentChapter}:${currentVerse}`] = currentContent.trim();
-                    }
+                    store();
                     currentVerse = item.number;
                     currentContent = '';
+                    currentPath = itemPath;
+                    segments = [];
                 } else if (typeof item === 'string') {
                     // Append plain strings directly
-                    currentContent += item;
+                    append(item, itemPath);
                 } else if (item.type === 'char' && Array.isArray(item.content)) {
                     // Extract content from char markers
-                    currentContent += item.content.join('');
+                    item.content.forEach((child, childIndex) => {
+                        append(String(child), typeof child === 'string' ? `${itemPath}/content/${childIndex}` : null);
+                    });
                 } else if (item.content) {
                     // Recursively handle nested content
-                    traverse(item.content);
+                    traverse(item.content, `${itemPath}/content`);
                 }
-            }
+            });
         }
 
-        traverse(this.usj.content);
+        traverse(this.usj.content, '/content');
 
         // Save the last verse if it exists
-        if (currentChapter && currentVerse) {
-            verses[`${currentChapter}:${currentVerse}`] = currentContent.trim();
-        }
+        store();
 
         return verses;
     }
 
     /**
-     * Extracts all footnotes from the USJ content along with their references.
-     * @returns {Array} Array of footnotes with their respective content and references.
+     * Extracts the verse numbers of each chapter, with the JSON pointer of their verse marker.
+     * Bridged verses ("3-4") count as each verse they cover; segments ("5a", "5b") count once.
+     * @returns {object} Map of chapters to arrays of `{ verse, path }`.
+     */
+    extractChapterVerseNodes() {
+        const chapters = {};
+        let currentChapter = null;
+        let lastVerse = null;
+
+        this.traverse(this.usj.content, (item, path) => {
+            if (item.marker === 'c' && item.number) {
+                currentChapter = item.number;
+                lastVerse = null;
+                if (!chapters[currentChapter]) {
+                    chapters[currentChapter] = [];
+                }
+            } else if (item.marker === 'v' && item.number && currentChapter !== null) {
+                // Verses before the first chapter belong to none; structure::usj_schema reports them
+                const verse = parseVerseNumber(item.number);
+                const previous = lastVerse;
+                lastVerse = verse;
+                // Further segments of the same verse ("5b" after "5a") are not new verses
+                if (verse?.segment && previous?.segment && previous.start === verse.start) return;
+                chapters[currentChapter].push(...expandVerseNumber(item.number).map((number) => ({ verse: number, path })));
+            }
+        });
+
+        return chapters;
+    }
+
+    /**
+     * Returns the JSON pointer of each chapter marker.
+     * @returns {object} Map of chapter numbers to paths.
+     */
+    extractChapterPaths() {
+        const chapters = {};
+        this.traverse(this.usj.content, (item, path) => {
+            if (item.marker === 'c' && item.number && !(item.number in chapters)) {
+                chapters[item.number] = path;
+            }
+        });
+        return chapters;
+    }
+
+    /**
+     * Extracts all notes from the USJ content along with their references: footnotes (`f`),
+     * endnotes (`fe`) and cross-references (`x`).
+     * @returns {Array} Array of notes `{ marker, caller, content, reference, path }`, where `reference` is the
+     *   "<chapter>:<verse>" the note is attached to ("<chapter>:null" before the first verse of a chapter)
+     *   and `path` is the JSON pointer of the note.
      */
     extractFootnotes() {
         const footnotes = [];
         let currentChapter = null;
         let currentVerse = null;
 
-        this.traverse(this.usj.content, (item) => {
+        this.traverse(this.usj.content, (item, path) => {
             if (item.marker === 'c' && item.number) {
                 currentChapter = item.number;
+                currentVerse = null;
             } else if (item.marker === 'v' && item.number) {
                 currentVerse = item.number;
-            } else if (item.marker === 'f' && item.type === 'note') {
+            } else if (item.type === 'note' && ['f', 'fe', 'x'].includes(item.marker)) {
                 footnotes.push({
-                    content: item.content,
-                    reference: `${currentChapter}:${currentVerse}`
+                    marker: item.marker,
+                    caller: item.caller ?? null,
+                    content: item.content || [],
+                    reference: `${currentChapter}:${currentVerse}`,
+                    path,
                 });
             }
         });
@@ -206,6 +313,117 @@ export class USJHandler {
         return footnotes;
     }
 
+    /**
+     * Extracts the words of each verse: the `w` words when the verse has some, otherwise
+     * the letter and digit runs of its text. Notes are left out.
+     * @returns {object} Map of verse IDs to arrays of words `{ text, lemma, path }`, `lemma` being
+     *   the `lemma` attribute of `w` words (null for words split from the text).
+     */
+    extractVerseWords() {
+        const verses = {};
+        for (const [key, verse] of Object.entries(this.extractAlignments())) {
+            verses[key] = verse.words.map(({ text, lemma, path }) => ({ text, lemma, path }));
+        }
+        for (const [key, verse] of Object.entries(this.extractVerseMap())) {
+            if (verses[key]?.length > 0) continue;
+            verses[key] = [...verse.text.matchAll(/[\p{L}\p{M}\p{N}\u2060]+/gu)].map((match) => ({
+                text: match[0],
+                lemma: null,
+                path: verse.path,
+            }));
+        }
+        return verses;
+    }
+
+    /**
+     * Extracts the word alignment markup (`zaln-s`/`zaln-e` milestones and `w` words) of each verse.
+     * Milestones are matched as a stack; problems found while matching them are listed with the verse:
+     * `unmatched_end` (a `zaln-e` with no open alignment), `unclosed` (a `zaln-s` still open when the
+     * verse ends) and `crosses_paragraph` (a pair whose markers are not in the same paragraph).
+     * @returns {object} Map of verse IDs to `{ path, words, alignments, problems }`:
+     *   - `words`: `{ text, lemma, occurrence, occurrences, path, aligned }`, `aligned` telling whether
+     *     the word is inside an alignment;
+     *   - `alignments`: `{ content, lemma, occurrence, occurrences, path, words }` from the
+     *     `zaln-s` attributes, `words` counting the `w` words it spans;
+     *   - `problems`: `{ type, content, path, end_path? }`, `content` being the source word of the
+     *     alignment (null for `unmatched_end`).
+     */
+    extractAlignments() {
+        const verses = {};
+        let currentChapter = null;
+        let current = null;
+        let open = [];
+
+        const parentOf = (path) => path.slice(0, path.lastIndexOf('/'));
+        const occurrence = (value) => (value === undefined ? null : Number(value));
+
+        function closeVerse() {
+            if (current) {
+                for (const alignment of open) {
+                    current.problems.push({ type: 'unclosed', content: alignment.content, path: alignment.path });
+                }
+            }
+            open = [];
+        }
+
+        const walk = (content, path) => {
+            content.forEach((item, index) => {
+                const itemPath = `${path}/${index}`;
+                if (!item || typeof item !== 'object' || item.type === 'note') return;
+                if (item.marker === 'c' && item.number) {
+                    closeVerse();
+                    currentChapter = item.number;
+                    current = null;
+                } else if (item.marker === 'v' && item.number) {
+                    closeVerse();
+                    current = { path: itemPath, words: [], alignments: [], problems: [] };
+                    if (currentChapter) verses[`${currentChapter}:${item.number}`] = current;
+                } else if (!current) {
+                    // Title and introduction material is not aligned
+                } else if (item.marker === 'zaln-s') {
+                    const alignment = {
+                        content: item['x-content'] ?? '',
+                        lemma: item['x-lemma'] ?? null,
+                        occurrence: occurrence(item['x-occurrence']),
+                        occurrences: occurrence(item['x-occurrences']),
+                        path: itemPath,
+                        words: 0,
+                    };
+                    current.alignments.push(alignment);
+                    open.push(alignment);
+                } else if (item.marker === 'zaln-e') {
+                    const alignment = open.pop();
+                    if (!alignment) {
+                        current.problems.push({ type: 'unmatched_end', content: null, path: itemPath });
+                    } else if (parentOf(alignment.path) !== parentOf(itemPath)) {
+                        current.problems.push({
+                            type: 'crosses_paragraph',
+                            content: alignment.content,
+                            path: alignment.path,
+                            end_path: itemPath,
+                        });
+                    }
+                } else if (item.marker === 'w') {
+                    for (const alignment of open) alignment.words++;
+                    current.words.push({
+                        text: (item.content || []).filter((child) => typeof child === 'string').join(''),
+                        lemma: item.lemma ?? null,
+                        occurrence: occurrence(item['x-occurrence']),
+                        occurrences: occurrence(item['x-occurrences']),
+                        path: itemPath,
+                        aligned: open.length > 0,
+                    });
+                    return;
+                }
+                if (Array.isArray(item.content)) walk(item.content, `${itemPath}/content`);
+            });
+        };
+        walk(this.usj.content, '/content');
+        closeVerse();
+
+        return verses;
+    }
+
     /**
      * Extracts quoted text (fq or xq) from a footnote content array.
      * @param {Array} content - Content array of the footnote.
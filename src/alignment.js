@@ -0,0 +1,242 @@
+// Word alignment checks for aligned USJ (`zaln-s`/`zaln-e` milestones around `w` words)
+import { DocumentModel } from './document.js';
+import { nodeLocation } from './locations.js';
+import { pairVerses } from './utils.js';
+
+const normalizeWord = (word) => word.normalize('NFC');
+
+// A book without any alignment milestone is not an aligned text, so alignment checks skip it
+function isAligned(model) {
+    return Object.values(model.alignments).some((verse) => verse.alignments.length > 0);
+}
+
+// The source must be the text the target is aligned to: a source sharing none of the aligned source
+// words, such as another translation, would make every alignment look wrong
+function isAlignmentSource(sourceModel, targetModel) {
+    const words = new Set(Object.values(sourceModel.verseWords).flatMap((verse) => verse.map(({ text }) => normalizeWord(text))));
+    return Object.values(targetModel.alignments)
+        .some((verse) => verse.alignments.some(({ content }) => words.has(normalizeWord(content))));
+}
+
+const notAlignmentSource = () => ({
+    type: 'not_alignment_source',
+    location: nodeLocation(''),
+    comment: 'The source shares no word with the alignment of the target, so it is not the text the target is aligned to; source words are not checked.',
+});
+
+function countWords(words) {
+    const counts = new Map();
+    for (const word of words) {
+        const text = normalizeWord(word);
+        counts.set(text, (counts.get(text) || 0) + 1);
+    }
+    return counts;
+}
+
+/**
+ * Detects alignment milestones that are unbalanced or badly nested: `zaln-e` markers closing
+ * nothing, `zaln-s` markers left open at the end of their verse, pairs spanning two paragraphs,
+ * and alignments that contain no target word.
+ * @param {object} target - Parsed USJ JSON object or `DocumentModel` of the aligned target text.
+ * @returns {object} Report of alignment milestone problems.
+ */
+export function detectAlignmentMilestones(target) {
+    const targetModel = DocumentModel.from(target);
+    const issues = [];
+
+    const comments = {
+        unmatched_end: (key) => `Alignment end marker (zaln-e) without a matching start (${key}).`,
+        unclosed: (key, content) => `Alignment of "${content}" is not closed before the end of the verse (${key}).`,
+        crosses_paragraph: (key, content) => `Alignment of "${content}" starts and ends in different paragraphs (${key}).`,
+        empty: (key, content) => `Alignment of "${content}" contains no target word (${key}).`,
+    };
+
+    for (const [key, verse] of Object.entries(targetModel.alignments)) {
+        const problems = [...verse.problems];
+        const unclosed = new Set(verse.problems.filter(({ type }) => type === 'unclosed').map(({ path }) => path));
+        for (const alignment of verse.alignments) {
+            if (alignment.words === 0 && !unclosed.has(alignment.path)) {
+                problems.push({ type: 'empty', content: alignment.content, path: alignment.path });
+            }
+        }
+
+        for (const { type, content, path, end_path } of problems) {
+            const issue = { verse: key, type };
+            if (content !== null) issue.source_word = content;
+            issue.location = nodeLocation(path);
+            if (end_path) issue.location.end_path = end_path;
+            issue.comment = comments[type](key, content);
+            issues.push(issue);
+        }
+    }
+
+    return {
+        check: 'alignment::milestones',
+        issues,
+    };
+}
+
+/**
+ * Detects target `w` words that are not inside any alignment.
+ * Books without alignment markup are skipped.
+ * @param {object} target - Parsed USJ JSON object or `DocumentModel` of the aligned target text.
+ * @returns {object} Report of unaligned words, one issue per verse.
+ */
+export function detectUnalignedWords(target) {
+    const targetModel = DocumentModel.from(target);
+    const issues = [];
+    if (!isAligned(targetModel)) return { check: 'alignment::unaligned_words', issues };
+
+    for (const [key, verse] of Object.entries(targetModel.alignments)) {
+        const unaligned = verse.words.filter((word) => !word.aligned);
+        if (unaligned.length === 0) continue;
+
+        issues.push({
+            verse: key,
+            unaligned_words: unaligned.map(({ text }) => text),
+            location: nodeLocation(unaligned[0].path),
+            comment: `Target words not aligned to any source word (${key}): ${unaligned.map(({ text }) => text).join(', ')}`,
+        });
+    }
+
+    return {
+        check: 'alignment::unaligned_words',
+        issues,
+    };
+}
+
+/**
+ * Detects `x-occurrence`/`x-occurrences` values that do not match the texts: on `zaln-s` milestones
+ * they must number the aligned word among the words of the source verse, and on `w` words among
+ * the `w` words of the target verse.
+ * The source must be the text the target is aligned to; when it shares no word with the alignment,
+ * a single `not_alignment_source` issue replaces the source checks.
+ * @param {object} source - Parsed JSON object or `DocumentModel` of the source text.
+ * @param {object} target - Parsed JSON object or `DocumentModel` of the aligned target text.
+ * @param {object|null} mapping - Versification mapping `{ book, mapVerse }` from source to target.
+ * @returns {object} Report of occurrence mismatches, one issue per milestone or word.
+ */
+export function detectAlignmentOccurrences(source, target, mapping = null) {
+    const sourceModel = DocumentModel.from(source);
+    const targetModel = DocumentModel.from(target);
+    const issues = [];
+    const units = pairVerses(sourceModel.verses, targetModel.verses, mapping);
+    const checkSource = !isAligned(targetModel) || isAlignmentSource(sourceModel, targetModel);
+    if (!checkSource) issues.push(notAlignmentSource());
+
+    // Occurrence values are valid when 1 <= occurrence <= occurrences === count
+    const mismatch = (occurrence, occurrences, count) =>
+        occurrences !== count || !(occurrence >= 1 && occurrence <= count);
+
+    for (const { key, sourceKeys, targetKeys } of units) {
+        const verses = targetKeys.map((targetKey) => targetModel.alignments[targetKey]).filter(Boolean);
+
+        if (checkSource && sourceKeys.length > 0) {
+            const sourceCounts = countWords(sourceKeys.flatMap((sourceKey) =>
+                (sourceModel.verseWords[sourceKey] || []).map(({ text }) => text)));
+
+            for (const alignment of verses.flatMap((verse) => verse.alignments)) {
+                const count = sourceCounts.get(normalizeWord(alignment.content)) || 0;
+                if (count === 0) {
+                    issues.push({
+                        verse: key,
+                        type: 'source_word_not_found',
+                        source_word: alignment.content,
+                        location: nodeLocation(alignment.path),
+                        comment: `Aligned source word "${alignment.content}" does not occur in the source verse (${key}).`,
+                    });
+                } else if (mismatch(alignment.occurrence, alignment.occurrences, count)) {
+                    issues.push({
+                        verse: key,
+                        type: 'source_occurrence_mismatch',
+                        source_word: alignment.content,
+                        occurrence: alignment.occurrence,
+                        occurrences: alignment.occurrences,
+                        expected_occurrences: count,
+                        location: nodeLocation(alignment.path),
+                        comment: `Aligned source word "${alignment.content}" is marked as occurrence ${alignment.occurrence} of ${alignment.occurrences}, but occurs ${count} time(s) in the source verse (${key}).`,
+                    });
+                }
+            }
+        }
+
+        const words = verses.flatMap((verse) => verse.words);
+        const targetCounts = countWords(words.map(({ text }) => text));
+        for (const word of words) {
+            if (word.occurrence === null && word.occurrences === null) continue;
+            const count = targetCounts.get(normalizeWord(word.text));
+            if (mismatch(word.occurrence, word.occurrences, count)) {
+                issues.push({
+                    verse: key,
+                    type: 'target_occurrence_mismatch',
+                    word: word.text,
+                    occurrence: word.occurrence,
+                    occurrences: word.occurrences,
+                    expected_occurrences: count,
+                    location: nodeLocation(word.path),
+                    comment: `Word "${word.text}" is marked as occurrence ${word.occurrence} of ${word.occurrences}, but occurs ${count} time(s) in the verse (${key}).`,
+                });
+            }
+        }
+    }
+
+    return {
+        check: 'alignment::occurrences',
+        issues,
+    };
+}
+
+/**
+ * Detects verses where words of the source are not aligned to any target word.
+ * The source must be the text the target is aligned to: when it shares no word with the alignment, a
+ * single `not_alignment_source` issue is reported instead. Books without alignment markup are skipped.
+ * @param {object} source - Parsed JSON object or `DocumentModel` of the source text.
+ * @param {object} target - Parsed JSON object or `DocumentModel` of the aligned target text.
+ * @param {object|null} mapping - Versification mapping `{ book, mapVerse }` from source to target.
+ * @returns {object} Report of missing source words, one issue per verse.
+ */
+export function detectMissingAlignedWords(source, target, mapping = null) {
+    const sourceModel = DocumentModel.from(source);
+    const targetModel = DocumentModel.from(target);
+    const issues = [];
+    if (!isAligned(targetModel)) return { check: 'alignment::source_coverage', issues };
+    if (!isAlignmentSource(sourceModel, targetModel)) {
+        return { check: 'alignment::source_coverage', issues: [notAlignmentSource()] };
+    }
+
+    const units = pairVerses(sourceModel.verses, targetModel.verses, mapping);
+
+    for (const { key, sourceKeys, targetKeys } of units) {
+        if (sourceKeys.length === 0 || targetKeys.length === 0) continue;
+        const verses = targetKeys.map((targetKey) => targetModel.alignments[targetKey]).filter(Boolean);
+        if (verses.length === 0) continue;
+
+        const aligned = new Set(verses.flatMap((verse) => verse.alignments)
+            .map(({ content, occurrence }) => `${normalizeWord(content)}\u0000${occurrence ?? 1}`));
+
+        const seen = new Map();
+        const missing = [];
+        for (const sourceKey of sourceKeys) {
+            for (const { text } of sourceModel.verseWords[sourceKey] || []) {
+                const word = normalizeWord(text);
+                const occurrence = (seen.get(word) || 0) + 1;
+                seen.set(word, occurrence);
+                if (!aligned.has(`${word}\u0000${occurrence}`)) missing.push({ word: text, occurrence });
+            }
+        }
+
+        if (missing.length > 0) {
+            issues.push({
+                verse: key,
+                missing_words: missing,
+                location: nodeLocation(verses[0].path),
+                comment: `Source words not aligned in the target (${key}): ${missing.map(({ word }) => word).join(', ')}`,
+            });
+        }
+    }
+
+    return {
+        check: 'alignment::source_coverage',
+        issues,
+    };
+}
@@ -0,0 +1,131 @@
+// Chapter completeness: the chapters of the target against the source and the versification, and numbering gaps
+import { DocumentModel } from './document.js';
+import { nodeLocation } from './locations.js';
+import { getVersification } from './versification.js';
+
+// "5" or "5-7"
+const formatRange = (first, last) => (first === last ? `${first}` : `${first}-${last}`);
+
+// Groups sorted numbers into runs of consecutive ones: [2, 3, 5] -> [[2, 3], [5, 5]]
+function runsOf(numbers) {
+    const runs = [];
+    for (const number of numbers) {
+        const last = runs[runs.length - 1];
+        if (last && number === last[1] + 1) last[1] = number;
+        else runs.push([number, number]);
+    }
+    return runs;
+}
+
+/**
+ * Checks that the target has the chapters it should, and no holes in its chapter and verse numbering:
+ * - `missing_chapter`: a chapter of the source, or of the versification's verse inventory, is absent from the target;
+ * - `extra_chapter`: a target chapter is in neither the source nor the versification;
+ * - `chapter_gap`: the target chapter numbering skips numbers (1, 3), or does not start at 1;
+ * - `verse_gap`: verse numbers are skipped inside a target chapter, or, with a verse inventory, the
+ *   chapter stops before its last verse. Verses the versification excludes are not expected;
+ * - `no_inventory`: the given versification has no verse inventory for the book, as with the built-in ones.
+ * Gaps are found in the target alone, so they are reported without a source too.
+ * @param {object|null} source - Parsed JSON object or `DocumentModel` of the source text, or null.
+ * @param {object} target - Parsed JSON object or `DocumentModel` of the target text.
+ * @param {object|null} mapping - Versification mapping `{ book, mapVerse }` from source to target.
+ * @param {object} [options] - Check options.
+ * @param {string|object} [options.versification] - Target versification, see `getVersification`; its verse
+ *   inventory, when it has one for the book, tells which chapters and verses the book has.
+ * @returns {object} Report of chapter completeness issues.
+ */
+export function detectChapterCompleteness(source, target, mapping = null, options = {}) {
+    const sourceModel = source ? DocumentModel.from(source) : null;
+    const targetModel = DocumentModel.from(target);
+    const issues = [];
+    const versification = options.versification ? getVersification(options.versification) : null;
+    const book = targetModel.book || mapping?.book || null;
+    const lastChapter = versification && book ? versification.lastChapter(book) : null;
+    const targetPaths = targetModel.chapterPaths;
+    const targetVerses = targetModel.chapterVerseNodes;
+    const targetChapters = Object.keys(targetPaths).map(Number).filter(Number.isInteger).sort((a, b) => a - b);
+
+    // Chapters the target should have: those the source verses map to, and those of the inventory
+    const sourceChapters = new Set();
+    for (const [chapter, verses] of Object.entries(sourceModel?.chapterVerses || {})) {
+        for (const verse of verses.length > 0 ? verses : [1]) {
+            const mapped = mapping?.mapVerse ? mapping.mapVerse(mapping.book, parseInt(chapter, 10), verse) : null;
+            if (mapped && (mapped.book !== mapping.book || mapped.verse === 0)) continue;
+            sourceChapters.add(mapped ? mapped.chapter : parseInt(chapter, 10));
+        }
+    }
+    const expected = new Set(sourceChapters);
+    for (let chapter = 1; chapter <= (lastChapter || 0); chapter++) expected.add(chapter);
+    const against = [sourceModel && 'the source', lastChapter && 'the versification'].filter(Boolean).join(' or ');
+
+    if (versification && book && lastChapter === null) {
+        issues.push({
+            type: 'no_inventory',
+            versification: versification.name,
+            location: nodeLocation(''),
+            comment: `Versification "${versification.name}" has no verse inventory for ${book}; `
+                + (sourceModel ? 'chapters were only compared with the source.' : 'only numbering gaps were checked.'),
+        });
+    }
+
+    for (const chapter of [...expected].sort((a, b) => a - b)) {
+        if (chapter in targetPaths) continue;
+        issues.push({
+            chapter,
+            type: 'missing_chapter',
+            location: nodeLocation(''),
+            comment: `Target is missing chapter ${chapter}${sourceChapters.has(chapter) ? '' : ', which the versification has'}.`,
+        });
+    }
+    if (expected.size > 0) {
+        for (const chapter of targetChapters.filter((number) => !expected.has(number))) {
+            issues.push({
+                chapter,
+                type: 'extra_chapter',
+                location: nodeLocation(targetPaths[chapter]),
+                comment: `Target has chapter ${chapter}, which is not in ${against}.`,
+            });
+        }
+    }
+
+    targetChapters.forEach((chapter, index) => {
+        const previous = index === 0 ? 0 : targetChapters[index - 1];
+        if (chapter <= previous + 1) return;
+        issues.push({
+            chapter,
+            type: 'chapter_gap',
+            skipped_chapters: formatRange(previous + 1, chapter - 1),
+            location: nodeLocation(targetPaths[chapter]),
+            comment: index === 0
+                ? `Target chapters start at ${chapter} instead of 1.`
+                : `Target chapter numbering jumps from ${previous} to ${chapter}.`,
+        });
+    });
+
+    for (const chapter of targetChapters) {
+        const nodes = targetVerses[chapter] || [];
+        const present = new Set(nodes.map(({ verse }) => verse));
+        const last = Math.max(0, ...present, (book && versification?.lastVerse(book, chapter)) || 0);
+        const skipped = [];
+        for (let verse = 1; verse <= last; verse++) {
+            if (!present.has(verse) && versification?.hasVerse(book, chapter, verse) !== false) skipped.push(verse);
+        }
+        for (const [first, end] of runsOf(skipped)) {
+            const next = nodes.find(({ verse }) => verse === end + 1);
+            const verses = formatRange(first, end);
+            issues.push({
+                chapter,
+                verse: first,
+                type: 'verse_gap',
+                skipped_verses: verses,
+                location: nodeLocation(next ? next.path : targetPaths[chapter]),
+                comment: `Target chapter ${chapter} skips verse${first === end ? '' : 's'} ${verses}.`,
+            });
+        }
+    }
+
+    return {
+        check: 'chapterverse::chapter_completeness',
+        issues,
+    };
+}
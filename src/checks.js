@@ -5,66 +5,653 @@ import {
     detectUnmatchedPunctuation,
     detectMissingVerses,
     detectNumberMismatches,
-    detectFootnoteQuotes
+    detectFootnoteQuotes,
+    punctuationPairProblems
 } from './utils.js';
+import {
+    detectAlignmentMilestones,
+    detectAlignmentOccurrences,
+    detectMissingAlignedWords,
+    detectUnalignedWords
+} from './alignment.js';
+import { detectKeyTerms, glossaryProblems } from './terms.js';
+import { languageProblem } from './numbers.js';
+import { detectNameInconsistencies, nameListProblems } from './names.js';
+import { detectQuotationMarks, levelProblems, localeProblem } from './quotes.js';
+import { detectFootnoteCounts, detectFootnoteStructure } from './footnotes.js';
+import { bookNameProblems, detectCrossReferenceTargets } from './crossrefs.js';
+import { detectStructureParity, detectUsjStructure } from './structure.js';
+import { DEFAULT_REQUIRED_HEADERS, detectBookHeaders } from './metadata.js';
+import { detectPoetryLineStructure } from './poetry.js';
+import { detectChapterCompleteness } from './chapters.js';
+import { compareBooks, getBookCode } from './books.js';
+import { createVerseMapper, getVersification, vrsProblem } from './versification.js';
+import { issueChapterVerse, parseVerseKey } from './references.js';
+import { DocumentModel } from './document.js';
+import { checkParameter, defaultParameters, describeType, getCheck, registerCheck } from './registry.js';
+import { issueFingerprint } from './fingerprints.js';
+import { applySuppressions } from './suppressions.js';
+
+/**
+ * Pairs source and target books by their `id` book code.
+ * @param {array|null} sources - Parsed USJ objects of the source books, or null to pair every target book with no source.
+ * @param {array} targets - Parsed USJ objects of the target books.
+ * @returns {object} `pairs` ({ book, source, target }) in canonical order, and `unpaired` issues.
+ */
+export function pairBooks(sources, targets) {
+    function index(documents, side) {
+        const books = new Map();
+        documents.forEach((usj, i) => {
+            const code = getBookCode(usj);
+            if (!code) {
+                throw new Error(`${side} document at index ${i} has no \\id book code`);
+            }
+            if (books.has(code)) {
+                throw new Error(`${side} contains book ${code} more than once`);
+            }
+            books.set(code, usj);
+        });
+        return books;
+    }
+
+    const sourceBooks = sources ? index(sources, 'Source') : null;
+    const targetBooks = index(targets, 'Target');
+    const pairs = [];
+    const unpaired = [];
+
+    for (const book of [...new Set([...(sourceBooks?.keys() || []), ...targetBooks.keys()])].sort(compareBooks)) {
+        if (!targetBooks.has(book)) {
+            unpaired.push({
+                type: 'missing_in_target',
+                book,
+                reference: book,
+                comment: `Book ${book} is present in the source but missing from the target.`,
+            });
+        } else if (sourceBooks && !sourceBooks.has(book)) {
+            unpaired.push({
+                type: 'missing_in_source',
+                book,
+                reference: book,
+                comment: `Book ${book} is present in the target but missing from the source.`,
+            });
+        } else {
+            pairs.push({ book, source: sourceBooks?.get(book) ?? null, target: targetBooks.get(book) });
+        }
+    }
+
+    return { pairs, unpaired };
+}
+
+/**
+ * Builds the book-qualified reference ("TIT 1:4") of an issue.
+ * @param {string|null} book - Book code of the checked pair.
+ * @param {object} issue - Issue returned by a check.
+ * @returns {string|null} Full reference.
+ */
+function issueReference(book, issue) {
+    let location = null;
+    if (typeof issue.verse === 'string') {
+        location = issue.verse;
+    } else if (issue.chapter !== undefined) {
+        location = issue.verse !== undefined ? `${issue.chapter}:${issue.verse}` : `${issue.chapter}`;
+    }
+    if (!book) return location;
+    return location ? `${book} ${location}` : book;
+}
+
+/**
+ * Builds the book-qualified source reference of an issue under a versification mapping: the source
+ * verses that map to the verse of the issue ("MAL 3:19" for "MAL 4:1" from "org" to "eng").
+ * @param {string|null} book - Book code of the checked pair.
+ * @param {object} issue - Issue returned by a check.
+ * @param {function} mapBack - Maps a target reference to the source versification.
+ * @returns {string|null} Source reference, or null when the issue has no verse or maps to another book.
+ */
+function sourceReference(book, issue, mapBack) {
+    if (issue.source_verse) return issueReference(book, { verse: issue.source_verse });
+    const parsed = parseVerseKey(issueChapterVerse(issue).verse || '');
+    if (!parsed) return null;
+    const first = mapBack(book, parsed.chapter, parsed.start);
+    const last = mapBack(book, parsed.chapter, parsed.end);
+    if (first.book !== book) return null;
+    const verses = last.chapter === first.chapter && last.verse > first.verse ? `${first.verse}-${last.verse}` : first.verse;
+    return issueReference(book, { verse: `${first.chapter}:${verses}` });
+}
+
+/**
+ * Splits a recipe into its check list and run settings.
+ * A recipe is either an array of checks, or an object `{ versification, checks }`.
+ * @param {array|object} recipe - Recipe as given by the caller.
+ * @returns {object} `{ checks, versification }`.
+ */
+export function normalizeRecipe(recipe) {
+    if (Array.isArray(recipe)) {
+        return { checks: recipe, versification: null };
+    }
+    return {
+        checks: recipe?.checks || [],
+        versification: recipe?.versification || null,
+    };
+}
+
+registerCheck({
+    name: "versestats::verse_stats",
+    readName: "Verse statistics",
+    description: "Checks for empty, short and long verses",
+    level: "minor",
+    parameters: {
+        short_threshold: {
+            type: 'number',
+            default: 20,
+            min: 0,
+            description: 'Length difference, in percent, above which a verse is reported as short or long.'
+        }
+    },
+    run: ({ sourceModel, targetModel, mapping }, parameters) =>
+        detectShortLongVerses(sourceModel, targetModel, parameters.short_threshold, mapping),
+});
+
+registerCheck({
+    name: "chapterverse::integrity_check",
+    readName: "Duplicated or out-of-order chapter/verse",
+    description: "Checks for duplicated or out-of-order chapter/verse numbers.",
+    level: "major",
+    run: ({ sourceModel, targetModel }) => checkChapterVerseIntegrity(sourceModel, targetModel),
+});
+
+registerCheck({
+    name: "chapterverse::missing_verses",
+    readName: "Missing verses",
+    description: "Detects missing verses in the target compared to the source.",
+    level: "major",
+    run: ({ sourceModel, targetModel, mapping }) => detectMissingVerses(sourceModel, targetModel, mapping),
+});
+
+registerCheck({
+    name: "textquality::repeated_words_whitespace",
+    readName: "Repeated words and whitespace",
+    description: "Detects repeated words and excessive whitespace in verses",
+    level: "minor",
+    requiresSource: false,
+    run: ({ targetModel }) => detectRepeatedWordsAndWhitespace(targetModel),
+});
+
+registerCheck({
+    name: "textquality::unmatched_punctuation",
+    readName: "Unmatched punctuation",
+    description: "Checks for unmatched punctuation pairs like quotes, parentheses, or brackets",
+    level: "minor",
+    requiresSource: false,
+    parameters: {
+        pair_punctuation_list: {
+            type: 'object',
+            default: null,
+            description: 'Opening to closing punctuation map replacing the default pairs, e.g. `{ "(": ")", "‹": "›" }`.',
+            validate: punctuationPairProblems
+        }
+    },
+    run: ({ targetModel }, parameters) => detectUnmatchedPunctuation(targetModel, parameters.pair_punctuation_list),
+});
+
+registerCheck({
+    name: "numbers_check::mismatches",
+    readName: "Missing numbers",
+    description: "Checks if numbers from the source are correctly reported in the target.",
+    level: "major",
+    parameters: {
+        source_language: {
+            type: 'string',
+            default: null,
+            description: 'Language of the source, to match numbers written as words ("twelve"), e.g. "en".',
+            validate: languageProblem
+        },
+        target_language: {
+            type: 'string',
+            default: null,
+            description: 'Language of the target, to match numbers written as words ("douze"), e.g. "fr".',
+            validate: languageProblem
+        },
+        number_words: {
+            type: 'object',
+            default: null,
+            description: 'Number words by language, e.g. `{ "sw": { "moja": 1, "mbili": 2 } }`, added to the built-in ones.'
+        }
+    },
+    run: ({ sourceModel, targetModel, mapping }, parameters) => detectNumberMismatches(sourceModel, targetModel, mapping, {
+        sourceLanguage: parameters.source_language,
+        targetLanguage: parameters.target_language,
+        numberWords: parameters.number_words,
+    }),
+});
+
+registerCheck({
+    name: "footnote::quotation_mismatch",
+    readName: "Unmatched footnote quotations",
+    description: "Detects footnote quotations that do not match the verse or are missing words.",
+    level: "minor",
+    requiresSource: false,
+    run: ({ targetModel }) => detectFootnoteQuotes(targetModel),
+});
+
+registerCheck({
+    name: "footnote::structure",
+    readName: "Footnote structure",
+    description: "Checks footnote origins against their verse, footnotes without text, mixed callers and alternate translations identical to the verse.",
+    level: "minor",
+    requiresSource: false,
+    run: ({ targetModel }) => detectFootnoteStructure(targetModel),
+});
+
+registerCheck({
+    name: "footnote::counts",
+    readName: "Footnotes per chapter",
+    description: "Compares the number of footnotes of each chapter with the source.",
+    level: "minor",
+    run: ({ sourceModel, targetModel, mapping }) => detectFootnoteCounts(sourceModel, targetModel, mapping),
+});
+
+registerCheck({
+    name: "crossref::targets",
+    readName: "Cross-reference targets",
+    description: "Checks that cross-reference origins match their verse and that their targets can be read and exist (in other books, with a .vrs verse inventory).",
+    level: "minor",
+    requiresSource: false,
+    parameters: {
+        book_names: {
+            type: 'object',
+            default: null,
+            description: 'Book names and abbreviations of the target language mapped to book codes, e.g. `{ "Galates": "GAL" }`.',
+            validate: bookNameProblems
+        },
+        vrs: {
+            type: 'string',
+            default: null,
+            description: 'Paratext .vrs file content whose verse inventory tells which verses exist. Defaults to the target versification of the recipe; the built-in versifications have no verse inventory, so references to other books are reported as not verified.',
+            validate: vrsProblem
+        }
+    },
+    run: ({ targetModel, versification }, parameters) => detectCrossReferenceTargets(targetModel, {
+        bookNames: parameters.book_names,
+        versification: parameters.vrs === null ? versification : { vrs: parameters.vrs },
+    }),
+});
+
+registerCheck({
+    name: "alignment::unaligned_words",
+    readName: "Unaligned words",
+    description: "Detects target words that are not aligned to any source word.",
+    level: "minor",
+    requiresSource: false,
+    run: ({ targetModel }) => detectUnalignedWords(targetModel),
+});
+
+registerCheck({
+    name: "alignment::milestones",
+    readName: "Unbalanced alignment markers",
+    description: "Detects alignment markers that are unbalanced, badly nested or empty.",
+    level: "major",
+    requiresSource: false,
+    run: ({ targetModel }) => detectAlignmentMilestones(targetModel),
+});
+
+registerCheck({
+    name: "alignment::occurrences",
+    readName: "Alignment occurrence mismatches",
+    description: "Checks that alignment occurrence numbers match the source and target verses.",
+    level: "major",
+    run: ({ sourceModel, targetModel, mapping }) => detectAlignmentOccurrences(sourceModel, targetModel, mapping),
+});
+
+registerCheck({
+    name: "alignment::source_coverage",
+    readName: "Unaligned source words",
+    description: "Detects verses where source words are not aligned to the target.",
+    level: "minor",
+    run: ({ sourceModel, targetModel, mapping }) => detectMissingAlignedWords(sourceModel, targetModel, mapping),
+});
+
+registerCheck({
+    name: "terms::key_terms",
+    readName: "Key terms",
+    description: "Detects verses where a key term of the source has none of its approved renderings in the target.",
+    level: "major",
+    parameters: {
+        glossary: {
+            type: ['array', 'object'],
+            default: [],
+            description: 'Key terms: entries `{ term, lemma, renderings, patterns }`, or `{ terms: [...] }` (see `parseGlossary`).',
+            validate: glossaryProblems
+        }
+    },
+    run: ({ sourceModel, targetModel, mapping }, parameters) =>
+        detectKeyTerms(sourceModel, targetModel, parameters.glossary, mapping),
+});
+
+registerCheck({
+    name: "names::consistency",
+    readName: "Proper name spellings",
+    description: "Detects proper names spelled in several ways within a book.",
+    level: "minor",
+    parameters: {
+        names: {
+            type: 'array',
+            default: [],
+            description: 'Canonical spellings: names, or `{ name, source }` with the source name they render.',
+            validate: nameListProblems
+        },
+        max_distance: {
+            type: 'integer',
+            default: 1,
+            min: 0,
+            description: 'Edit distance, after normalization, under which two spellings are the same name.'
+        },
+        min_length: {
+            type: 'integer',
+            default: 4,
+            min: 1,
+            description: 'Names shorter than this are only grouped when they normalize to the same form.'
+        }
+    },
+    run: ({ sourceModel, targetModel, mapping }, parameters) => detectNameInconsistencies(sourceModel, targetModel, {
+        names: parameters.names,
+        maxDistance: parameters.max_distance,
+        minLength: parameters.min_length,
+    }, mapping),
+});
+
+registerCheck({
+    name: "textquality::quotation_marks",
+    readName: "Quotation marks",
+    description: "Checks quotation marks against the conventions of a locale: marks, nesting levels and paragraph continuation quotes.",
+    level: "minor",
+    requiresSource: false,
+    parameters: {
+        locale: {
+            type: 'string',
+            default: 'en',
+            description: 'Locale of the quotation conventions, e.g. "fr", "en-GB" or "de". A regional locale falls back to its language.',
+            validate: localeProblem
+        },
+        levels: {
+            type: 'array',
+            default: null,
+            description: 'Custom `[opening, closing]` marks, outermost level first, replacing the locale ones.',
+            validate: levelProblems
+        },
+        paragraph_continuation: {
+            type: 'boolean',
+            default: true,
+            description: 'Expect a speech running over several paragraphs to repeat its opening quotes at each new paragraph.'
+        },
+        straight_quotes: {
+            type: 'boolean',
+            default: true,
+            description: 'Accept straight `"` quotes in place of the curly double quotes `“”` of the locale.'
+        }
+    },
+    run: ({ targetModel }, parameters) => detectQuotationMarks(targetModel, {
+        locale: parameters.locale,
+        levels: parameters.levels,
+        paragraphContinuation: parameters.paragraph_continuation,
+        straightQuotes: parameters.straight_quotes,
+    }),
+});
+
+registerCheck({
+    name: "structure::usj_schema",
+    readName: "USJ structure",
+    description: "Validates the document tree against the USFM 3 marker inventory and the node types each node may contain.",
+    level: "major",
+    requiresSource: false,
+    run: ({ targetModel }) => detectUsjStructure(targetModel),
+});
+
+registerCheck({
+    name: "metadata::book_headers",
+    readName: "Book headers",
+    description: "Checks the book code against the source, required headers, headers left in the source language and the encoding declaration.",
+    level: "minor",
+    requiresSource: false,
+    parameters: {
+        required_markers: {
+            type: 'array',
+            items: 'string',
+            default: DEFAULT_REQUIRED_HEADERS,
+            description: 'Header markers the target must have, with text, e.g. `["h", "toc1", "toc2", "toc3", "mt1"]`.'
+        }
+    },
+    run: ({ sourceModel, targetModel }, parameters) => detectBookHeaders(sourceModel, targetModel, {
+        requiredMarkers: parameters.required_markers,
+    }),
+});
+
+registerCheck({
+    name: "structure::parity",
+    readName: "Headings and paragraphs",
+    description: "Compares the section headings and paragraph breaks of the target with the source, anchored to their verse.",
+    level: "minor",
+    parameters: {
+        verse_tolerance: {
+            type: 'integer',
+            default: 0,
+            min: 0,
+            description: 'Number of verses a heading or paragraph break may move from its source place and still match.'
+        },
+        headings: {
+            type: 'boolean',
+            default: true,
+            description: 'Compare section headings, parallel references, speakers and other titles.'
+        },
+        paragraphs: {
+            type: 'boolean',
+            default: true,
+            description: 'Compare paragraph breaks.'
+        },
+        poetry: {
+            type: 'boolean',
+            default: false,
+            description: 'Count poetry lines (`q`) as paragraph breaks. Translations often lay out poetry lines differently.'
+        }
+    },
+    run: ({ sourceModel, targetModel, mapping }, parameters) => detectStructureParity(sourceModel, targetModel, mapping, {
+        verseTolerance: parameters.verse_tolerance,
+        headings: parameters.headings,
+        paragraphs: parameters.paragraphs,
+        poetry: parameters.poetry,
+    }),
+});
+
+registerCheck({
+    name: "poetry::line_structure",
+    readName: "Poetry lines",
+    description: "Compares the poetic lines of each verse and their indent levels with the source, and finds empty poetic lines.",
+    level: "minor",
+    parameters: {
+        line_tolerance: {
+            type: 'integer',
+            default: 0,
+            min: 0,
+            description: 'Difference in the number of poetic lines of a verse accepted between the source and the target.'
+        },
+        indents: {
+            type: 'boolean',
+            default: true,
+            description: 'Compare the indent levels (`q1`, `q2`, ...) of verses with as many lines as the source.'
+        }
+    },
+    run: ({ sourceModel, targetModel, mapping }, parameters) => detectPoetryLineStructure(sourceModel, targetModel, mapping, {
+        lineTolerance: parameters.line_tolerance,
+        indents: parameters.indents,
+    }),
+});
+
+registerCheck({
+    name: "chapterverse::chapter_completeness",
+    readName: "Missing, extra or skipped chapters",
+    description: "Compares the target chapters with the source and the versification, and finds chapter and verse numbering gaps.",
+    level: "major",
+    requiresSource: false,
+    parameters: {
+        vrs: {
+            type: 'string',
+            default: null,
+            description: 'Paratext .vrs file content whose verse inventory tells which chapters and verses the book has. Defaults to the target versification of the recipe.',
+            validate: vrsProblem
+        }
+    },
+    run: ({ sourceModel, targetModel, mapping, versification }, parameters) => detectChapterCompleteness(sourceModel, targetModel, mapping, {
+        versification: parameters.vrs === null ? versification : { vrs: parameters.vrs },
+    }),
+});
 
 /**
  * Run all checks based on the provided recipe.
- * @param {object} source - Parsed JSON object of the source text.
- * @param {object} target - Parsed JSON object of the target text.
- * @param {array} recipe - Array of check definitions.
+ * Source and target may each be a single book or an array of books; arrays are
+ * paired by their `id` book code and books without a counterpart are reported.
+ * When the recipe names a source and a target versification, source verses are
+ * aligned to the target versification before being compared, and issues whose verse
+ * comes from other source verses carry their `source_reference`.
+ * Each document is indexed once into a `DocumentModel` shared by all the checks of the run.
+ * Without a source, only the checks that do not need one run; the others are reported as skipped.
+ * @param {object|array|null} source - Parsed JSON object(s) of the source text, or null.
+ * @param {object|array} target - Parsed JSON object(s) of the target text.
+ * @param {array|object} recipe - Array of check definitions, or `{ versification, checks }`.
+ * @param {object} [options] - Run options.
+ * @param {Array} [options.suppressions] - Accepted issues to hide (see `parseSuppressions`).
+ * @param {boolean} [options.showSuppressed] - Keep accepted issues in the report, marked with `suppressed`.
  * @returns {object} JSON report of checks.
  */
-export function runChecks(source, target, recipe) {
+export function runChecks(source, target, recipe, options = {}) {
     const report = [];
+    const { checks, versification } = normalizeRecipe(recipe);
+    const mapVerse = versification?.source && versification?.target
+        ? createVerseMapper(versification.source, versification.target)
+        : null;
+    const mapBack = mapVerse ? createVerseMapper(versification.target, versification.source) : null;
+    const targetVersification = versification?.target ? getVersification(versification.target) : null;
+    const hasSource = source !== null && source !== undefined && source !== '';
+    let pairs;
+
+    if (Array.isArray(source) || Array.isArray(target)) {
+        const paired = pairBooks(hasSource ? [].concat(source) : null, [].concat(target));
+        pairs = paired.pairs;
+        for (const issue of paired.unpaired) {
+            issue.fingerprint = issueFingerprint('books::pairing', issue);
+        }
+        if (paired.unpaired.length > 0) {
+            report.push({
+                name: 'books::pairing',
+                readName: 'Unpaired books',
+                description: 'Books present on one side only.',
+                level: 'major',
+                issues: paired.unpaired,
+            });
+        }
+    } else {
+        pairs = [{ book: getBookCode(target) || getBookCode(source), source: hasSource ? source : null, target }];
+    }
+
+    // Run context: every check of a book pair shares the same indexed models
+    for (const pair of pairs) {
+        pair.sourceModel = pair.source ? new DocumentModel(pair.source) : null;
+        pair.targetModel = new DocumentModel(pair.target);
+    }
+
+    for (const check of checks) {
+        if (!check?.enabled) continue;
+        const definition = getCheck(check.name);
+
+        if (!definition) {
+            report.push({
+                name: check.name,
+                readName: check.readName || check.name,
+                description: check.description || '',
+                level: check.level || 'major',
+                error: 'unknown_check',
+                issues: [{
+                    type: 'unknown_check',
+                    comment: `Unknown check "${check.name}": no check is registered under this name.`,
+                }],
+            });
+            continue;
+        }
+
+        const parameters = { ...defaultParameters(definition), ...check.parameters };
+        const issues = [];
+
+        // A check is not run with parameters it cannot use; validateRecipe() reports them too
+        const given = describeType(check.parameters) === 'object' ? check.parameters : {};
+        const problems = Object.entries(given)
+            .filter(([parameter]) => definition.parameters[parameter])
+            .flatMap(([parameter, value]) => checkParameter(value, definition.parameters[parameter], parameters)
+                .map(({ path, message }) => ({
+                    type: 'invalid_parameter',
+                    parameter: `${parameter}${path}`,
+                    comment: `Parameter "${parameter}${path}" ${message}; the check was not run.`,
+                })));
+        if (problems.length > 0) {
+            report.push({
+                name: check.name,
+                readName: check.readName || definition.readName,
+                description: check.description || definition.description,
+                level: check.level || definition.level,
+                error: 'invalid_parameters',
+                issues: problems,
+            });
+            continue;
+        }
+        if (!hasSource && definition.requiresSource) {
+            report.push({
+                name: check.name,
+                readName: check.readName || definition.readName,
+                description: check.description || definition.description,
+                level: check.level || definition.level,
+                error: 'missing_source',
+                issues: [{
+                    type: 'missing_source',
+                    comment: 'This check compares the target with the source, and no source was given; the check was not run.',
+                }],
+            });
+            continue;
+        }
 
-    for (const check of recipe) {
-        if (!check.enabled) continue;
-        let result;
-
-        switch (check.name) {
-            case 'versestats::verse_stats':
-                result = detectShortLongVerses(source, target, check.parameters?.short_threshold || 20);
-                break;
-
-            case 'chapterverse::integrity_check':
-                result = checkChapterVerseIntegrity(source, target);
-                break;
-
-            case 'chapterverse::missing_verses':
-                result = detectMissingVerses(source, target);
-                break;
-
-            case 'textquality::repeated_words_whitespace':
-                result = detectRepeatedWordsAndWhitespace(target);
-                break;
-
-            case 'textquality::unmatched_punctuation':
-                result = detectUnmatchedPunctuation(target);
-                break;
-
-            case "numbers_check::mismatches":
-                result = detectNumberMismatches(source, target);
-                break;
-            
-            case "footnote::quotation_mismatch":
-                result = detectFootnoteQuotes(target);
-                break;
-                
-            default:
-                console.warn(`Unknown check: ${check.name}`);
-                continue;
-        }
-        if (result?.issues?.length > 0) {
+        for (const pair of pairs) {
+            const mapping = mapVerse ? { book: pair.book, mapVerse } : null;
+            const result = definition.run({ ...pair, mapping, versification: targetVersification }, parameters);
+            for (const issue of result?.issues || []) {
+                issue.book = pair.book;
+                issue.reference = issueReference(pair.book, issue);
+                if (mapBack) {
+                    const reference = sourceReference(pair.book, issue, mapBack);
+                    if (reference && reference !== issue.reference) issue.source_reference = reference;
+                }
+                issue.fingerprint = issueFingerprint(check.name, issue);
+                issues.push(issue);
+            }
+        }
+
+        if (issues.length > 0) {
             report.push({
                 name: check.name,
-                readName: check.readName,
-                description: check.description,
-                level: check.level,
-                issues: result.issues,
+                readName: check.readName || definition.readName,
+                description: check.description || definition.description,
+                level: check.level || definition.level,
+                issues,
             });
         }
     }
 
-    return { checks: report };
+    if (!options.suppressions) {
+        return { checks: report };
+    }
+
+    const books = pairs.map((pair) => pair.book);
+    for (const check of report) {
+        if (check.name === 'books::pairing') books.push(...check.issues.map((issue) => issue.book));
+    }
+    return applySuppressions({ checks: report }, options.suppressions, {
+        checks: ['books::pairing', ...checks.filter((check) => check?.enabled).map((check) => check.name)],
+        books: books.every(Boolean) ? books : null,
+        showSuppressed: options.showSuppressed,
+    });
 }
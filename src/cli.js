@@ -0,0 +1,301 @@
+// Command line interface: `bible-checker <command> [options]`
+import fs from 'fs';
+import path from 'path';
+import { checks, compareReports, getAvailableChecks, parseGlossary } from './index.js';
+import { getBookCode } from './books.js';
+import { parseDocument } from './formats.js';
+import { formatReport, REPORT_FORMATS } from './formatters.js';
+
+const USAGE = `Usage: bible-checker <command> [options]
+
+Commands:
+  check          Run checks on a target text against its source text
+  list-checks    Print the available checks as a JSON recipe
+  compare        Compare two JSON reports: new, resolved and persisting issues
+
+Options for check:
+  --source <path>          Source book file, or a directory of books (repeatable); without it,
+                           the checks that need a source are skipped
+  --target <path>          Target book file, or a directory of books (repeatable)
+  --recipe <path>          Recipe JSON file (default: every available check)
+  --enable <name>          Enable a check, comma separated or repeatable
+  --disable <name>         Disable a check, comma separated or repeatable
+  --input-format <format>  usj, usx, usfm or auto (default)
+  --format <format>        Report format: json (default), csv, junit, sarif or html
+  --output <path>          Write the report to a file instead of stdout
+  --fail-on <level>        Exit with code 1 when issues of this level or above are found: major or minor
+  --strict                 Refuse to run an invalid recipe
+  --suppressions <path>    Suppressions file listing accepted issues to hide
+  --show-suppressed        Keep accepted issues in the report, marked as suppressed
+  --glossary <path>        Key terms glossary JSON file; enables the terms::key_terms check
+
+Options for compare:
+  --previous <path>        Report of the earlier run
+  --current <path>         Report of the later run
+  --output <path>          Write the comparison to a file instead of stdout
+  --fail-on <level>        Exit with code 1 when new issues of this level or above are found
+
+Exit codes: 0 success, 1 issues found at the --fail-on level, 2 usage or input error.`;
+
+const BOOK_EXTENSIONS = ['.usfm', '.sfm', '.usx', '.xml', '.json', '.usj'];
+const LEVEL_RANKS = { major: 2, minor: 1 };
+const VALUE_OPTIONS = [
+    'source', 'target', 'recipe', 'enable', 'disable', 'input-format', 'format', 'output', 'fail-on', 'suppressions',
+    'glossary', 'previous', 'current',
+];
+const REPEATABLE_OPTIONS = ['source', 'target', 'enable', 'disable'];
+const FLAG_OPTIONS = ['strict', 'show-suppressed', 'help'];
+
+class UsageError extends Error {}
+
+/**
+ * Parses command line arguments.
+ * @param {Array} argv - Arguments after the executable, e.g. `['check', '--source', 'src.usfm']`.
+ * @returns {object} `{ command, options }`; repeatable options are arrays.
+ * @throws {UsageError} On unknown options or missing values.
+ */
+export function parseArguments(argv) {
+    const options = { source: [], target: [], enable: [], disable: [] };
+    let command = null;
+
+    for (let i = 0; i < argv.length; i++) {
+        const argument = argv[i];
+        if (!argument.startsWith('--')) {
+            if (command) throw new UsageError(`Unexpected argument "${argument}"`);
+            command = argument;
+            continue;
+        }
+
+        const separator = argument.indexOf('=');
+        const name = argument.slice(2, separator === -1 ? undefined : separator);
+        if (FLAG_OPTIONS.includes(name)) {
+            if (separator !== -1) throw new UsageError(`Option --${name} takes no value`);
+            options[name] = true;
+            continue;
+        }
+        if (!VALUE_OPTIONS.includes(name)) throw new UsageError(`Unknown option --${name}`);
+
+        let value = separator === -1 ? argv[++i] : argument.slice(separator + 1);
+        if (value === undefined || (separator === -1 && value.startsWith('--'))) {
+            throw new UsageError(`Option --${name} needs a value`);
+        }
+        if (REPEATABLE_OPTIONS.includes(name)) {
+            if (name === 'enable' || name === 'disable') {
+                options[name].push(...value.split(',').map((item) => item.trim()).filter(Boolean));
+            } else {
+                options[name].push(value);
+            }
+        } else {
+            options[name] = value;
+        }
+    }
+
+    return { command, options };
+}
+
+/**
+ * Reads and parses the books given by `--source` or `--target`; directories contribute every book file they contain.
+ * @param {Array} paths - File or directory paths.
+ * @param {string} cwd - Directory relative paths are resolved against.
+ * @param {string} [format] - Input format, detected per file when omitted.
+ * @returns {object} `{ documents, files }`: a single USJ object when one file is given, otherwise
+ *   an array of them, and the path of each file relative to `cwd`.
+ */
+function readBooks(paths, cwd, format) {
+    const files = [];
+    for (const item of paths) {
+        const resolved = path.resolve(cwd, item);
+        if (fs.statSync(resolved).isDirectory()) {
+            const entries = fs.readdirSync(resolved)
+                .filter((entry) => BOOK_EXTENSIONS.includes(path.extname(entry).toLowerCase()))
+                .sort();
+            if (entries.length === 0) throw new Error(`No book files found in ${item}`);
+            files.push(...entries.map((entry) => path.join(resolved, entry)));
+        } else {
+            files.push(resolved);
+        }
+    }
+
+    const documents = files.map((file) => {
+        try {
+            return parseDocument(fs.readFileSync(file, 'utf8'), format);
+        } catch (error) {
+            throw new Error(`${path.relative(cwd, file)}: ${error.message}`, { cause: error });
+        }
+    });
+    return {
+        documents: paths.length === 1 && documents.length === 1 ? documents[0] : documents,
+        files: files.map((file) => path.relative(cwd, file).split(path.sep).join('/')),
+    };
+}
+
+/**
+ * Builds the recipe to run from `--recipe`, `--enable` and `--disable`.
+ * Without `--recipe`, every available check runs, or only the `--enable`d ones when some are given.
+ * A `--glossary` file becomes the glossary of the `terms::key_terms` check and enables it.
+ * @param {object} options - Parsed options.
+ * @param {string} cwd - Directory relative paths are resolved against.
+ * @returns {array|object} Recipe, in the shape of the recipe file when one is given.
+ */
+export function buildRecipe(options, cwd = process.cwd()) {
+    let recipe;
+    if (options.recipe) {
+        recipe = JSON.parse(fs.readFileSync(path.resolve(cwd, options.recipe), 'utf8'));
+    } else {
+        const enableAll = options.enable.length === 0;
+        recipe = getAvailableChecks().map((check) => ({ ...check, enabled: enableAll }));
+    }
+
+    const list = Array.isArray(recipe) ? recipe : recipe?.checks;
+    if (!Array.isArray(list)) return recipe;
+
+    for (const [names, enabled] of [[options.enable, true], [options.disable, false]]) {
+        for (const name of names) {
+            const entries = list.filter((check) => check?.name === name);
+            if (entries.length === 0 && enabled) list.push({ name, enabled });
+            entries.forEach((check) => { check.enabled = enabled; });
+        }
+    }
+
+    if (options.glossary) {
+        const glossary = parseGlossary(fs.readFileSync(path.resolve(cwd, options.glossary), 'utf8'));
+        let entries = list.filter((check) => check?.name === 'terms::key_terms');
+        if (entries.length === 0) {
+            entries = [{ name: 'terms::key_terms', enabled: true }];
+            list.push(...entries);
+        }
+        entries.forEach((check) => {
+            check.parameters = { ...check.parameters, glossary };
+            check.enabled = !options.disable.includes('terms::key_terms');
+        });
+    }
+    return recipe;
+}
+
+/**
+ * Tells whether a report contains issues at or above a level. Accepted (suppressed) issues do not count,
+ * nor do checks skipped for want of a source.
+ * @param {object} report - Report returned by `checks()`.
+ * @param {string} level - "major" or "minor".
+ * @returns {boolean}
+ */
+export function hasIssuesAtLevel(report, level) {
+    return report.checks.some((check) => check.error !== 'missing_source'
+        && check.issues.some((issue) => !issue.suppressed)
+        && (LEVEL_RANKS[check.level] || LEVEL_RANKS.major) >= LEVEL_RANKS[level]);
+}
+
+function checkFailOn(options) {
+    if (options['fail-on'] !== undefined && !LEVEL_RANKS[options['fail-on']]) {
+        throw new UsageError(`--fail-on must be "major" or "minor", got "${options['fail-on']}"`);
+    }
+}
+
+function writeOutput(output, options, io) {
+    if (options.output) {
+        fs.writeFileSync(path.resolve(io.cwd, options.output), output);
+    } else {
+        io.stdout(output);
+    }
+}
+
+function runCheckCommand(options, io) {
+    if (options.target.length === 0) {
+        throw new UsageError('check needs --target');
+    }
+    checkFailOn(options);
+    const format = options.format || 'json';
+    if (!REPORT_FORMATS.includes(format)) {
+        throw new UsageError(`--format must be one of ${REPORT_FORMATS.join(', ')}, got "${format}"`);
+    }
+
+    const source = options.source.length > 0 ? readBooks(options.source, io.cwd, options['input-format']) : { documents: null };
+    const target = readBooks(options.target, io.cwd, options['input-format']);
+    const recipe = buildRecipe(options, io.cwd);
+    const suppressions = options.suppressions
+        ? fs.readFileSync(path.resolve(io.cwd, options.suppressions), 'utf8')
+        : null;
+    const report = checks(source.documents, target.documents, recipe, {
+        strict: options.strict,
+        suppressions,
+        showSuppressed: options['show-suppressed'],
+    });
+
+    for (const problem of report.validation?.errors || []) {
+        io.stderr(`recipe error: ${problem.path ? `${problem.path}: ` : ''}${problem.message}\n`);
+    }
+    for (const problem of report.validation?.warnings || []) {
+        io.stderr(`recipe warning: ${problem.path ? `${problem.path}: ` : ''}${problem.message}\n`);
+    }
+    for (const suppression of report.suppressions?.stale || []) {
+        io.stderr(`stale suppression: ${suppression.check} at ${suppression.reference} (${suppression.fingerprint}) no longer matches any issue\n`);
+    }
+
+    // SARIF locations point at the target file of each book
+    const uris = {};
+    [].concat(target.documents).forEach((usj, i) => {
+        uris[getBookCode(usj) || ''] = target.files[i];
+    });
+    const output = formatReport(report, format, { source: source.documents, target: target.documents, uris });
+    writeOutput(output, options, io);
+
+    return options['fail-on'] && hasIssuesAtLevel(report, options['fail-on']) ? 1 : 0;
+}
+
+function runCompareCommand(options, io) {
+    if (!options.previous || !options.current) {
+        throw new UsageError('compare needs --previous and --current');
+    }
+    checkFailOn(options);
+
+    const read = (file) => JSON.parse(fs.readFileSync(path.resolve(io.cwd, file), 'utf8'));
+    const comparison = compareReports(read(options.previous), read(options.current));
+    const { summary } = comparison;
+    io.stderr(`${summary.new} new, ${summary.resolved} resolved, ${summary.persisting} persisting\n`);
+    writeOutput(JSON.stringify(comparison, null, 2) + '\n', options, io);
+
+    const threshold = LEVEL_RANKS[options['fail-on']];
+    const failed = threshold && comparison.new.some((issue) => (LEVEL_RANKS[issue.level] || LEVEL_RANKS.major) >= threshold);
+    return failed ? 1 : 0;
+}
+
+/**
+ * Runs the command line interface.
+ * @param {Array} argv - Arguments after the executable.
+ * @param {object} [io] - Output streams and working directory, for embedding and tests.
+ * @param {function} [io.stdout] - Receives report output.
+ * @param {function} [io.stderr] - Receives diagnostics.
+ * @param {string} [io.cwd] - Directory relative paths are resolved against.
+ * @returns {number} Process exit code.
+ */
+export function main(argv, io = {}) {
+    const streams = {
+        stdout: io.stdout || ((text) => process.stdout.write(text)),
+        stderr: io.stderr || ((text) => process.stderr.write(text)),
+        cwd: io.cwd || process.cwd(),
+    };
+
+    try {
+        const { command, options } = parseArguments(argv);
+        if (options.help || !command) {
+            (options.help ? streams.stdout : streams.stderr)(USAGE + '\n');
+            return options.help ? 0 : 2;
+        }
+
+        switch (command) {
+            case 'check':
+                return runCheckCommand(options, streams);
+            case 'compare':
+                return runCompareCommand(options, streams);
+            case 'list-checks':
+                streams.stdout(JSON.stringify(getAvailableChecks(), null, 2) + '\n');
+                return 0;
+            default:
+                throw new UsageError(`Unknown command "${command}"`);
+        }
+    } catch (error) {
+        streams.stderr(`bible-checker: ${error.message}\n`);
+        if (error instanceof UsageError) streams.stderr(`Run "bible-checker --help" for usage.\n`);
+        return 2;
+    }
+}
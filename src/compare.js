@@ -0,0 +1,80 @@
+// Comparison of two reports: new, resolved and persisting issues
+import { issueFingerprint } from './fingerprints.js';
+import { issueChapterVerse } from './references.js';
+
+function emptyCounts() {
+    return { new: 0, resolved: 0, persisting: 0 };
+}
+
+/**
+ * Lists the issues of a report with the key used to match them across runs.
+ * Reports written before fingerprints existed get them computed on the fly.
+ * @param {object} report - Report returned by `checks()`.
+ * @returns {Array} Entries `{ key, check, level, issue }`.
+ */
+function keyedIssues(report) {
+    const entries = [];
+    for (const check of report?.checks || []) {
+        for (const issue of check.issues || []) {
+            const fingerprint = issue.fingerprint || issueFingerprint(check.name, issue);
+            entries.push({
+                key: `${check.name}\u0000${issue.reference ?? issue.verse ?? ''}\u0000${fingerprint}`,
+                check: check.name,
+                level: check.level,
+                issue,
+            });
+        }
+    }
+    return entries;
+}
+
+/**
+ * Compares the reports of two runs, matching issues by check name, reference and fingerprint.
+ * @param {object} previous - Report of the earlier run.
+ * @param {object} current - Report of the later run.
+ * @returns {object} `{ new, resolved, persisting, summary, checks, chapters }`:
+ *   - `new`, `resolved`, `persisting`: issues, each with its `check` name and `level`
+ *     (resolved issues come from `previous`, the others from `current`);
+ *   - `summary`: counts for the whole run;
+ *   - `checks`: counts per check name;
+ *   - `chapters`: counts per chapter ("TIT 1"), or per book for issues without a chapter.
+ */
+export function compareReports(previous, current) {
+    const comparison = { new: [], resolved: [], persisting: [], summary: emptyCounts(), checks: {}, chapters: {} };
+
+    function add(status, entry) {
+        const { check, level, issue } = entry;
+        comparison[status].push({ check, level, ...issue });
+        comparison.summary[status]++;
+
+        if (!comparison.checks[check]) comparison.checks[check] = emptyCounts();
+        comparison.checks[check][status]++;
+
+        const { chapter } = issueChapterVerse(issue);
+        const chapterKey = [issue.book, chapter].filter((part) => part !== undefined && part !== null).join(' ');
+        if (!comparison.chapters[chapterKey]) comparison.chapters[chapterKey] = emptyCounts();
+        comparison.chapters[chapterKey][status]++;
+    }
+
+    // Previous issues still waiting for a match, by key; a key may occur several times
+    const remaining = new Map();
+    for (const entry of keyedIssues(previous)) {
+        if (!remaining.has(entry.key)) remaining.set(entry.key, []);
+        remaining.get(entry.key).push(entry);
+    }
+
+    for (const entry of keyedIssues(current)) {
+        const matches = remaining.get(entry.key);
+        if (matches && matches.length > 0) {
+            matches.shift();
+            add('persisting', entry);
+        } else {
+            add('new', entry);
+        }
+    }
+    for (const matches of remaining.values()) {
+        for (const entry of matches) add('resolved', entry);
+    }
+
+    return comparison;
+}
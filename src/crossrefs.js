@@ -0,0 +1,247 @@
+// Cross-reference targets: the book, chapter and verse references of `xo` and `xt` note parts
+import { BOOK_CODES, ENGLISH_BOOK_NAMES } from './books.js';
+import { DocumentModel } from './document.js';
+import { nodeLocation } from './locations.js';
+import { digitValue } from './numbers.js';
+import { parseNoteOrigin, parseVerseKey } from './references.js';
+import { getVersification } from './versification.js';
+
+const normalizeBookName = (name) => name.normalize('NFC').toLowerCase().replace(/[.\s]+/g, '');
+
+/**
+ * Builds a book-name lookup from book codes, English names and the names of the target language.
+ * Names also match through an unambiguous abbreviation ("Gal", "1 Cor", "Ps").
+ * @param {object} [bookNames] - Names and abbreviations mapped to book codes, e.g. `{ "Galates": "GAL", "Ga": "GAL" }`.
+ * @returns {function} `(name) => code`, giving null for an unknown or ambiguous name.
+ * @throws {Error} When a name is mapped to an unknown book code.
+ */
+export function createBookNameResolver(bookNames = {}) {
+    const codes = new Map(BOOK_CODES.map((code) => [normalizeBookName(code), code]));
+    const names = new Map();
+    for (const [code, name] of Object.entries(ENGLISH_BOOK_NAMES)) names.set(normalizeBookName(name), code);
+    for (const [name, code] of Object.entries(bookNames || {})) {
+        const upper = String(code).toUpperCase();
+        if (!BOOK_CODES.includes(upper)) throw new Error(`Book name "${name}" is mapped to unknown book code "${code}"`);
+        names.set(normalizeBookName(name), upper);
+    }
+
+    // Codes match exactly; names also match through an abbreviation ("Ps" but not "PS2")
+    return (name) => {
+        const key = normalizeBookName(name);
+        if (names.has(key)) return names.get(key);
+        if (codes.has(key)) return codes.get(key);
+        if (key.length < 2) return null;
+        const found = new Set([...names].filter(([known]) => known.startsWith(key)).map(([, code]) => code));
+        return found.size === 1 ? [...found][0] : null;
+    };
+}
+
+/**
+ * Lists the problems of a book name map, for recipe validation.
+ * @param {object} bookNames - Names and abbreviations mapped to book codes.
+ * @returns {Array} Problems `{ path, message }`, where `path` names the book name ('["Galates"]').
+ */
+export function bookNameProblems(bookNames) {
+    return Object.entries(bookNames)
+        .filter(([, code]) => typeof code !== 'string' || !BOOK_CODES.includes(code.toUpperCase()))
+        .map(([name, code]) => ({
+            path: `[${JSON.stringify(name)}]`,
+            message: typeof code === 'string' ? `names an unknown book code "${code}"` : `must be a book code, got ${code === null ? 'null' : typeof code}`,
+        }));
+}
+
+// One reference of a list: "3", "3-4", "3:5", "3:5-7" or "3:5-4:2"; a bare number is a verse after a "c:v" reference
+const ITEM_REGEX = /^(\d+)[a-z]?(?:\s*[:.]\s*(\d+)[a-z]?)?(?:\s*[-–]\s*(\d+)[a-z]?(?:\s*[:.]\s*(\d+)[a-z]?)?)?$/;
+const BOOK_PREFIX_REGEX = /^((?:[1-4]\s*)?\p{L}[\p{L}\p{M}.'’\s]*?)\s*(\d[\s\S]*)$/u;
+
+/**
+ * Parses the text of a cross-reference target (`xt`), such as "Gal 2:1; Act 13:9, 27:7; 1 Cor 1:2-4; 3:5".
+ * References are separated by ";"; after "," a number is a verse of the same chapter, or a new
+ * chapter and verse. References without a book name stay in the book of the previous one.
+ * @param {string} text - Target text.
+ * @param {function} resolveBook - Book-name lookup, see `createBookNameResolver`.
+ * @param {string|null} book - Book code of the text the note belongs to, for references without a book.
+ * @returns {Array} One entry per reference group `{ text, start, end, references }`, each reference
+ *   `{ book, chapter, verse, endChapter, endVerse }` (`verse` null for whole chapters), or
+ *   `{ text, start, end, error }` when the group cannot be read.
+ */
+export function parseCrossReferences(text, resolveBook, book = null) {
+    const groups = [];
+    let currentBook = book;
+    let offset = 0;
+
+    for (const part of text.split(';')) {
+        const start = offset + part.search(/\S|$/);
+        const trimmed = part.trim().replace(/[.\s]+$/, '');
+        offset += part.length + 1;
+        if (trimmed === '') continue;
+        const group = { text: trimmed, start, end: start + trimmed.length };
+        groups.push(group);
+
+        let numbers = trimmed;
+        const prefixed = BOOK_PREFIX_REGEX.exec(trimmed);
+        if (prefixed) {
+            const code = resolveBook(prefixed[1]);
+            if (!code) {
+                group.error = `unknown book "${prefixed[1].trim()}"`;
+                continue;
+            }
+            currentBook = code;
+            numbers = prefixed[2];
+        } else if (!/^\d/.test(trimmed)) {
+            group.error = 'no chapter or verse';
+            continue;
+        }
+        if (!currentBook) {
+            group.error = 'no book';
+            continue;
+        }
+
+        numbers = numbers.replace(/\p{Nd}/gu, (digit) => String(digitValue(digit)));
+        group.references = [];
+        let chapter = null;
+        for (const item of numbers.split(',').map((value) => value.trim())) {
+            const match = ITEM_REGEX.exec(item);
+            if (!match) {
+                group.error = `"${item}" is not a chapter or verse`;
+                break;
+            }
+            const [, first, second, third, fourth] = match.map((value) => (value === undefined ? null : Number(value)));
+            let reference;
+            if (second !== null) {
+                // "3:5", "3:5-7", "3:5-4:2"
+                chapter = first;
+                reference = fourth !== null
+                    ? { chapter, verse: second, endChapter: third, endVerse: fourth }
+                    : { chapter, verse: second, endChapter: chapter, endVerse: third ?? second };
+                if (fourth !== null) chapter = third;
+            } else if (chapter !== null) {
+                // Verses of the chapter of the previous reference: "5", "5-7"
+                reference = { chapter, verse: first, endChapter: chapter, endVerse: third ?? first };
+            } else {
+                // Whole chapters: "3", "3-4"
+                reference = { chapter: first, verse: null, endChapter: third ?? first, endVerse: null };
+            }
+            group.references.push({ book: currentBook, ...reference });
+        }
+        if (group.error) delete group.references;
+    }
+
+    return groups;
+}
+
+// Location of a range of a note part's text, or of the part itself when its text is split over several nodes
+function partLocation(notePath, index, part, start, end) {
+    const path = `${notePath}/content/${index}`;
+    return part.content?.length === 1 && typeof part.content[0] === 'string'
+        ? { path: `${path}/content/0`, start, end }
+        : nodeLocation(path);
+}
+
+const textOf = (content) => (content || []).map((item) => (typeof item === 'string' ? item : textOf(item?.content))).join('');
+
+/**
+ * Checks the cross-references (`x` notes) of a text: origins (`xo`) that do not match the verse the
+ * note is attached to, target references (`xt`) that cannot be read, and targets pointing to verses
+ * that do not exist. Verses are looked up in the verse inventory of the given versification, or, for
+ * references to the book itself, in the text; references to other books are not verified without an inventory.
+ * When a versification is given but has no inventory for a referenced book, as with the built-in ones,
+ * a single `no_inventory` issue tells that the references to that book were not verified.
+ * A `link-href` attribute on `xt`, when present, is read instead of the displayed text.
+ * @param {object} target - Parsed JSON object or `DocumentModel` of the target text.
+ * @param {object} [options] - Check options.
+ * @param {object} [options.bookNames] - Book names and abbreviations of the target language, see `createBookNameResolver`.
+ * @param {string|object} [options.versification] - Versification with a verse inventory, see `getVersification`.
+ * @returns {object} Report of cross-reference issues.
+ */
+export function detectCrossReferenceTargets(target, options = {}) {
+    const targetModel = DocumentModel.from(target);
+    const { bookNames = null, versification: spec = null } = options;
+    const issues = [];
+    const resolveBook = createBookNameResolver(bookNames || {});
+    const versification = spec ? getVersification(spec) : null;
+    const ownBook = targetModel.book;
+    const unverified = new Set();
+
+    function exists(book, chapter, verse) {
+        const known = versification ? versification.hasVerse(book, chapter, verse ?? 1) : null;
+        if (known !== null) return known;
+        if (book !== ownBook) return null;
+        return verse === null ? String(chapter) in targetModel.chapterPaths : targetModel.hasVerse(chapter, verse);
+    }
+    const format = (book, chapter, verse) => `${book} ${chapter}${verse === null ? '' : `:${verse}`}`;
+
+    for (const { content, reference, path } of targetModel.crossReferences) {
+        const parsed = parseVerseKey(reference);
+        const chapter = parseInt(reference, 10);
+        const where = parsed ? reference : `chapter ${chapter}`;
+        const at = parsed ? { verse: reference } : { chapter };
+        const parts = (content || []).map((part, index) => ({ part, index })).filter(({ part }) => part && typeof part === 'object');
+
+        const origin = parts.find(({ part }) => part.marker === 'xo');
+        if (origin && parsed) {
+            const text = textOf(origin.part.content).trim();
+            const range = parseNoteOrigin(text, parsed.chapter);
+            if (range && (range.chapter !== parsed.chapter || range.end < parsed.start || range.start > parsed.end)) {
+                issues.push({
+                    ...at,
+                    type: 'origin_mismatch',
+                    origin: text,
+                    location: partLocation(path, origin.index, origin.part, 0, textOf(origin.part.content).length),
+                    comment: `Cross-reference origin "${text}" does not match the verse the note is attached to (${reference}).`,
+                });
+            }
+        }
+
+        for (const { part, index } of parts.filter(({ part }) => part.marker === 'xt')) {
+            const href = part['link-href'];
+            const text = href ? href.replace(/^[a-z]+:/i, '') : textOf(part.content);
+            for (const group of parseCrossReferences(text, resolveBook, ownBook)) {
+                const location = href ? nodeLocation(`${path}/content/${index}`) : partLocation(path, index, part, group.start, group.end);
+                if (group.error) {
+                    issues.push({
+                        ...at,
+                        type: 'unparseable',
+                        cross_reference: group.text,
+                        location,
+                        comment: `Cross-reference "${group.text}" cannot be read: ${group.error} (${where}).`,
+                    });
+                    continue;
+                }
+                for (const ref of group.references) {
+                    if (versification && ref.book !== ownBook && versification.lastChapter(ref.book) === null) {
+                        if (unverified.has(ref.book)) continue;
+                        unverified.add(ref.book);
+                        issues.push({
+                            ...at,
+                            type: 'no_inventory',
+                            cross_reference: group.text,
+                            target_book: ref.book,
+                            location,
+                            comment: `Cross-references to ${ref.book} cannot be verified: versification "${versification.name}" has no verse inventory for this book (first one "${group.text}", ${where}).`,
+                        });
+                        continue;
+                    }
+                    const missing = [[ref.chapter, ref.verse], [ref.endChapter, ref.endVerse]]
+                        .find(([refChapter, refVerse]) => exists(ref.book, refChapter, refVerse) === false);
+                    if (!missing) continue;
+                    const pointed = format(ref.book, ...missing);
+                    issues.push({
+                        ...at,
+                        type: 'nonexistent_verse',
+                        cross_reference: group.text,
+                        target: pointed,
+                        location,
+                        comment: `Cross-reference "${group.text}" points to ${pointed}, which does not exist (${where}).`,
+                    });
+                    break;
+                }
+            }
+        }
+    }
+
+    return {
+        check: 'crossref::targets',
+        issues,
+    };
+}
@@ -0,0 +1,241 @@
+// Indexed view of a USJ document, built once and shared by every check of a run
+import { USJHandler } from './USJHandler.js';
+import { getBookCode } from './books.js';
+import { indexVerseKeys, parseVerseKey } from './references.js';
+
+/**
+ * Indexed model of one scripture document.
+ * Each index is built on first use and then kept, so that a run walks the USJ tree
+ * once per index instead of once per check.
+ */
+export class DocumentModel {
+    /**
+     * @param {object|string} usj - USJ object, or USJ/USX/USFM text to parse.
+     * @param {object} [options] - Model options.
+     * @param {string} [options.format] - Format of a text input ("usj", "usx", "usfm" or "auto").
+     */
+    constructor(usj, options = {}) {
+        this.handler = new USJHandler(usj, options);
+        this.usj = this.handler.usj;
+        this.indexes = new Map();
+    }
+
+    /**
+     * Returns the given model, or builds one for a USJ object or text.
+     * @param {DocumentModel|object|string} input - Model, USJ object or document text.
+     * @returns {DocumentModel}
+     */
+    static from(input) {
+        return input instanceof DocumentModel ? input : new DocumentModel(input);
+    }
+
+    // Builds an index on first use and returns the kept one afterwards
+    index(name, build) {
+        if (!this.indexes.has(name)) this.indexes.set(name, build());
+        return this.indexes.get(name);
+    }
+
+    /**
+     * Book code declared by the `id` marker, or null.
+     * @type {string|null}
+     */
+    get book() {
+        return this.index('book', () => getBookCode(this.usj));
+    }
+
+    /**
+     * Verses with the nodes their text comes from, see `USJHandler.extractVerseMap()`.
+     * @type {object}
+     */
+    get verseMap() {
+        return this.index('verseMap', () => this.handler.extractVerseMap());
+    }
+
+    /**
+     * Verse text by verse key ("1:3", "1:4-5", "2:1a"), see `USJHandler.extractVerses()`.
+     * @type {object}
+     */
+    get verses() {
+        return this.index('verses', () => {
+            const verses = {};
+            for (const [key, { text }] of Object.entries(this.verseMap)) {
+                verses[key] = text;
+            }
+            return verses;
+        });
+    }
+
+    /**
+     * Map of single verses ("1:4") to the verse key containing them ("1:3-4").
+     * @type {Map}
+     */
+    get verseKeys() {
+        return this.index('verseKeys', () => indexVerseKeys(this.verses));
+    }
+
+    /**
+     * Map of single verses ("1:5") to every verse key covering them, in document order
+     * ("1:5a", "1:5b"), for verses not keyed as such.
+     * @type {Map}
+     */
+    get verseKeyLists() {
+        return this.index('verseKeyLists', () => {
+            const lists = new Map();
+            for (const key of Object.keys(this.verses)) {
+                const parsed = parseVerseKey(key);
+                if (!parsed) continue;
+                for (let verse = parsed.start; verse <= parsed.end; verse++) {
+                    const single = `${parsed.chapter}:${verse}`;
+                    if (!lists.has(single)) lists.set(single, []);
+                    lists.get(single).push(key);
+                }
+            }
+            return lists;
+        });
+    }
+
+    /**
+     * Verse numbers of each chapter with their marker path, see `USJHandler.extractChapterVerseNodes()`.
+     * @type {object}
+     */
+    get chapterVerseNodes() {
+        return this.index('chapterVerseNodes', () => this.handler.extractChapterVerseNodes());
+    }
+
+    /**
+     * Verse numbers of each chapter, in document order.
+     * @type {object}
+     */
+    get chapterVerses() {
+        return this.index('chapterVerses', () => {
+            const chapters = {};
+            for (const [chapter, verses] of Object.entries(this.chapterVerseNodes)) {
+                chapters[chapter] = verses.map(({ verse }) => verse);
+            }
+            return chapters;
+        });
+    }
+
+    /**
+     * Set of the verse numbers present in each chapter.
+     * @type {object}
+     */
+    get chapterVerseSets() {
+        return this.index('chapterVerseSets', () => {
+            const chapters = {};
+            for (const [chapter, verses] of Object.entries(this.chapterVerses)) {
+                chapters[chapter] = new Set(verses);
+            }
+            return chapters;
+        });
+    }
+
+    /**
+     * JSON pointer of each chapter marker.
+     * @type {object}
+     */
+    get chapterPaths() {
+        return this.index('chapterPaths', () => this.handler.extractChapterPaths());
+    }
+
+    /**
+     * Footnotes, endnotes and cross-references `{ marker, caller, content, reference, path }`,
+     * see `USJHandler.extractFootnotes()`.
+     * @type {Array}
+     */
+    get footnotes() {
+        return this.index('footnotes', () => this.handler.extractFootnotes());
+    }
+
+    /**
+     * Cross-references: the `x` notes of `footnotes`.
+     * @type {Array}
+     */
+    get crossReferences() {
+        return this.index('crossReferences', () => this.footnotes.filter((note) => note.marker === 'x'));
+    }
+
+    /**
+     * Word alignment markup of each verse, see `USJHandler.extractAlignments()`.
+     * @type {object}
+     */
+    get alignments() {
+        return this.index('alignments', () => this.handler.extractAlignments());
+    }
+
+    /**
+     * Words of each verse `{ text, lemma, path }`, see `USJHandler.extractVerseWords()`.
+     * @type {object}
+     */
+    get verseWords() {
+        return this.index('verseWords', () => this.handler.extractVerseWords());
+    }
+
+    /**
+     * Paragraph-level nodes `{ marker, path, chapter, verse }`, where `chapter` and `verse` are
+     * the last chapter and verse markers seen before the paragraph (null before the first one).
+     * @type {Array}
+     */
+    get paragraphs() {
+        return this.index('paragraphs', () => {
+            const paragraphs = [];
+            let chapter = null;
+            let verse = null;
+            this.handler.traverse(this.usj.content, (item, path) => {
+                if (item.marker === 'c' && item.number) {
+                    chapter = item.number;
+                    verse = null;
+                } else if (item.marker === 'v' && item.number) {
+                    verse = item.number;
+                } else if (item.type === 'para') {
+                    paragraphs.push({ marker: item.marker, path, chapter, verse });
+                }
+            });
+            return paragraphs;
+        });
+    }
+
+    /**
+     * Top-level paragraphs before the first chapter: identification, headers, titles and introduction.
+     * Entries are `{ marker, text, path }`. `text` joins the strings of the paragraph and its character
+     * styles, without notes, and is trimmed.
+     * @type {Array}
+     */
+    get headers() {
+        return this.index('headers', () => {
+            const textOf = (content) => (content || [])
+                .map((item) => (typeof item === 'string' ? item : item?.type === 'note' ? '' : textOf(item?.content)))
+                .join('');
+            const headers = [];
+            for (const [index, item] of (this.usj.content || []).entries()) {
+                if (item?.marker === 'c') break;
+                if (item?.type === 'para') {
+                    headers.push({ marker: item.marker, text: textOf(item.content).trim(), path: `/content/${index}` });
+                }
+            }
+            return headers;
+        });
+    }
+
+    /**
+     * Returns the text of a verse, looking into bridges ("1:4" is found in "1:3-4") and joining
+     * the segments of a split verse ("1:5" is "1:5a" and "1:5b").
+     * @param {string} reference - Verse key "<chapter>:<verse>".
+     * @returns {string|undefined} Verse text, or undefined when the verse is absent.
+     */
+    verse(reference) {
+        if (reference in this.verses) return this.verses[reference];
+        const keys = this.verseKeyLists.get(reference);
+        return keys === undefined ? undefined : keys.map((key) => this.verses[key]).join(' ');
+    }
+
+    /**
+     * Tells whether a chapter contains a verse.
+     * @param {number|string} chapter - Chapter number.
+     * @param {number} verse - Verse number.
+     * @returns {boolean}
+     */
+    hasVerse(chapter, verse) {
+        return this.chapterVerseSets[chapter]?.has(verse) || false;
+    }
+}
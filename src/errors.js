@@ -0,0 +1,17 @@
+/**
+ * Error raised when a USFM or USX document cannot be parsed.
+ * Carries the 1-based line and column where the problem was found.
+ */
+export class ParseError extends Error {
+    /**
+     * @param {string} message - Description of the problem.
+     * @param {number} line - 1-based line number.
+     * @param {number} column - 1-based column number.
+     */
+    constructor(message, line, column) {
+        super(`${message} (line ${line}, column ${column})`);
+        this.name = 'ParseError';
+        this.line = line;
+        this.column = column;
+    }
+}
@@ -0,0 +1,39 @@
+// Stable issue fingerprints, used to recognise the same issue across runs
+
+// Fields that move or vary with unrelated edits, and so are left out of the fingerprint
+const VOLATILE_FIELDS = new Set([
+    'book', 'reference', 'source_reference', 'fingerprint', 'suppressed',
+    'location', 'locations', 'position', 'positions', 'whitespace_positions',
+    'source_length', 'target_length', 'difference', 'verse_text', 'source_count', 'target_count',
+]);
+
+function canonical(value) {
+    if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter((key) => !VOLATILE_FIELDS.has(key) && value[key] !== undefined).sort();
+        return `{${keys.map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+// 32-bit FNV-1a over UTF-16 code units
+function fnv1a(text, seed) {
+    let hash = seed;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * Computes the fingerprint of an issue: a hash of the check name and of what the issue says,
+ * ignoring its reference, offsets and measurements so that it survives edits to other verses.
+ * @param {string} check - Name of the check that reported the issue.
+ * @param {object} issue - Issue as found in a report.
+ * @returns {string} 16 hexadecimal characters.
+ */
+export function issueFingerprint(check, issue) {
+    const text = `${check}\u0000${canonical(issue)}`;
+    return fnv1a(text, 0x811c9dc5) + fnv1a(text, 0x050c5d1f);
+}
@@ -0,0 +1,189 @@
+// Footnote structure: origin references, note text, callers, alternate translations and counts per chapter
+import { DocumentModel } from './document.js';
+import { nodeLocation } from './locations.js';
+import { parseNoteOrigin, parseVerseKey } from './references.js';
+
+const FOOTNOTE_MARKERS = ['f', 'fe'];
+
+// Text of a note part, with its nested character styles
+function textOf(content) {
+    return (content || []).map((item) => (typeof item === 'string' ? item : textOf(item?.content))).join('');
+}
+
+// Text compared between an alternate translation and its verse: case, outer punctuation and spacing ignored
+function comparable(text) {
+    return text.normalize('NFC').toLowerCase().replace(/\s+/g, ' ').replace(/^[\p{P}\s]+|[\p{P}\s]+$/gu, '');
+}
+
+// Location of a note part: its text when it is a single string, the part itself otherwise
+function partLocation(notePath, index, part) {
+    const path = `${notePath}/content/${index}`;
+    return part.content?.length === 1 && typeof part.content[0] === 'string'
+        ? { path: `${path}/content/0`, start: 0, end: part.content[0].length }
+        : nodeLocation(path);
+}
+
+// Caller convention of a note: automatic ("+"), none ("-") or given symbols ("a", "*")
+const callerStyle = (caller) => (caller === '+' || caller === '-' ? caller : 'custom');
+
+/**
+ * Checks the structure of the notes of a text:
+ * - footnote origin references (`fr`) that do not match the verse the note is attached to;
+ * - footnotes without any `ft` text;
+ * - notes whose `caller` departs from the convention of the other notes of the same kind (a mix of `+`, `-` and symbols);
+ * - alternate translations (`fqa`) identical to the verse text or to the text they are an alternative for.
+ * @param {object} target - Parsed JSON object or `DocumentModel` of the target text.
+ * @returns {object} Report of note structure issues.
+ */
+export function detectFootnoteStructure(target) {
+    const targetModel = DocumentModel.from(target);
+    const issues = [];
+    const notes = targetModel.footnotes;
+
+    // Most used caller convention of each note marker, the first one seen on ties
+    const conventions = new Map();
+    for (const marker of new Set(notes.map((note) => note.marker))) {
+        const counts = new Map();
+        for (const note of notes.filter((item) => item.marker === marker)) {
+            const style = callerStyle(note.caller);
+            counts.set(style, (counts.get(style) || 0) + 1);
+        }
+        const [[style]] = [...counts].sort((a, b) => b[1] - a[1]);
+        conventions.set(marker, style);
+    }
+
+    for (const note of notes) {
+        const { marker, caller, content, reference, path } = note;
+        const parsed = parseVerseKey(reference);
+        const chapter = parseInt(reference, 10);
+        const where = parsed ? reference : `chapter ${chapter}`;
+        const at = parsed ? { verse: reference } : { chapter };
+        const parts = content.map((part, index) => ({ part, index })).filter(({ part }) => part && typeof part === 'object');
+        const kind = marker === 'x' ? 'Cross-reference' : 'Footnote';
+
+        const expected = conventions.get(marker);
+        if (callerStyle(caller) !== expected) {
+            const described = expected === 'custom' ? 'a symbol' : `"${expected}"`;
+            issues.push({
+                ...at,
+                type: 'inconsistent_caller',
+                note: marker,
+                caller,
+                expected_caller: expected,
+                location: nodeLocation(path),
+                comment: `${kind} caller "${caller}" differs from the other "${marker}" notes, which use ${described} (${where}).`,
+            });
+        }
+
+        if (!FOOTNOTE_MARKERS.includes(marker)) continue;
+
+        const origin = parts.find(({ part }) => part.marker === 'fr');
+        if (origin && parsed) {
+            const text = textOf(origin.part.content).trim();
+            const range = parseNoteOrigin(text, parsed.chapter);
+            if (range && (range.chapter !== parsed.chapter || range.end < parsed.start || range.start > parsed.end)) {
+                issues.push({
+                    ...at,
+                    type: 'origin_mismatch',
+                    note: marker,
+                    origin: text,
+                    location: partLocation(path, origin.index, origin.part),
+                    comment: `Footnote origin "${text}" does not match the verse the note is attached to (${reference}).`,
+                });
+            }
+        }
+
+        if (!parts.some(({ part }) => part.marker === 'ft' && textOf(part.content).trim() !== '')) {
+            issues.push({
+                ...at,
+                type: 'missing_text',
+                note: marker,
+                location: nodeLocation(path),
+                comment: `Footnote has no "ft" text (${where}).`,
+            });
+        }
+
+        const verseText = parsed ? targetModel.verse(reference) : undefined;
+        let quoted = null;
+        for (const { part, index } of parts) {
+            if (part.marker === 'fq') quoted = textOf(part.content);
+            if (part.marker !== 'fqa') continue;
+
+            const alternate = comparable(textOf(part.content));
+            if (alternate === '') continue;
+            const sameAs = (verseText !== undefined && alternate === comparable(verseText) && 'verse')
+                || (quoted !== null && alternate === comparable(quoted) && 'quotation');
+            if (!sameAs) continue;
+            issues.push({
+                ...at,
+                type: 'alternate_identical',
+                note: marker,
+                alternate: textOf(part.content).trim(),
+                location: partLocation(path, index, part),
+                comment: sameAs === 'verse'
+                    ? `Alternate translation is identical to the verse text (${where}).`
+                    : `Alternate translation is identical to the quoted text it is an alternative for (${where}).`,
+            });
+        }
+    }
+
+    return {
+        check: 'footnote::structure',
+        issues,
+    };
+}
+
+/**
+ * Compares the number of footnotes (`f` and `fe`) of each chapter with the source. Chapters missing on
+ * either side are left to the chapter and verse checks.
+ * @param {object} source - Parsed JSON object or `DocumentModel` of the source text.
+ * @param {object} target - Parsed JSON object or `DocumentModel` of the target text.
+ * @param {object|null} mapping - Versification mapping `{ book, mapVerse }` from source to target.
+ * @returns {object} Report of chapters whose footnote count differs.
+ */
+export function detectFootnoteCounts(source, target, mapping = null) {
+    const sourceModel = DocumentModel.from(source);
+    const targetModel = DocumentModel.from(target);
+    const issues = [];
+    const targetPaths = targetModel.chapterPaths;
+    const sourcePaths = sourceModel.chapterPaths;
+
+    // Source notes are counted in the target chapter their verse maps to
+    const chapterOf = (reference) => {
+        const parsed = parseVerseKey(reference);
+        if (!parsed || !mapping?.mapVerse) return parseInt(reference, 10);
+        const mapped = mapping.mapVerse(mapping.book, parsed.chapter, parsed.start);
+        return mapped.book === mapping.book && mapped.verse !== 0 ? mapped.chapter : parsed.chapter;
+    };
+    const count = (notes, chapterFor) => {
+        const counts = new Map();
+        for (const { marker, reference } of notes) {
+            if (!FOOTNOTE_MARKERS.includes(marker)) continue;
+            const chapter = chapterFor(reference);
+            counts.set(chapter, (counts.get(chapter) || 0) + 1);
+        }
+        return counts;
+    };
+    const sourceCounts = count(sourceModel.footnotes, chapterOf);
+    const targetCounts = count(targetModel.footnotes, (reference) => parseInt(reference, 10));
+
+    for (const chapter of Object.keys(targetPaths).filter((key) => key in sourcePaths).map(Number)) {
+        const sourceCount = sourceCounts.get(chapter) || 0;
+        const targetCount = targetCounts.get(chapter) || 0;
+        if (sourceCount === targetCount) continue;
+        const fewer = targetCount < sourceCount;
+        issues.push({
+            chapter,
+            type: fewer ? 'fewer_footnotes' : 'more_footnotes',
+            source_count: sourceCount,
+            target_count: targetCount,
+            location: nodeLocation(targetPaths[chapter]),
+            comment: `Chapter ${chapter} has ${fewer ? 'fewer' : 'more'} footnotes than the source.`,
+        });
+    }
+
+    return {
+        check: 'footnote::counts',
+        issues,
+    };
+}
@@ -0,0 +1,40 @@
+import { parseUSFM } from './usfm.js';
+import { parseUSX } from './usx.js';
+
+/**
+ * Detects the format of a scripture document given as text.
+ * @param {string} text - Raw document text.
+ * @returns {string} "usj", "usx" or "usfm".
+ */
+export function detectFormat(text) {
+    const start = text.replace(/^\uFEFF/, '').trimStart();
+
+    if (start.startsWith('{')) return 'usj';
+    if (start.startsWith('<')) return 'usx';
+    if (start.startsWith('\\')) return 'usfm';
+    throw new Error('Unable to detect document format (expected USJ, USX or USFM)');
+}
+
+/**
+ * Parses a scripture document into a USJ object.
+ * Objects are assumed to already be USJ and are returned untouched.
+ * @param {string|object} input - Document text or USJ object.
+ * @param {string} [format] - "usj", "usx" or "usfm"; detected from the text when omitted or "auto".
+ * @returns {object} USJ object.
+ */
+export function parseDocument(input, format = 'auto') {
+    if (typeof input !== 'string') return input;
+
+    const resolved = !format || format === 'auto' ? detectFormat(input) : format.toLowerCase();
+
+    switch (resolved) {
+        case 'usj':
+            return JSON.parse(input);
+        case 'usx':
+            return parseUSX(input);
+        case 'usfm':
+            return parseUSFM(input);
+        default:
+            throw new Error(`Unsupported document format: ${format}`);
+    }
+}
@@ -0,0 +1,294 @@
+// Renderers turning a `checks()` report into CSV, JUnit XML, SARIF or HTML
+import { DocumentModel } from './document.js';
+import { issueChapterVerse, parseVerseKey } from './references.js';
+
+export const REPORT_FORMATS = ['json', 'csv', 'junit', 'sarif', 'html'];
+
+const CSV_COLUMNS = ['check', 'readName', 'level', 'book', 'reference', 'chapter', 'verse', 'type', 'comment', 'verse_text'];
+const SARIF_LEVELS = { major: 'error', minor: 'warning' };
+
+/**
+ * Flattens a report into one row per issue, in report order.
+ * @param {object} report - Report returned by `checks()`.
+ * @returns {Array} Rows `{ check, issue, chapter, verse }`.
+ */
+function issueRows(report) {
+    const rows = [];
+    for (const check of report.checks || []) {
+        for (const issue of check.issues || []) {
+            rows.push({ check, issue, ...issueChapterVerse(issue) });
+        }
+    }
+    return rows;
+}
+
+function issueMessage(check, issue) {
+    return issue.comment || check.readName || check.name;
+}
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function csvField(value) {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Renders a report as CSV, one line per issue (RFC 4180 quoting).
+ * @param {object} report - Report returned by `checks()`.
+ * @returns {string} CSV text with a header line.
+ */
+export function toCsv(report) {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const { check, issue, chapter, verse } of issueRows(report)) {
+        lines.push([
+            check.name,
+            check.readName || check.name,
+            check.level,
+            issue.book,
+            issue.reference,
+            chapter,
+            verse ? verse.slice(verse.indexOf(':') + 1) : issue.verse,
+            issue.type,
+            issue.comment,
+            issue.verse_text,
+        ].map(csvField).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Renders a report as JUnit XML: one test suite per check, one failing test case per issue.
+ * @param {object} report - Report returned by `checks()`.
+ * @returns {string} JUnit XML document.
+ */
+export function toJUnit(report) {
+    const suites = (report.checks || []).map((check) => {
+        const issues = check.issues || [];
+        const cases = issues.map((issue) => {
+            const name = issue.reference || issue.verse || check.name;
+            const details = JSON.stringify(issue, null, 2);
+            return `    <testcase classname="${escapeXml(check.name)}" name="${escapeXml(name)}">\n`
+                + `      <failure type="${escapeXml(check.level)}" message="${escapeXml(issueMessage(check, issue))}">${escapeXml(details)}</failure>\n`
+                + '    </testcase>';
+        });
+        return `  <testsuite name="${escapeXml(check.name)}" tests="${issues.length}" failures="${issues.length}" errors="0">\n`
+            + (cases.length > 0 ? cases.join('\n') + '\n' : '')
+            + '  </testsuite>';
+    });
+    const total = (report.checks || []).reduce((sum, check) => sum + (check.issues || []).length, 0);
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n'
+        + `<testsuites name="bible-checker" tests="${total}" failures="${total}" errors="0">\n`
+        + (suites.length > 0 ? suites.join('\n') + '\n' : '')
+        + '</testsuites>\n';
+}
+
+/**
+ * Renders a report as SARIF 2.1.0, one rule per check and one result per issue.
+ * @param {object} report - Report returned by `checks()`.
+ * @param {object} [options] - Rendering options.
+ * @param {object} [options.uris] - Map of book codes to the path of the target file, used as artifact location.
+ * @returns {string} SARIF JSON text.
+ */
+export function toSarif(report, options = {}) {
+    const uris = options.uris || {};
+    const rules = [];
+    const ruleIndexes = new Map();
+    const results = [];
+
+    for (const { check, issue } of issueRows(report)) {
+        if (!ruleIndexes.has(check.name)) {
+            ruleIndexes.set(check.name, rules.length);
+            rules.push({
+                id: check.name,
+                name: check.readName || check.name,
+                shortDescription: { text: check.description || check.readName || check.name },
+                defaultConfiguration: { level: SARIF_LEVELS[check.level] || 'error' },
+            });
+        }
+
+        const result = {
+            ruleId: check.name,
+            ruleIndex: ruleIndexes.get(check.name),
+            level: SARIF_LEVELS[check.level] || 'error',
+            message: { text: issueMessage(check, issue) },
+            locations: [],
+        };
+        const location = {};
+        const uri = issue.book ? uris[issue.book] : uris[Object.keys(uris)[0]];
+        if (uri) location.physicalLocation = { artifactLocation: { uri } };
+        if (issue.reference) location.logicalLocations = [{ fullyQualifiedName: issue.reference, kind: 'verse' }];
+        if (Object.keys(location).length > 0) result.locations.push(location);
+        results.push(result);
+    }
+
+    const sarif = {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: { driver: { name: 'bible-checker', informationUri: 'https://www.npmjs.com/package/bible-checker', rules } },
+            results,
+        }],
+    };
+    return JSON.stringify(sarif, null, 2) + '\n';
+}
+
+/**
+ * Indexes the documents of one side of a run by book code.
+ * @param {string|object|array} input - Document(s) as accepted by `checks()`.
+ * @returns {Map} Map of book code (null for a single document without `id`) to its `DocumentModel`.
+ */
+function indexTexts(input) {
+    const books = new Map();
+    if (!input) return books;
+    for (const document of [].concat(input)) {
+        const model = DocumentModel.from(document);
+        books.set(model.book, model);
+    }
+    return books;
+}
+
+function lookupVerse(books, book, verse) {
+    const model = books.get(book) || (books.size === 1 ? [...books.values()][0] : null);
+    if (!model || !verse) return null;
+    const text = model.verse(verse);
+    const parsed = parseVerseKey(verse);
+    if (text !== undefined || !parsed || parsed.start === parsed.end) return text ?? null;
+    // A range of verses kept apart in this text
+    const texts = [];
+    for (let number = parsed.start; number <= parsed.end; number++) {
+        const text = model.verse(`${parsed.chapter}:${number}`);
+        if (text !== undefined) texts.push(text);
+    }
+    return texts.length > 0 ? texts.join(' ') : null;
+}
+
+// Verse key of the source text of a row: under a versification mapping, the source verses of the issue
+function sourceVerse({ issue, verse }) {
+    const reference = issue.source_reference;
+    if (!reference) return verse;
+    return issue.book && reference.startsWith(`${issue.book} `) ? reference.slice(issue.book.length + 1) : reference;
+}
+
+const HTML_STYLE = `
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+h1 { margin-bottom: 0.25rem; }
+h2 { margin-top: 2rem; border-bottom: 2px solid #ccc; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 1rem; }
+th, td { border: 1px solid #ddd; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+th { background: #f4f4f4; }
+td.reference { white-space: nowrap; font-weight: bold; }
+td.text { width: 30%; }
+ul { margin: 0; padding-left: 1.2rem; }
+.level { display: inline-block; padding: 0 0.4rem; border-radius: 0.3rem; font-size: 0.8rem; color: #fff; }
+.level-major { background: #c0392b; }
+.level-minor { background: #d68910; }
+.summary td { text-align: right; }
+`;
+
+/**
+ * Renders a report as a standalone HTML page, grouped by book and chapter,
+ * with the source and target text of each verse side by side.
+ * @param {object} report - Report returned by `checks()`.
+ * @param {object} [options] - Rendering options.
+ * @param {string|object|array} [options.source] - Source document(s), as given to `checks()`.
+ * @param {string|object|array} [options.target] - Target document(s), as given to `checks()`.
+ * @param {string} [options.title] - Page title.
+ * @returns {string} HTML document.
+ */
+export function toHtml(report, options = {}) {
+    const title = options.title || 'Bible Checker Report';
+    const sources = indexTexts(options.source);
+    const targets = indexTexts(options.target);
+
+    // book -> chapter -> verse -> rows, keeping the order in which they first appear
+    const groups = new Map();
+    for (const row of issueRows(report)) {
+        const book = row.issue.book || '';
+        if (!groups.has(book)) groups.set(book, new Map());
+        const chapters = groups.get(book);
+        const chapter = row.chapter ?? '';
+        if (!chapters.has(chapter)) chapters.set(chapter, new Map());
+        const verses = chapters.get(chapter);
+        const verse = row.verse || row.issue.reference || '';
+        if (!verses.has(verse)) verses.set(verse, []);
+        verses.get(verse).push(row);
+    }
+
+    const summary = (report.checks || []).map((check) => `<tr><th>${escapeHtml(check.readName || check.name)}</th>`
+        + `<td><span class="level level-${escapeHtml(check.level)}">${escapeHtml(check.level)}</span></td>`
+        + `<td>${(check.issues || []).length}</td></tr>`);
+
+    const sections = [];
+    const sortedChapters = (chapters) => [...chapters.keys()].sort((a, b) => (a === '' ? 1 : b === '' ? -1 : a - b));
+    for (const [book, chapters] of groups) {
+        for (const chapter of sortedChapters(chapters)) {
+            const heading = [book, chapter === '' ? 'Book' : `Chapter ${chapter}`].filter(Boolean).join(' ');
+            const rows = [];
+            for (const [verse, verseRows] of chapters.get(chapter)) {
+                const issueBook = verseRows[0].issue.book || null;
+                const sourceText = lookupVerse(sources, issueBook, sourceVerse(verseRows[0]));
+                const targetText = lookupVerse(targets, issueBook, verseRows[0].verse);
+                const items = verseRows.map(({ check, issue }) => `<li><span class="level level-${escapeHtml(check.level)}">`
+                    + `${escapeHtml(check.level)}</span> <strong>${escapeHtml(check.readName || check.name)}</strong>: `
+                    + `${escapeHtml(issueMessage(check, issue))}</li>`);
+                rows.push(`<tr><td class="reference">${escapeHtml(verse)}</td>`
+                    + `<td class="text">${escapeHtml(sourceText ?? '')}</td>`
+                    + `<td class="text">${escapeHtml(targetText ?? '')}</td>`
+                    + `<td><ul>${items.join('')}</ul></td></tr>`);
+            }
+            sections.push(`<h2>${escapeHtml(heading)}</h2>\n<table>\n`
+                + '<tr><th>Verse</th><th>Source</th><th>Target</th><th>Issues</th></tr>\n'
+                + rows.join('\n') + '\n</table>');
+        }
+    }
+
+    return '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n'
+        + `<title>${escapeHtml(title)}</title>\n<style>${HTML_STYLE}</style>\n</head>\n<body>\n`
+        + `<h1>${escapeHtml(title)}</h1>\n`
+        + (summary.length > 0
+            ? `<table class="summary">\n<tr><th>Check</th><th>Level</th><th>Issues</th></tr>\n${summary.join('\n')}\n</table>\n`
+            : '<p>No issues found.</p>\n')
+        + sections.join('\n') + '\n</body>\n</html>\n';
+}
+
+/**
+ * Renders a report in one of the `REPORT_FORMATS`.
+ * @param {object} report - Report returned by `checks()`.
+ * @param {string} format - "json", "csv", "junit", "sarif" or "html".
+ * @param {object} [options] - Options of the chosen renderer.
+ * @returns {string} Rendered report.
+ */
+export function formatReport(report, format, options = {}) {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(report, null, 2) + '\n';
+        case 'csv':
+            return toCsv(report);
+        case 'junit':
+            return toJUnit(report);
+        case 'sarif':
+            return toSarif(report, options);
+        case 'html':
+            return toHtml(report, options);
+        default:
+            throw new Error(`Unsupported report format: ${format} (expected ${REPORT_FORMATS.join(', ')})`);
+    }
+}
@@ -1,87 +1,102 @@
 import { runChecks } from './checks.js';
+import { parseDocument } from './formats.js';
+import { defaultParameters, listChecks } from './registry.js';
+import { validateRecipe } from './validation.js';
+import { parseSuppressions } from './suppressions.js';
 // import { extractVerses } from './utils.js';
 // import { USJHandler } from './USJHandler.js';
 // const { launchStateMachine } = require('./usj_handler');
 
+export { USJHandler } from './USJHandler.js';
+export { DocumentModel } from './document.js';
+export { registerCheck, unregisterCheck, getCheck, listChecks } from './registry.js';
+export { detectFormat, parseDocument } from './formats.js';
+export { parseUSFM } from './usfm.js';
+export { parseUSX } from './usx.js';
+export { ParseError } from './errors.js';
+export { BOOK_CODES, ENGLISH_BOOK_NAMES, getBookCode } from './books.js';
+export { parseVerseNumber, parseVerseKey, expandVerseNumber } from './references.js';
+export { Versification, parseVrs, getVersification, getBuiltInVersifications, createVerseMapper } from './versification.js';
+export { validateRecipe } from './validation.js';
+export { formatReport, REPORT_FORMATS } from './formatters.js';
+export { issueFingerprint } from './fingerprints.js';
+export { parseSuppressions, suppressionFor } from './suppressions.js';
+export { compareReports } from './compare.js';
+export { parseGlossary } from './terms.js';
+export { normalizeName } from './names.js';
+export { QUOTE_LOCALES, quoteLevels } from './quotes.js';
+export { NUMBER_WORDS, findNumbers, findNumberWords } from './numbers.js';
+export { createBookNameResolver, parseCrossReferences } from './crossrefs.js';
+export { DEFAULT_REQUIRED_HEADERS } from './metadata.js';
+
 /**
  * Main function exposed by the package.
- * @param {string} source - JSON string representing the source text.
- * @param {string} target - JSON string representing the target text.
+ * Whole-Bible runs pass an array of books on each side; books are paired by their `id` code.
+ * Without a source, the checks that compare the target with it are skipped and listed with `"error": "missing_source"`.
+ * @param {string|array|null} source - USJ (JSON), USX or USFM string representing the source text, an array of them, or null.
+ * @param {string|array} target - USJ (JSON), USX or USFM string representing the target text, or an array of them.
  * @param {string|object} recipe - JSON string or object representing the list of checks to perform.
+ * @param {object} [options] - Input options.
+ * @param {string} [options.format] - Format of both texts: "usj", "usx", "usfm" or "auto" (default).
+ * @param {string} [options.sourceFormat] - Format of the source text, overrides `format`.
+ * @param {string} [options.targetFormat] - Format of the target text, overrides `format`.
+ * @param {boolean} [options.strict] - Throw when the recipe does not pass `validateRecipe()`,
+ *   instead of running it and reporting the problems under `validation`.
+ * @param {string|array|object} [options.suppressions] - Accepted issues, as the text or content of a suppressions file.
+ *   Matching issues are hidden and counted; suppressions matching nothing are listed as stale.
+ * @param {boolean} [options.showSuppressed] - Keep accepted issues in the report, marked with `suppressed`.
  * @returns {object} JSON report of all checks performed.
  */
-export function checks(source, target, recipe) {
+export function checks(source, target, recipe, options = {}) {
     try {
-        const sourceData = JSON.parse(source);
-        const targetData = JSON.parse(target);
+        const parse = (input, format) => Array.isArray(input)
+            ? input.map((book) => parseDocument(book, format))
+            : parseDocument(input, format);
+        const sourceData = source === null || source === undefined || source === ''
+            ? null
+            : parse(source, options.sourceFormat || options.format);
+        const targetData = parse(target, options.targetFormat || options.format);
         const recipeData = typeof recipe === 'string' ? JSON.parse(recipe) : recipe;
 
-        return runChecks(sourceData, targetData, recipeData);
+        const validation = validateRecipe(recipeData);
+        if (!validation.valid && options.strict) {
+            const error = new Error('Invalid recipe: ' + validation.errors
+                .map((problem) => (problem.path ? `${problem.path}: ` : '') + problem.message)
+                .join('; '));
+            error.validation = validation;
+            throw error;
+        }
+
+        const report = runChecks(sourceData, targetData, recipeData, {
+            suppressions: options.suppressions ? parseSuppressions(options.suppressions) : null,
+            showSuppressed: options.showSuppressed,
+        });
+        if (validation.errors.length > 0 || validation.warnings.length > 0) {
+            report.validation = { errors: validation.errors, warnings: validation.warnings };
+        }
+        return report;
     } catch (error) {
-        throw new Error('Invalid input: ' + error.message);
+        throw new Error('Invalid input: ' + error.message, { cause: error });
     }
 }
 
 /**
  * Returns the full list of available checks (recipe) with "enabled" set to false.
+ * Built from the check registry, so checks added with `registerCheck()` are included.
  * @returns {Array} Array of check definitions.
  */
 export function getAvailableChecks() {
-    const recipe = [
-        {
-            name: "versestats::verse_stats",
-            readName: "Verse statistics",
-            description: "Checks for empty, short and long verses",
-            level: "minor",
-            enabled: false,
-            parameters: {
-                short_threshold: 20
-            }
-        },
-        {
-            name: "chapterverse::integrity_check",
-            readName: "Duplicated or out-of-order chapter/verse",
-            description: "Checks for duplicated or out-of-order chapter/verse numbers.",
-            level: "major",
-            enabled: false,
-        },
-        {
-            name: "chapterverse::missing_verses",
-            readName: "Missing verses",
-            description: "Detects missing verses in the target compared to the source.",
-            level: "major",
+    return listChecks().map((definition) => {
+        const check = {
+            name: definition.name,
+            readName: definition.readName,
+            description: definition.description,
+            level: definition.level,
             enabled: false,
-        },
-        {
-            name: "textquality::repeated_words_whitespace",
-            readName: "Repeated words and whitespace",
-            description: "Detects repeated words and excessive whitespace in verses",
-            level: "minor",
-            enabled: false
-        },
-        {
-            name: "textquality::unmatched_punctuation",
-            readName: "Unmatched punctuation",
-            description: "Checks for unmatched punctuation pairs like quotes, parentheses, or brackets",
-            level: "minor",
-            enabled: false
-        },
-        {
-            name: "numbers_check::mismatches",
-            readName: "Missing numbers",
-            description: "Checks if numbers from the source are correctly reported in the target.",
-            level: "major",
-            enabled: false,
-        },
-        {
-            name: "footnote::quotation_mismatch",
-            readName: "Unmatched footnote quotations",
-            description: "Detects footnote quotations that do not match the verse or are missing words.",
-            level: "minor",
-            enabled: false,
-        },
-        
-    ];
-
-    return recipe;
+        };
+        if (Object.keys(definition.parameters).length > 0) {
+            check.parameters = defaultParameters(definition);
+        }
+        return check;
+    });
 }
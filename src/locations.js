@@ -0,0 +1,62 @@
+// Issue locations: JSON pointers into the target USJ, with offsets inside string nodes
+
+/**
+ * Locates a whole node, such as a verse or chapter marker.
+ * @param {string} path - JSON pointer of the node.
+ * @returns {object} `{ path }`.
+ */
+export function nodeLocation(path) {
+    return { path };
+}
+
+/**
+ * Maps a range of a verse text, as built by `USJHandler.extractVerseMap()`, back to the string nodes it comes from.
+ * @param {object} verse - Entry of `extractVerseMap()`: `{ text, path, segments }`.
+ * @param {number} start - Start offset in the verse text.
+ * @param {number} end - End offset (exclusive) in the verse text.
+ * @returns {object} `{ path, start, end }` with offsets in the node string; when the range ends in
+ *   another node, `end_path` points at that node and `end` is relative to it. Falls back to the
+ *   verse marker when the range is not backed by a string node.
+ */
+export function textLocation(verse, start, end) {
+    // Last segment starting at or before the offset; segments are in text order
+    const segmentAt = (offset) => {
+        let found = null;
+        for (const segment of verse.segments) {
+            if (segment.offset <= offset) found = segment;
+        }
+        return found;
+    };
+
+    const first = segmentAt(start);
+    const last = end > start ? segmentAt(end - 1) : first;
+    if (!first || !last) return nodeLocation(verse.path);
+
+    const location = { path: first.path, start: start - first.offset, end: end - last.offset };
+    if (last.path !== first.path) {
+        location.end_path = last.path;
+    }
+    return location;
+}
+
+/**
+ * Maps a range of a pairing unit text (target verses joined by a space, see `pairVerses`) back to the nodes.
+ * @param {object} verseMap - Result of `USJHandler.extractVerseMap()`.
+ * @param {Array} keys - Verse keys joined in the unit text, in order.
+ * @param {number} start - Start offset in the unit text.
+ * @param {number} end - End offset (exclusive) in the unit text.
+ * @returns {object|null} Location, or null when the unit has no target verse.
+ */
+export function unitTextLocation(verseMap, keys, start, end) {
+    let offset = 0;
+    for (const key of keys) {
+        const verse = verseMap[key];
+        if (!verse) continue;
+        const verseEnd = offset + verse.text.length;
+        if (start <= verseEnd) {
+            return textLocation(verse, start - offset, Math.min(end, verseEnd) - offset);
+        }
+        offset = verseEnd + 1;
+    }
+    return keys.length > 0 && verseMap[keys[0]] ? nodeLocation(verseMap[keys[0]].path) : null;
+}
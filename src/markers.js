@@ -0,0 +1,169 @@
+// USFM 3 marker inventory, shared by the parsers and the structural checks.
+
+const PARA_MARKERS = new Set([
+    // Identification and headers
+    'ide', 'h', 'toc', 'toca', 'rem', 'sts', 'usfm',
+    // Introductions
+    'imt', 'is', 'ip', 'ipi', 'im', 'imi', 'ipq', 'imq', 'ipr', 'iq', 'ib',
+    'ili', 'iot', 'io', 'iex', 'imte', 'ie',
+    // Titles, headings and labels
+    'mt', 'mte', 'ms', 'mr', 's', 'sr', 'r', 'd', 'sp', 'sd', 'cl', 'cd', 'cp',
+    // Paragraphs
+    'p', 'm', 'po', 'pr', 'cls', 'pmo', 'pm', 'pmc', 'pmr', 'pi', 'mi', 'nb',
+    'pc', 'ph', 'b', 'lit',
+    // Poetry
+    'q', 'qr', 'qc', 'qa', 'qm', 'qd',
+    // Lists and tables
+    'lh', 'li', 'lf', 'lim', 'tr',
+    // Peripherals
+    'periph',
+]);
+
+const CHAR_MARKERS = new Set([
+    'ca', 'va', 'vp', 'cat',
+    // Poetry and lists
+    'qs', 'qac', 'litl', 'lik', 'liv',
+    // Special text
+    'add', 'bk', 'dc', 'k', 'nd', 'ord', 'pn', 'png', 'addpn', 'qt', 'sig',
+    'sls', 'tl', 'wj', 'rq', 'ior', 'iqt',
+    // Character styling
+    'em', 'bd', 'it', 'bdit', 'no', 'sc', 'sup',
+    // Special features
+    'fig', 'ndx', 'rb', 'pro', 'w', 'wg', 'wh', 'wa', 'jmp',
+    // Table cells
+    'th', 'thr', 'thc', 'tc', 'tcr', 'tcc',
+]);
+
+const NOTE_MARKERS = new Set(['f', 'fe', 'ef', 'x', 'ex']);
+
+const NOTE_CHAR_MARKERS = new Set([
+    'fr', 'fq', 'fqa', 'fk', 'fl', 'fw', 'fp', 'fv', 'ft', 'fdc', 'fm',
+    'xo', 'xk', 'xq', 'xt', 'xta', 'xop', 'xot', 'xnt', 'xdc',
+]);
+
+const MILESTONE_MARKERS = new Set(['ts']);
+
+/**
+ * Paragraph markers, by role (base markers, without their level): section headings and other titles
+ * within the text, paragraphs and list items, and poetry lines.
+ */
+export const HEADING_MARKERS = ['ms', 'mr', 's', 'sr', 'r', 'd', 'sp', 'sd', 'qa'];
+export const PARAGRAPH_MARKERS = ['p', 'm', 'po', 'pr', 'cls', 'pmo', 'pm', 'pmc', 'pmr', 'pi', 'mi', 'pc', 'ph', 'lit', 'lh', 'li', 'lf', 'lim'];
+export const POETRY_MARKERS = ['q', 'qr', 'qc', 'qm', 'qd'];
+
+/**
+ * Node types each USJ node type may contain ("string" for text). Types missing here, such as
+ * `chapter`, `verse` and `ms`, have no content.
+ */
+export const USJ_CHILD_TYPES = {
+    'USJ': ['book', 'chapter', 'para', 'table', 'sidebar', 'periph', 'ms'],
+    'book': ['string'],
+    'para': ['string', 'verse', 'char', 'note', 'ms', 'figure', 'optbreak', 'ref'],
+    'char': ['string', 'char', 'note', 'ms', 'figure', 'optbreak', 'ref'],
+    'note': ['string', 'char', 'ms', 'optbreak', 'ref'],
+    'figure': ['string'],
+    'ref': ['string'],
+    'table': ['table:row'],
+    'table:row': ['table:cell'],
+    'table:cell': ['string', 'verse', 'char', 'note', 'ms', 'figure', 'optbreak', 'ref'],
+    'sidebar': ['para', 'table', 'ms'],
+    'periph': ['chapter', 'para', 'table', 'sidebar', 'ms'],
+};
+
+/**
+ * Node types without content: `chapter`, `verse`, `ms` and `optbreak`.
+ */
+export const USJ_EMPTY_TYPES = ['chapter', 'verse', 'ms', 'optbreak'];
+
+/**
+ * Default attribute names used when a char marker carries a bare `|value`.
+ */
+export const DEFAULT_ATTRIBUTES = {
+    w: 'lemma',
+    rb: 'gloss',
+    xt: 'link-href',
+    fig: 'src',
+    jmp: 'link-href',
+};
+
+/**
+ * Strips the numeric level from a marker (e.g. "q2" -> "q", "toc1" -> "toc").
+ * @param {string} marker - Marker name without backslash.
+ * @returns {string} Base marker name.
+ */
+export function baseMarker(marker) {
+    return marker.replace(/\d+$/, '');
+}
+
+/**
+ * Returns the numeric level of a marker ("q2" -> 2), defaulting to 1.
+ * @param {string} marker - Marker name without backslash.
+ * @returns {number} Marker level.
+ */
+export function markerLevel(marker) {
+    const match = /(\d+)$/.exec(marker);
+    return match ? parseInt(match[1], 10) : 1;
+}
+
+/**
+ * Classifies a marker into its USJ node type.
+ * @param {string} marker - Marker name without backslash.
+ * @returns {string|null} One of "book", "chapter", "verse", "para", "char", "note", "ms", or null when unknown.
+ */
+export function markerType(marker) {
+    if (marker === 'id') return 'book';
+    if (marker === 'c') return 'chapter';
+    if (marker === 'v') return 'verse';
+    if (/-[se]$/.test(marker)) return 'ms';
+
+    const base = baseMarker(marker);
+    if (MILESTONE_MARKERS.has(base)) return 'ms';
+    if (NOTE_MARKERS.has(marker)) return 'note';
+    if (NOTE_CHAR_MARKERS.has(marker)) return 'char';
+    if (PARA_MARKERS.has(base)) return 'para';
+    if (CHAR_MARKERS.has(base)) return 'char';
+    // Custom \z markers are allowed by USFM 3 and behave like character styles
+    if (/^z/.test(marker)) return 'char';
+    return null;
+}
+
+/**
+ * Tells whether a marker is a note-internal character marker (\fr, \ft, \xo, ...),
+ * which closes implicitly when the next one starts.
+ * @param {string} marker - Marker name without backslash.
+ * @returns {boolean}
+ */
+export function isNoteCharMarker(marker) {
+    return NOTE_CHAR_MARKERS.has(marker);
+}
+
+// Markers of the node types that are not named after their marker type
+const STRUCTURE_MARKERS = {
+    'figure': (marker) => marker === 'fig',
+    'table:row': (marker) => marker === 'tr',
+    'table:cell': (marker) => /^t[hc][rc]?\d*(-\d+)?$/.test(marker),
+    'sidebar': (marker) => marker === 'esb',
+    'periph': (marker) => marker === 'periph',
+};
+
+/**
+ * Tells whether a marker may be used on a USJ node of the given type, e.g. `nd` on a `char`
+ * node but not on a `para` one. Custom `\z` markers are allowed on any node.
+ * @param {string} type - USJ node type.
+ * @param {string} marker - Marker name without backslash.
+ * @returns {boolean}
+ */
+export function markerFitsType(type, marker) {
+    if (/^z/.test(marker)) return true;
+    if (STRUCTURE_MARKERS[type]) return STRUCTURE_MARKERS[type](marker);
+    return markerType(marker) === type;
+}
+
+/**
+ * Tells whether a marker is known to the USFM 3 inventory.
+ * @param {string} marker - Marker name without backslash.
+ * @returns {boolean}
+ */
+export function isKnownMarker(marker) {
+    return markerType(marker) !== null;
+}
@@ -0,0 +1,119 @@
+// Book metadata: the `id` book code and the identification, header and title paragraphs
+import { DocumentModel } from './document.js';
+import { nodeLocation } from './locations.js';
+import { baseMarker, markerLevel } from './markers.js';
+
+/**
+ * Header markers required by default: running header, long and short table of contents titles
+ * and main title.
+ */
+export const DEFAULT_REQUIRED_HEADERS = ['h', 'toc1', 'toc2', 'mt1'];
+
+// Headers that name the book for the reader and are expected to be translated
+const TRANSLATED_HEADERS = ['h', 'toc'];
+
+// A level-1 marker can be written with or without its number: "toc" and "toc1", "mt" and "mt1"
+const markerKey = (marker) => `${baseMarker(marker)}${markerLevel(marker)}`;
+
+const comparable = (text) => text.normalize('NFC').toLowerCase().replace(/\s+/g, ' ');
+
+// Encoding names Paratext and other editors write for UTF-8, including its code page
+const isUtf8 = (encoding) => /^utf-?8$/i.test(encoding) || encoding === '65001';
+
+/**
+ * Checks the book code and headers of the target:
+ * - `book_mismatch`: the `id` book code differs from the source one;
+ * - `missing_header`: a required header marker is absent;
+ * - `empty_header`: a required header marker has no text;
+ * - `untranslated_header`: an `h` or `toc` header has the same text as one of the source, so it was
+ *   probably left in the source language;
+ * - `non_utf8_encoding`: the `ide` encoding declaration names another encoding than UTF-8.
+ * Without a source, only the headers of the target are checked.
+ * @param {object|null} source - Parsed JSON object or `DocumentModel` of the source text, or null.
+ * @param {object} target - Parsed JSON object or `DocumentModel` of the target text.
+ * @param {object} [options] - Check options.
+ * @param {Array} [options.requiredMarkers] - Header markers the target must have, see `DEFAULT_REQUIRED_HEADERS`.
+ * @returns {object} Report of book header issues.
+ * @throws {Error} When a required marker is not a string.
+ */
+export function detectBookHeaders(source, target, options = {}) {
+    const sourceModel = source ? DocumentModel.from(source) : null;
+    const targetModel = DocumentModel.from(target);
+    const { requiredMarkers = DEFAULT_REQUIRED_HEADERS } = options;
+    const issues = [];
+    const invalid = (requiredMarkers || []).find((marker) => typeof marker !== 'string');
+    if (invalid !== undefined) {
+        throw new Error(`Required header markers must be strings, got ${JSON.stringify(invalid)}`);
+    }
+
+    const bookIndex = (targetModel.usj.content || []).findIndex((item) => item?.marker === 'id');
+    const bookLocation = nodeLocation(bookIndex === -1 ? '/content' : `/content/${bookIndex}`);
+    const headers = targetModel.headers;
+
+    if (sourceModel?.book && targetModel.book !== sourceModel.book) {
+        issues.push({
+            type: 'book_mismatch',
+            source_book: sourceModel.book,
+            target_book: targetModel.book,
+            location: bookLocation,
+            comment: targetModel.book
+                ? `Book code ${targetModel.book} does not match the source book code ${sourceModel.book}.`
+                : `Target has no book code, the source is ${sourceModel.book}.`,
+        });
+    }
+
+    for (const marker of requiredMarkers || []) {
+        const found = headers.filter((header) => markerKey(header.marker) === markerKey(marker));
+        if (found.length === 0) {
+            issues.push({
+                type: 'missing_header',
+                marker,
+                location: bookLocation,
+                comment: `Required header \\${marker} is missing.`,
+            });
+        } else if (found.every(({ text }) => text === '')) {
+            issues.push({
+                type: 'empty_header',
+                marker,
+                location: nodeLocation(found[0].path),
+                comment: `Required header \\${marker} is empty.`,
+            });
+        }
+    }
+
+    // Source markers of each h and toc text; a target header is matched with the same marker first
+    const sourceTexts = new Map();
+    for (const { marker, text } of sourceModel?.headers || []) {
+        if (!TRANSLATED_HEADERS.includes(baseMarker(marker)) || text === '') continue;
+        const key = comparable(text);
+        sourceTexts.set(key, [...(sourceTexts.get(key) || []), marker]);
+    }
+    for (const { marker, text, path } of headers) {
+        const markers = TRANSLATED_HEADERS.includes(baseMarker(marker)) ? sourceTexts.get(comparable(text)) : undefined;
+        if (!markers) continue;
+        const sourceMarker = markers.find((candidate) => markerKey(candidate) === markerKey(marker)) || markers[0];
+        issues.push({
+            type: 'untranslated_header',
+            marker,
+            text,
+            source_marker: sourceMarker,
+            location: nodeLocation(path),
+            comment: `Header \\${marker} "${text}" is the same as the source \\${sourceMarker}; it may not be translated.`,
+        });
+    }
+
+    for (const { marker, text, path } of headers) {
+        if (marker !== 'ide' || text === '' || isUtf8(text)) continue;
+        issues.push({
+            type: 'non_utf8_encoding',
+            encoding: text,
+            location: nodeLocation(path),
+            comment: `Encoding declaration \\ide "${text}" is not UTF-8.`,
+        });
+    }
+
+    return {
+        check: 'metadata::book_headers',
+        issues,
+    };
+}
@@ -0,0 +1,293 @@
+// Proper name consistency: spellings of the same name across a book
+import { DocumentModel } from './document.js';
+import { textLocation } from './locations.js';
+import { editDistance, pairVerses } from './utils.js';
+
+// Letters that some scripts write in several ways for the same name
+const SCRIPT_FOLDS = [
+    [/[ٱأإآ]/g, 'ا'], // Arabic alef forms
+    [/ى/g, 'ي'], // Arabic alef maksura
+    [/ة/g, 'ه'], // Arabic ta marbuta
+    [/ـ/g, ''], // Arabic tatweel
+    [/ς/g, 'σ'], // Greek final sigma
+    [/[ךםןףץ]/g, (letter) => 'כמנפצ'['ךםןףץ'.indexOf(letter)]], // Hebrew final forms
+    [/[‘’ʼ`´]/g, "'"], // apostrophes
+    [/[‐‑–—]/g, '-'], // hyphens
+];
+
+// Endings that inflect a name rather than respell it: "Song" and "Songs", "Peter" and "Peter's"
+const INFLECTION_SUFFIX = /^(?:'?s|es)$/;
+
+// Characters skipped when looking back for the end of the previous sentence
+const SENTENCE_GAP = /[\s"'«»‹›“”„‘’()[\]—–-]/u;
+const SENTENCE_END = /[.!?…։۔।。؟]/u;
+
+/**
+ * Normalizes a name for comparison: compatibility decomposition, diacritics (and Hebrew or Arabic
+ * vowel points) removed, case folded, and letters that a script writes in several ways unified.
+ * @param {string} name - Name as written.
+ * @returns {string} Normalized name.
+ */
+export function normalizeName(name) {
+    let normalized = name.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+    for (const [pattern, replacement] of SCRIPT_FOLDS) {
+        normalized = normalized.replace(pattern, replacement);
+    }
+    return normalized.normalize('NFC');
+}
+
+/**
+ * Lists the problems of the `names` parameter: each entry is a name, or `{ name, source }`.
+ * @param {Array} names - Canonical names as given in a recipe.
+ * @returns {Array} Problems `{ path, message }`, `path` locating the entry ("[2]").
+ */
+export function nameListProblems(names) {
+    const problems = [];
+    names.forEach((entry, index) => {
+        const { name, source = null } = typeof entry === 'string' ? { name: entry } : entry || {};
+        if (typeof name !== 'string' || name === '' || (source !== null && typeof source !== 'string')) {
+            problems.push({ path: `[${index}]`, message: 'must be a name, or `{ name, source }` with string values' });
+        }
+    });
+    return problems;
+}
+
+const isCapitalized = (word) => /^[\p{Lu}\p{Lt}]/u.test(word) && word !== word.toUpperCase();
+const isCaseless = (word) => word.toLowerCase() === word.toUpperCase();
+
+function sentenceInitial(text, start) {
+    let i = start - 1;
+    while (i >= 0 && SENTENCE_GAP.test(text[i])) i--;
+    return i < 0 || SENTENCE_END.test(text[i]);
+}
+
+// Words of a verse text, hyphenated words kept whole and elided articles ("d’Israël") split off
+function words(text) {
+    return [...text.matchAll(/[\p{L}\p{M}]+(?:-[\p{L}\p{M}]+)*/gu)].map((match) => ({
+        word: match[0],
+        start: match.index,
+        end: match.index + match[0].length,
+        initial: sentenceInitial(text, match.index),
+    }));
+}
+
+// Forms left by deleting up to `count` characters of a form, the form included
+function deletions(form, count) {
+    const forms = new Set([form]);
+    let previous = [form];
+    for (let deleted = 0; deleted < count; deleted++) {
+        const next = [];
+        for (const text of previous) {
+            for (let i = 0; i < text.length; i++) {
+                const shorter = text.slice(0, i) + text.slice(i + 1);
+                if (!forms.has(shorter)) {
+                    forms.add(shorter);
+                    next.push(shorter);
+                }
+            }
+        }
+        previous = next;
+    }
+    return forms;
+}
+
+/**
+ * Lists the candidate proper names of a set of verses: capitalized words, skipping words whose
+ * capital only marks the start of a sentence, and (for scripts without case) words close to a listed name.
+ * @param {object} verses - Map of verse keys to their text.
+ * @param {function|null} [isListed] - Tells whether a word is close to a listed name.
+ * @returns {Array} Occurrences `{ word, key, start, end }`.
+ */
+function collectNames(verses, isListed = null) {
+    const all = [];
+    for (const [key, text] of Object.entries(verses)) {
+        for (const word of words(text)) {
+            word.key = key;
+            word.capitalized = isCapitalized(word.word);
+            all.push(word);
+        }
+    }
+    const midSentence = new Set(all.filter(({ capitalized, initial }) => capitalized && !initial).map(({ word }) => word));
+
+    return all
+        .filter(({ word, initial, capitalized }) => (capitalized && (!initial || midSentence.has(word)))
+            || (isListed && isCaseless(word) && isListed(word)))
+        .map(({ word, key, start, end }) => ({ word, key, start, end }));
+}
+
+/**
+ * Detects proper names spelled in several ways within a book. Spellings are grouped when their
+ * normalized forms are equal or within `maxDistance` edits, an inflection ending such as "-s" apart;
+ * two spellings are kept apart when the source verses they occur in point to different source names. In each group, the spelling from the
+ * `names` list, or else the most frequent one, is canonical and every other spelling is reported.
+ * @param {object} source - Parsed JSON object or `DocumentModel` of the source text.
+ * @param {object} target - Parsed JSON object or `DocumentModel` of the target text.
+ * @param {object} [options] - Check options.
+ * @param {Array} [options.names] - Canonical names: strings, or `{ name, source }` with the source name it renders.
+ * @param {number} [options.maxDistance] - Edit distance under which two spellings are the same name (default: 1).
+ * @param {number} [options.minLength] - Minimal length of names compared by edit distance (default: 4).
+ * @param {object|null} mapping - Versification mapping `{ book, mapVerse }` from source to target.
+ * @returns {object} Report of minority spellings, one issue per occurrence: `spelling_variant`, or
+ *   `non_canonical_spelling` when the group has a listed name.
+ * @throws {Error} When an entry of `names` is not a name or `{ name, source }`.
+ */
+export function detectNameInconsistencies(source, target, options = {}, mapping = null) {
+    const sourceModel = DocumentModel.from(source);
+    const targetModel = DocumentModel.from(target);
+    const { names = [], maxDistance = 1, minLength = 4 } = options;
+    const issues = [];
+    const targetMap = targetModel.verseMap;
+
+    const [problem] = nameListProblems(names);
+    if (problem) throw new Error(`Name entry at index ${problem.path.slice(1, -1)} ${problem.message}`);
+    const listed = new Map();
+    for (const entry of names) {
+        const { name, source: sourceName = null } = typeof entry === 'string' ? { name: entry } : entry;
+        listed.set(name, sourceName);
+    }
+
+    function close(a, b) {
+        if (a === b) return true;
+        if (Math.min(a.length, b.length) < minLength || Math.abs(a.length - b.length) > maxDistance) return false;
+        const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+        if (longer.startsWith(shorter) && INFLECTION_SUFFIX.test(longer.slice(shorter.length))) return false;
+        return editDistance(a, b) <= maxDistance;
+    }
+
+    const listedForms = [...listed.keys()].map(normalizeName);
+    const isListed = (word) => {
+        const normalized = normalizeName(word);
+        return listedForms.some((form) => close(normalized, form));
+    };
+    const occurrences = collectNames(targetModel.verses, listed.size > 0 ? isListed : null);
+
+    // Spellings with their occurrences, in order of first occurrence, then listed names not found
+    const spellings = new Map();
+    for (const occurrence of occurrences) {
+        if (!spellings.has(occurrence.word)) spellings.set(occurrence.word, { word: occurrence.word, occurrences: [] });
+        spellings.get(occurrence.word).occurrences.push(occurrence);
+    }
+    for (const name of listed.keys()) {
+        if (!spellings.has(name)) spellings.set(name, { word: name, occurrences: [] });
+    }
+    if (spellings.size === 0) return { check: 'names::consistency', issues };
+
+    const normalizedNames = new Map();
+    const normalized = (name) => {
+        if (!normalizedNames.has(name)) normalizedNames.set(name, normalizeName(name));
+        return normalizedNames.get(name);
+    };
+
+    // Source name of each spelling: the source name that best co-occurs with it (Dice coefficient)
+    const units = pairVerses(sourceModel.verses, targetModel.verses, mapping);
+    const sourceVerseNames = new Map();
+    for (const { word, key } of collectNames(sourceModel.verses)) {
+        if (!sourceVerseNames.has(key)) sourceVerseNames.set(key, new Set());
+        sourceVerseNames.get(key).add(word);
+    }
+    const sourceNamesOf = new Map();
+    const sourceCounts = new Map();
+    for (const { sourceKeys, targetKeys } of units) {
+        if (sourceKeys.length === 0) continue;
+        const found = new Set(sourceKeys.flatMap((key) => [...(sourceVerseNames.get(key) || [])]));
+        for (const name of found) sourceCounts.set(name, (sourceCounts.get(name) || 0) + 1);
+        for (const key of targetKeys) sourceNamesOf.set(key, found);
+    }
+    for (const spelling of spellings.values()) {
+        spelling.source = listed.get(spelling.word) ?? null;
+        if (spelling.source || spelling.occurrences.length === 0) continue;
+
+        const keys = new Set(spelling.occurrences.map(({ key }) => key));
+        const together = new Map();
+        for (const key of keys) {
+            for (const name of sourceNamesOf.get(key) || []) together.set(name, (together.get(name) || 0) + 1);
+        }
+        // Ties, such as names occurring once in the same verse, go to the closest spelling
+        const form = normalized(spelling.word);
+        let best = null;
+        for (const [name, count] of together) {
+            const score = (2 * count) / (keys.size + sourceCounts.get(name));
+            const distance = editDistance(form, normalized(name));
+            if (!best || score > best.score || (score === best.score && distance < best.distance)) {
+                best = { score, distance, name };
+                spelling.source = name;
+            } else if (score === best.score && distance === best.distance) {
+                spelling.source = null;
+            }
+        }
+    }
+
+    // Group spellings; a group holds at most one source name and one listed name
+    const list = [...spellings.values()];
+    const groups = list.map((spelling) => ({
+        members: [spelling],
+        sources: new Set(spelling.source ? [spelling.source] : []),
+        listed: listed.has(spelling.word) ? spelling.word : null,
+    }));
+    const groupOf = new Map(list.map((spelling, i) => [spelling, groups[i]]));
+    const forms = list.map((spelling) => normalized(spelling.word));
+
+    // Spellings within maxDistance edits of each other share a form with up to maxDistance letters
+    // deleted from each: group them by these forms, and compare only the spellings of a same group
+    const keysOf = forms.map((form) => (form.length < minLength ? [form] : [...deletions(form, maxDistance)]));
+    const sharing = new Map();
+    keysOf.forEach((keys, i) => {
+        for (const key of keys) {
+            if (!sharing.has(key)) sharing.set(key, []);
+            sharing.get(key).push(i);
+        }
+    });
+
+    for (let i = 0; i < list.length; i++) {
+        const candidates = new Set();
+        for (const key of keysOf[i]) {
+            for (const j of sharing.get(key)) if (j > i) candidates.add(j);
+        }
+        for (const j of [...candidates].sort((a, b) => a - b)) {
+            const a = groupOf.get(list[i]);
+            const b = groupOf.get(list[j]);
+            if (a === b || !close(forms[i], forms[j])) continue;
+            if (a.listed && b.listed) continue;
+            const sources = new Set([...a.sources, ...b.sources]);
+            if (sources.size > 1) continue;
+
+            a.members.push(...b.members);
+            a.sources = sources;
+            a.listed = a.listed || b.listed;
+            for (const member of b.members) groupOf.set(member, a);
+        }
+    }
+
+    const verseOrder = new Map(Object.keys(targetModel.verses).map((key, i) => [key, i]));
+    const found = [];
+    for (const group of new Set(groupOf.values())) {
+        const present = group.members.filter(({ occurrences }) => occurrences.length > 0);
+        if (present.length === 0 || (present.length === 1 && !group.listed)) continue;
+
+        // Most frequent spelling, the earliest one on ties (members keep document order)
+        const canonical = group.listed
+            || present.reduce((best, spelling) => (spelling.occurrences.length > best.occurrences.length ? spelling : best)).word;
+        const [sourceName = null] = group.sources;
+
+        for (const spelling of present) {
+            if (spelling.word === canonical) continue;
+            for (const { key, start, end } of spelling.occurrences) {
+                const issue = { verse: key, type: group.listed ? 'non_canonical_spelling' : 'spelling_variant', name: spelling.word, canonical };
+                if (sourceName) issue.source_name = sourceName;
+                issue.location = textLocation(targetMap[key], start, end);
+                issue.comment = group.listed
+                    ? `Name "${spelling.word}" differs from the canonical spelling "${canonical}" (${key}).`
+                    : `Name "${spelling.word}" is spelled "${canonical}" elsewhere in the book (${key}).`;
+                found.push({ issue, order: verseOrder.get(key), start });
+            }
+        }
+    }
+
+    found.sort((a, b) => a.order - b.order || a.start - b.start);
+    issues.push(...found.map(({ issue }) => issue));
+
+    return {
+        check: 'names::consistency',
+        issues,
+    };
+}
@@ -0,0 +1,219 @@
+// Numbers in verse text: decimal digits of any script, Ethiopic numerals, grouping separators and number words
+
+/**
+ * Number words of each language. Values of 100, 1000 and above multiply the words before them
+ * ("two hundred", "dix mille"); other values add up ("twenty-two", "cento e vinte").
+ */
+export const NUMBER_WORDS = {
+    'en': {
+        'zero': 0, 'one': 1, 'two': 2, 'three': 3, 'four': 4, 'five': 5, 'six': 6, 'seven': 7, 'eight': 8, 'nine': 9,
+        'ten': 10, 'eleven': 11, 'twelve': 12, 'thirteen': 13, 'fourteen': 14, 'fifteen': 15, 'sixteen': 16,
+        'seventeen': 17, 'eighteen': 18, 'nineteen': 19, 'twenty': 20, 'thirty': 30, 'forty': 40, 'fifty': 50,
+        'sixty': 60, 'seventy': 70, 'eighty': 80, 'ninety': 90, 'hundred': 100, 'thousand': 1000, 'thousands': 1000,
+        'million': 1000000, 'millions': 1000000,
+    },
+    'fr': {
+        'zéro': 0, 'un': 1, 'une': 1, 'deux': 2, 'trois': 3, 'quatre': 4, 'cinq': 5, 'six': 6, 'sept': 7, 'huit': 8,
+        'neuf': 9, 'dix': 10, 'onze': 11, 'douze': 12, 'treize': 13, 'quatorze': 14, 'quinze': 15, 'seize': 16,
+        'vingt': 20, 'trente': 30, 'quarante': 40, 'cinquante': 50, 'soixante': 60, 'septante': 70, 'huitante': 80,
+        'octante': 80, 'quatre-vingt': 80, 'quatre-vingts': 80, 'nonante': 90, 'cent': 100, 'cents': 100,
+        'mille': 1000, 'million': 1000000, 'millions': 1000000,
+    },
+    'es': {
+        'cero': 0, 'uno': 1, 'una': 1, 'un': 1, 'dos': 2, 'tres': 3, 'cuatro': 4, 'cinco': 5, 'seis': 6, 'siete': 7,
+        'ocho': 8, 'nueve': 9, 'diez': 10, 'once': 11, 'doce': 12, 'trece': 13, 'catorce': 14, 'quince': 15,
+        'dieciséis': 16, 'diecisiete': 17, 'dieciocho': 18, 'diecinueve': 19, 'veinte': 20, 'veintiuno': 21,
+        'veintiún': 21, 'veintiuna': 21, 'veintidós': 22, 'veintitrés': 23, 'veinticuatro': 24, 'veinticinco': 25,
+        'veintiséis': 26, 'veintisiete': 27, 'veintiocho': 28, 'veintinueve': 29, 'treinta': 30, 'cuarenta': 40,
+        'cincuenta': 50, 'sesenta': 60, 'setenta': 70, 'ochenta': 80, 'noventa': 90, 'cien': 100, 'ciento': 100,
+        'doscientos': 200, 'doscientas': 200, 'trescientos': 300, 'trescientas': 300, 'cuatrocientos': 400,
+        'cuatrocientas': 400, 'quinientos': 500, 'quinientas': 500, 'seiscientos': 600, 'seiscientas': 600,
+        'setecientos': 700, 'setecientas': 700, 'ochocientos': 800, 'ochocientas': 800, 'novecientos': 900,
+        'novecientas': 900, 'mil': 1000, 'millón': 1000000, 'millones': 1000000,
+    },
+    'pt': {
+        'zero': 0, 'um': 1, 'uma': 1, 'dois': 2, 'duas': 2, 'três': 3, 'quatro': 4, 'cinco': 5, 'seis': 6, 'sete': 7,
+        'oito': 8, 'nove': 9, 'dez': 10, 'onze': 11, 'doze': 12, 'treze': 13, 'catorze': 14, 'quatorze': 14,
+        'quinze': 15, 'dezesseis': 16, 'dezasseis': 16, 'dezessete': 17, 'dezassete': 17, 'dezoito': 18,
+        'dezenove': 19, 'dezanove': 19, 'vinte': 20, 'trinta': 30, 'quarenta': 40, 'cinquenta': 50, 'sessenta': 60,
+        'setenta': 70, 'oitenta': 80, 'noventa': 90, 'cem': 100, 'cento': 100, 'duzentos': 200, 'duzentas': 200,
+        'trezentos': 300, 'trezentas': 300, 'quatrocentos': 400, 'quatrocentas': 400, 'quinhentos': 500,
+        'quinhentas': 500, 'seiscentos': 600, 'seiscentas': 600, 'setecentos': 700, 'setecentas': 700,
+        'oitocentos': 800, 'oitocentas': 800, 'novecentos': 900, 'novecentas': 900, 'mil': 1000,
+        'milhão': 1000000, 'milhões': 1000000,
+    },
+};
+
+/**
+ * Number words of a language, falling back from a regional locale to its language ("pt-BR" to "pt").
+ * @param {string} language - Language code.
+ * @param {object} [tables] - Number words by language, added to the built-in ones.
+ * @returns {object} Number words and their values.
+ * @throws {Error} When neither the built-in nor the given tables know the language.
+ */
+export function numberWordsOf(language, tables = {}) {
+    const base = String(language).split(/[-_]/)[0].toLowerCase();
+    const words = { ...NUMBER_WORDS[base], ...tables[base], ...NUMBER_WORDS[language], ...tables[language] };
+    if (Object.keys(words).length === 0) {
+        throw new Error(`No number words for language "${language}" (known: ${Object.keys({ ...NUMBER_WORDS, ...tables }).join(', ')})`);
+    }
+    return words;
+}
+
+/**
+ * Tells why a language cannot be used for number words, for recipe validation.
+ * @param {string} language - Language code.
+ * @param {object} [parameters] - Parameters of the check; its `number_words` add languages.
+ * @returns {string|null} Problem, or null when number words are known for the language.
+ */
+export function languageProblem(language, parameters = {}) {
+    const tables = parameters.number_words || {};
+    try {
+        numberWordsOf(language, tables);
+        return null;
+    } catch {
+        return `has no number words for "${language}" (known: ${Object.keys({ ...NUMBER_WORDS, ...tables }).join(', ')})`;
+    }
+}
+
+// Words joining the parts of a written number ("hundred and two", "vingt et un")
+const CONNECTORS = new Set(['and', 'et', 'y', 'e']);
+
+// Decimal numbers stand apart from letters ("3rd" is not a number); Ethiopic numerals take prefixes ("በ፲፪").
+// Thousands separators: "10,000", "10.000", "10 000" (with a space, no-break or thin space), "10'000", "١٠٬٠٠٠"
+const GROUP_SEPARATOR = "[,.'’\\u0020\\u00A0\\u2009\\u202F\\u066C]";
+const NUMERAL = new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:\\p{Nd}{1,3}(?:${GROUP_SEPARATOR}\\p{Nd}{3})+|\\p{Nd}+)(?![\\p{L}\\p{N}])`
+    + '|[\\u1369-\\u137C]+',
+    'gu'
+);
+
+/**
+ * Value of a decimal digit of any script ("٣", "३", "৩", "๓", "۳" are all 3).
+ * Unicode encodes each script's digits as a run of zero to nine, so the value is the distance from the run start.
+ * @param {string} char - One character.
+ * @returns {number|null} Digit value, or null when the character is not a decimal digit.
+ */
+export function digitValue(char) {
+    if (!/^\p{Nd}$/u.test(char)) return null;
+    const code = char.codePointAt(0);
+    let start = code;
+    while (/\p{Nd}/u.test(String.fromCodePoint(start - 1))) start--;
+    return (code - start) % 10;
+}
+
+/**
+ * Reads an Ethiopic numeral (U+1369 to U+137C), which has no zero and writes tens, hundreds (፻)
+ * and ten thousands (፼) with their own signs: ፲፪፻፴፬ is 1234.
+ * @param {string} text - Ethiopic numeral.
+ * @returns {number} Value.
+ */
+export function parseEthiopicNumber(text) {
+    let total = 0;
+    let group = 0;
+    let part = 0;
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        if (code >= 0x1369 && code <= 0x1371) {
+            part += code - 0x1368;
+        } else if (code >= 0x1372 && code <= 0x137A) {
+            part += (code - 0x1371) * 10;
+        } else if (char === '፻') {
+            group = (group + (part || 1)) * 100;
+            part = 0;
+        } else if (char === '፼') {
+            total = (total + group + part || 1) * 10000;
+            group = 0;
+            part = 0;
+        }
+    }
+    return total + group + part;
+}
+
+/**
+ * Finds the numerals of a text: decimal digits of any script, with thousands separators, and Ethiopic numerals.
+ * @param {string} text - Verse text.
+ * @returns {Array} Numbers `{ number, text, start, end }`, where `number` is the value in ASCII digits.
+ */
+export function findNumbers(text) {
+    return [...text.matchAll(NUMERAL)].map((match) => {
+        const written = match[0];
+        const number = /\p{Nd}/u.test(written)
+            ? [...written].map(digitValue).filter((value) => value !== null).join('').replace(/^0+(?=\d)/, '')
+            : String(parseEthiopicNumber(written));
+        return { number, text: written, start: match.index, end: match.index + written.length };
+    });
+}
+
+/**
+ * Finds the numbers written as words in a text, such as "twelve", "one hundred and forty-four thousand"
+ * or "quatre-vingt-dix".
+ * @param {string} text - Verse text.
+ * @param {object} words - Number words of the language, see `NUMBER_WORDS`.
+ * @returns {Array} Numbers `{ number, text, start, end }`.
+ */
+export function findNumberWords(text, words) {
+    const table = new Map(Object.entries(words).map(([word, value]) => [word.normalize('NFC').toLowerCase(), value]));
+    const found = [];
+
+    // Values of the hyphenated parts of a word, longest table entries first, or null when one is not a number
+    function values(word) {
+        const parts = word.split(/[-‑]/);
+        const result = [];
+        for (let i = 0; i < parts.length;) {
+            let j = parts.length;
+            while (j > i && !table.has(parts.slice(i, j).join('-'))) j--;
+            if (j === i) return null;
+            result.push(table.get(parts.slice(i, j).join('-')));
+            i = j;
+        }
+        return result;
+    }
+
+    // A sequence runs over number words separated by spaces, or by one connector before a smaller value
+    // ("hundred and forty", but not "two and three")
+    let sequence = null;
+    function close() {
+        if (!sequence) return;
+        let total = 0;
+        let current = 0;
+        for (const value of sequence.values) {
+            if (value === 100) {
+                current = (current || 1) * 100;
+            } else if (value >= 1000 && /^10+$/.test(String(value))) {
+                total += (current || 1) * value;
+                current = 0;
+            } else {
+                current += value;
+            }
+        }
+        const { start, end } = sequence;
+        found.push({ number: String(total + current), text: text.slice(start, end), start, end });
+        sequence = null;
+    }
+
+    for (const token of text.matchAll(/[\p{L}\p{M}]+(?:[-‑][\p{L}\p{M}]+)*/gu)) {
+        const start = token.index;
+        const end = start + token[0].length;
+        const word = token[0].normalize('NFC').toLowerCase();
+        const numeric = values(word);
+        const follows = sequence && /^\s+$/.test(text.slice(sequence.next, start))
+            && (sequence.next === sequence.end || (numeric && numeric[0] < sequence.values[sequence.values.length - 1]));
+
+        if (numeric && follows) {
+            sequence.values.push(...numeric);
+            sequence.end = end;
+            sequence.next = end;
+        } else if (numeric) {
+            close();
+            sequence = { values: numeric, start, end, next: end };
+        } else if (follows && sequence.next === sequence.end && CONNECTORS.has(word)) {
+            sequence.next = end;
+        } else {
+            close();
+        }
+    }
+    close();
+
+    return found;
+}
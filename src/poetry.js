@@ -0,0 +1,160 @@
+// Poetry layout: the poetic lines (`q`, `qm`, `qr`, `qc`) of each verse and their indent levels
+import { DocumentModel } from './document.js';
+import { nodeLocation } from './locations.js';
+import { baseMarker, markerLevel, PARAGRAPH_MARKERS, POETRY_MARKERS } from './markers.js';
+import { parseVerseKey } from './references.js';
+
+// Indent level of a line marker as written in issues: "q1", "q2", "qm1", "qr", "qc"
+const lineLevel = (marker) => (/^q[rc]$/.test(marker) ? marker : `${baseMarker(marker)}${markerLevel(marker)}`);
+
+const hasText = (item) => (typeof item === 'string'
+    ? item.trim() !== ''
+    : item?.type !== 'note' && item?.type !== 'verse' && (item?.content || []).some(hasText));
+
+/**
+ * Lists the layout of each verse of a text: the poetic lines starting in it, with their level, and
+ * whether some of its text is laid out as poetry or as prose. A line belongs to the verse its text
+ * starts in. Headings are left out.
+ * @param {object} usj - USJ object.
+ * @returns {object} `{ verses, emptyLines }`: verses by key ("1:3") `{ lines, poetry, prose, path }`, `path`
+ *   being the verse marker's, and the empty poetic lines `{ marker, chapter, verse, path }`.
+ */
+function poetryLayout(usj) {
+    const verses = {};
+    const emptyLines = [];
+    let chapter = null;
+    let verse = null;
+
+    (usj.content || []).forEach((node, index) => {
+        const path = `/content/${index}`;
+        if (node?.marker === 'c' && node.number) {
+            chapter = node.number;
+            verse = null;
+            return;
+        }
+        const base = baseMarker(node?.marker || '');
+        if (node?.type !== 'para' || chapter === null || !(POETRY_MARKERS.includes(base) || PARAGRAPH_MARKERS.includes(base))) return;
+
+        const poetic = POETRY_MARKERS.includes(base);
+        if (poetic && !(node.content || []).some(hasText)) {
+            emptyLines.push({ marker: node.marker, chapter, verse, path });
+        }
+        let lineOpen = poetic;
+        (node.content || []).forEach((item, itemIndex) => {
+            if (item?.type === 'verse' && item.number) {
+                verse = item.number;
+                verses[`${chapter}:${verse}`] ??= { lines: [], poetry: false, prose: false, path: `${path}/content/${itemIndex}` };
+                return;
+            }
+            if (verse === null || !hasText(item)) return;
+            const entry = verses[`${chapter}:${verse}`];
+            entry[poetic ? 'poetry' : 'prose'] = true;
+            if (lineOpen) entry.lines.push(lineLevel(node.marker));
+            lineOpen = false;
+        });
+    });
+
+    return { verses, emptyLines };
+}
+
+/**
+ * Compares the poetry layout of each verse of the target with the source, for the verses both have:
+ * - `prose_for_poetry`: the source lays the verse out as poetic lines, the target as prose;
+ * - `poetry_for_prose`: the reverse;
+ * - `line_count_mismatch`: both are poetry, with a different number of lines;
+ * - `indent_mismatch`: both have the same number of lines, at different indent levels.
+ * Poetic lines of the target without any text are reported as `empty_poetry_line`.
+ * @param {object} source - Parsed JSON object or `DocumentModel` of the source text.
+ * @param {object} target - Parsed JSON object or `DocumentModel` of the target text.
+ * @param {object|null} mapping - Versification mapping `{ book, mapVerse }` from source to target.
+ * @param {object} [options] - Check options.
+ * @param {number} [options.lineTolerance=0] - Difference in line count accepted between the source and the target.
+ * @param {boolean} [options.indents=true] - Whether to compare the indent levels of the lines.
+ * @returns {object} Report of poetry layout issues.
+ */
+export function detectPoetryLineStructure(source, target, mapping = null, options = {}) {
+    const sourceModel = DocumentModel.from(source);
+    const targetModel = DocumentModel.from(target);
+    const { lineTolerance = 0, indents = true } = options;
+    const issues = [];
+    const sourceLayout = poetryLayout(sourceModel.usj);
+    const targetLayout = poetryLayout(targetModel.usj);
+
+    // Source verses under their target key; bridges and segments keep theirs
+    const targetKey = (key) => {
+        const parsed = parseVerseKey(key);
+        if (!parsed || !mapping?.mapVerse || parsed.start !== parsed.end || parsed.segment) return key;
+        const mapped = mapping.mapVerse(mapping.book, parsed.chapter, parsed.start);
+        return mapped.book === mapping.book && mapped.verse !== 0 ? `${mapped.chapter}:${mapped.verse}` : key;
+    };
+
+    for (const [key, sourceVerse] of Object.entries(sourceLayout.verses)) {
+        const verse = targetKey(key);
+        const targetVerse = targetLayout.verses[verse];
+        if (!targetVerse) continue;
+        const location = nodeLocation(targetVerse.path);
+        const sourcePoetry = sourceVerse.lines.length > 0 || (sourceVerse.poetry && !sourceVerse.prose);
+        const targetPoetry = targetVerse.lines.length > 0 || (targetVerse.poetry && !targetVerse.prose);
+
+        if (sourcePoetry !== targetPoetry) {
+            if (!(sourceVerse.poetry || sourceVerse.prose) || !(targetVerse.poetry || targetVerse.prose)) continue;
+            issues.push({
+                verse,
+                type: sourcePoetry ? 'prose_for_poetry' : 'poetry_for_prose',
+                source_lines: sourceVerse.lines,
+                target_lines: targetVerse.lines,
+                location,
+                comment: sourcePoetry
+                    ? `Verse is laid out as prose, the source has poetic lines (${verse}).`
+                    : `Verse is laid out as poetic lines, the source is prose (${verse}).`,
+            });
+        } else if (Math.abs(sourceVerse.lines.length - targetVerse.lines.length) > lineTolerance) {
+            issues.push({
+                verse,
+                type: 'line_count_mismatch',
+                source_lines: sourceVerse.lines,
+                target_lines: targetVerse.lines,
+                location,
+                comment: `Verse has ${targetVerse.lines.length} poetic lines, the source has ${sourceVerse.lines.length} (${verse}).`,
+            });
+        } else if (indents && sourceVerse.lines.length === targetVerse.lines.length
+            && sourceVerse.lines.some((level, index) => level !== targetVerse.lines[index])) {
+            issues.push({
+                verse,
+                type: 'indent_mismatch',
+                source_lines: sourceVerse.lines,
+                target_lines: targetVerse.lines,
+                location,
+                comment: `Poetic lines are indented ${targetVerse.lines.join(' ')}, the source ${sourceVerse.lines.join(' ')} (${verse}).`,
+            });
+        }
+    }
+
+    for (const { marker, chapter, verse, path } of targetLayout.emptyLines) {
+        const at = verse === null ? { chapter: parseInt(chapter, 10) } : { verse: `${chapter}:${verse}` };
+        issues.push({
+            ...at,
+            type: 'empty_poetry_line',
+            marker,
+            location: nodeLocation(path),
+            comment: `Poetic line \\${marker} has no text (${at.verse ?? `chapter ${chapter}`}).`,
+        });
+    }
+    issues.sort(compareIssuePlaces);
+
+    return {
+        check: 'poetry::line_structure',
+        issues,
+    };
+}
+
+// Orders issues by chapter and verse; chapter-level issues come first in their chapter
+function compareIssuePlaces(a, b) {
+    const place = (issue) => {
+        const parsed = issue.verse ? parseVerseKey(issue.verse) : null;
+        return parsed ? [parsed.chapter, parsed.start] : [issue.chapter, 0];
+    };
+    const [chapterA, verseA] = place(a);
+    const [chapterB, verseB] = place(b);
+    return chapterA - chapterB || verseA - verseB;
+}
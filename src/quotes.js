@@ -0,0 +1,246 @@
+// Quotation marks: locale conventions, nesting levels and paragraph continuation quotes
+import { DocumentModel } from './document.js';
+
+/**
+ * Quotation marks of each locale, from the outermost (primary) level inwards: `[opening, closing]`.
+ * Deeper levels alternate the last two.
+ */
+export const QUOTE_LOCALES = {
+    'en': [['“', '”'], ['‘', '’'], ['“', '”']],
+    'en-US': [['“', '”'], ['‘', '’'], ['“', '”']],
+    'en-GB': [['‘', '’'], ['“', '”'], ['‘', '’']],
+    'fr': [['«', '»'], ['“', '”'], ['‘', '’']],
+    'fr-CH': [['«', '»'], ['‹', '›'], ['“', '”']],
+    'es': [['«', '»'], ['“', '”'], ['‘', '’']],
+    'it': [['«', '»'], ['“', '”'], ['‘', '’']],
+    'pt': [['«', '»'], ['“', '”'], ['‘', '’']],
+    'pt-BR': [['“', '”'], ['‘', '’'], ['“', '”']],
+    'de': [['„', '“'], ['‚', '‘'], ['„', '“']],
+    'de-CH': [['«', '»'], ['‹', '›'], ['«', '»']],
+    'nl': [['“', '”'], ['‘', '’'], ['“', '”']],
+    'sv': [['”', '”'], ['’', '’'], ['”', '”']],
+    'fi': [['”', '”'], ['’', '’'], ['”', '”']],
+    'ru': [['«', '»'], ['„', '“'], ['‚', '‘']],
+    'pl': [['„', '”'], ['«', '»'], ['‚', '’']],
+};
+
+// Every mark a text may use for quotations, whatever its locale
+const QUOTE_MARKS = new Set(['"', '“', '”', '„', '‟', '‘', '’', '‚', '‛', '«', '»', '‹', '›', '「', '」', '『', '』']);
+// Marks that also serve as apostrophes ("don’t", "disciples’")
+const APOSTROPHES = new Set(["'", '’']);
+
+// Paragraphs that carry body text; headings, titles and introductions are left out
+const BODY_PARAGRAPH = /^(p|m|mi|nb|pc|pr|po|cls|d|lh|lf|pmo|pmc|pmr|pm|pi\d*|ph\d*|li\d*|lim\d*|q\d*|qr|qc|qa|qd|qm\d*)$/;
+const POETRY_PARAGRAPH = /^q/;
+const RESUMING_PARAGRAPH = /^(m|mi|nb)$/;
+
+/**
+ * Resolves the quotation levels of a locale, falling back from a regional locale to its language ("fr-CA" to "fr").
+ * @param {string} locale - Locale code.
+ * @returns {Array|null} Levels `[opening, closing]`, or null for an unknown locale.
+ */
+export function quoteLevels(locale) {
+    if (QUOTE_LOCALES[locale]) return QUOTE_LOCALES[locale];
+    const language = String(locale).split(/[-_]/)[0].toLowerCase();
+    return QUOTE_LOCALES[language] || null;
+}
+
+/**
+ * Tells why a locale cannot be used, for recipe validation.
+ * @param {string} locale - Locale code.
+ * @param {object} [parameters] - Parameters of the check; custom `levels` make the locale unused.
+ * @returns {string|null} Problem, or null when the locale or its language is known.
+ */
+export function localeProblem(locale, parameters = {}) {
+    if (parameters.levels || quoteLevels(locale)) return null;
+    return `names an unknown quotation locale "${locale}" (known: ${Object.keys(QUOTE_LOCALES).join(', ')})`;
+}
+
+/**
+ * Lists the problems of custom quotation levels, for recipe validation.
+ * @param {Array} levels - Levels `[opening, closing]`, outermost first.
+ * @returns {Array} Problems `{ path, message }`, where `path` is relative to the levels ("" or "[1]").
+ */
+export function levelProblems(levels) {
+    if (levels.length === 0) return [{ path: '', message: 'must list at least one `[opening, closing]` pair' }];
+    const isMark = (mark) => typeof mark === 'string' && [...mark].length === 1;
+    const problems = [];
+    levels.forEach((level, index) => {
+        if (!Array.isArray(level) || level.length !== 2 || !level.every(isMark)) {
+            problems.push({ path: `[${index}]`, message: 'must be an `[opening, closing]` pair of single characters' });
+        }
+    });
+    return problems;
+}
+
+/**
+ * Lists the characters of the body paragraphs, in order, with the paragraph boundaries that call for
+ * continuation quotes: new prose paragraphs, and poetry lines that start a stanza after a `b` blank line
+ * or a chapter. Paragraphs resuming the previous one (`m`, `mi`, `nb`) and poetry embedded in a paragraph
+ * are not boundaries.
+ * @param {object} usj - USJ object.
+ * @returns {Array} Paragraphs `{ marker, continues, chars }`, each char `{ char, chapter, verse, path, offset }`.
+ */
+function bodyParagraphs(usj) {
+    const paragraphs = [];
+    let chapter = null;
+    let verse = null;
+    let afterBreak = true;
+
+    function collect(content, path, chars) {
+        content.forEach((item, index) => {
+            const itemPath = `${path}/${index}`;
+            if (typeof item === 'string') {
+                let offset = 0;
+                for (const char of item) {
+                    chars.push({ char, chapter, verse, path: itemPath, offset });
+                    offset += char.length;
+                }
+            } else if (item.marker === 'v' && item.number) {
+                verse = item.number;
+            } else if (item.type !== 'note' && Array.isArray(item.content)) {
+                collect(item.content, `${itemPath}/content`, chars);
+            }
+        });
+    }
+
+    usj.content.forEach((item, index) => {
+        if (item.marker === 'c' && item.number) {
+            chapter = item.number;
+            verse = null;
+            afterBreak = true;
+        } else if (item.type === 'para' && item.marker === 'b') {
+            afterBreak = true;
+        } else if (item.type === 'para' && BODY_PARAGRAPH.test(item.marker)) {
+            const continues = RESUMING_PARAGRAPH.test(item.marker) || (POETRY_PARAGRAPH.test(item.marker) && !afterBreak);
+            const paragraph = { marker: item.marker, continues, chars: [] };
+            afterBreak = false;
+            collect(item.content || [], `/content/${index}/content`, paragraph.chars);
+            paragraphs.push(paragraph);
+        }
+    });
+
+    return paragraphs;
+}
+
+/**
+ * Checks quotation marks against the conventions of a locale: marks of other conventions, quotes
+ * opened at the wrong nesting level (e.g. a secondary mark where a primary one is expected), closing
+ * marks without an opening one, quotes left open, and long speeches whose new paragraphs do not
+ * repeat the opening quote.
+ * @param {object} target - Parsed JSON object or `DocumentModel` of the target text.
+ * @param {object} [options] - Check options.
+ * @param {string} [options.locale] - Locale of the quotation conventions, see `QUOTE_LOCALES` (default: "en").
+ * @param {Array} [options.levels] - Custom levels `[opening, closing]`, outermost first, replacing the locale ones.
+ * @param {boolean} [options.paragraphContinuation] - Expect a speech running over several paragraphs to
+ *   repeat its opening quotes at the start of each new paragraph (default: true).
+ * @param {boolean} [options.straightQuotes] - Accept straight `"` quotes for the levels that take
+ *   curly double quotes `“”` (default: true).
+ * @returns {object} Report of quotation mark issues.
+ * @throws {Error} When the locale is unknown or the custom levels are not `[opening, closing]` pairs.
+ */
+export function detectQuotationMarks(target, options = {}) {
+    const targetModel = DocumentModel.from(target);
+    const { locale = 'en', levels: customLevels = null, paragraphContinuation = true, straightQuotes = true } = options;
+    const issues = [];
+
+    const [problem] = customLevels ? levelProblems(customLevels) : [];
+    if (problem) throw new Error(`Quotation levels${problem.path} ${problem.message}`);
+    const levels = customLevels || quoteLevels(locale);
+    if (!levels) {
+        throw new Error(`Unknown quotation locale "${locale}" (known: ${Object.keys(QUOTE_LOCALES).join(', ')})`);
+    }
+    const level = (depth) => (depth < levels.length
+        ? levels[depth]
+        : levels[levels.length - 2 + ((depth - levels.length) % 2)] || levels[levels.length - 1]);
+    // Straight quotes stand for “ and ”: one that follows a word in its verse closes a quotation, any other opens one
+    const straight = straightQuotes && levels.some(([opening]) => opening === '“');
+    const afterWord = (chars, i) => i > 0 && chars[i - 1].verse === chars[i].verse
+        && !/[\s([{—–‘“«]/u.test(chars[i - 1].char);
+    const openings = new Set(levels.map(([opening]) => opening));
+    const closings = new Set(levels.map(([, closing]) => closing));
+
+    const describe = (depth) => ['primary', 'secondary', 'tertiary'][depth] || `level ${depth + 1}`;
+    const at = ({ chapter, verse, path, offset, char }) => ({
+        ...(verse === null ? { chapter: Number(chapter) } : { verse: `${chapter}:${verse}` }),
+        location: { path, start: offset, end: offset + char.length },
+    });
+    const where = (position) => (position.verse === null ? `chapter ${position.chapter}` : `${position.chapter}:${position.verse}`);
+
+    function report(position, type, comment, extra = {}) {
+        const { location, ...reference } = at(position);
+        issues.push({ ...reference, type, mark: position.char, ...extra, location, comment });
+    }
+
+    function reportUnclosed(open, reason) {
+        report(open, 'unclosed', `Quotation mark "${open.char}" opened in ${where(open)} is never closed${reason}.`);
+    }
+
+    const stack = [];
+
+    for (const paragraph of bodyParagraphs(targetModel.usj)) {
+        const { chars } = paragraph;
+        let i = 0;
+
+        // A speech going on in a new paragraph repeats its opening quotes there
+        if (paragraphContinuation && !paragraph.continues && stack.length > 0) {
+            while (i < chars.length && /\s/.test(chars[i].char)) i++;
+            let repeated = 0;
+            for (let depth = 0; depth < stack.length; depth++) {
+                let j = i;
+                while (j < chars.length && /\s/.test(chars[j].char)) j++;
+                if (chars[j]?.char !== level(depth)[0]) break;
+                i = j + 1;
+                repeated++;
+            }
+            if (repeated === 0) {
+                for (const open of stack.reverse()) reportUnclosed(open, ' before the next paragraph, which does not repeat it');
+                stack.length = 0;
+            }
+        }
+
+        for (; i < chars.length; i++) {
+            const position = chars[i];
+            const { char } = position;
+            if (!QUOTE_MARKS.has(char)) continue;
+
+            const between = /\p{L}/u.test(chars[i - 1]?.char || '') && /\p{L}/u.test(chars[i + 1]?.char || '');
+            if (APOSTROPHES.has(char) && between) continue;
+
+            // Typed straight quotes close with the same mark
+            const straightRole = straight && char === '"' ? (afterWord(chars, i) ? 'closing' : 'opening') : null;
+
+            if (stack.length > 0 && char === stack[stack.length - 1].closing) {
+                stack.pop();
+            } else if (char === level(stack.length)[0] || (straightRole === 'opening' && level(stack.length)[0] === '“')) {
+                stack.push({ ...position, closing: straightRole ? '"' : level(stack.length)[1] });
+            } else if (stack.some((open) => open.closing === char)) {
+                // Closing an outer quotation: the inner ones were left open
+                let depth = stack.length - 1;
+                while (stack[depth].closing !== char) depth--;
+                for (const open of stack.splice(depth).slice(1).reverse()) reportUnclosed(open, ` inside the quotation closed in ${where(position)}`);
+            } else if ((openings.has(char) && !APOSTROPHES.has(char)) || straightRole === 'opening') {
+                // Closed by the mark of its own level, so that one misplaced mark is reported once
+                const expected = level(stack.length)[0];
+                report(position, 'wrong_level',
+                    `Quotation mark "${char}" opens a ${describe(stack.length)} quotation, which takes "${expected}" (${where(position)}).`,
+                    { expected });
+                stack.push({ ...position, closing: straightRole ? '"' : levels.find(([opening]) => opening === char)[1] });
+            } else if (closings.has(char) || straightRole === 'closing') {
+                if (!APOSTROPHES.has(char)) {
+                    report(position, 'unmatched_closing', `Closing quotation mark "${char}" without an opening one (${where(position)}).`);
+                }
+            } else if (!APOSTROPHES.has(char)) {
+                report(position, 'unexpected_mark',
+                    `Quotation mark "${char}" is not used by the ${customLevels ? 'configured' : `"${locale}"`} conventions (${where(position)}).`);
+            }
+        }
+    }
+
+    for (const open of stack.reverse()) reportUnclosed(open, '');
+
+    return {
+        check: 'textquality::quotation_marks',
+        issues,
+    };
+}
@@ -0,0 +1,122 @@
+// Verse numbers and verse keys, including bridges ("3-4") and segments ("5a")
+import { digitValue } from './numbers.js';
+
+const VERSE_NUMBER_REGEX = /^(\d+)([a-z]*)(?:\s*[-\u2010-\u2015]\s*(\d+)([a-z]*))?$/i;
+
+/**
+ * Parses a verse number as found on a `v` marker.
+ * @param {string|number} number - Verse number, e.g. "3", "3-4", "5a" or "5b-6".
+ * @returns {object|null} `{ start, end, segment }`, or null when the number is not a verse number.
+ */
+export function parseVerseNumber(number) {
+    const match = VERSE_NUMBER_REGEX.exec(String(number).trim());
+    if (!match) return null;
+
+    const start = parseInt(match[1], 10);
+    const end = match[3] ? parseInt(match[3], 10) : start;
+    if (end < start) return null;
+
+    return { start, end, segment: match[2] ? match[2].toLowerCase() : null };
+}
+
+/**
+ * Parses a "<chapter>:<verse>" key, where the verse may be a bridge or a segment.
+ * @param {string} key - Verse key, e.g. "1:3-4".
+ * @returns {object|null} `{ chapter, start, end, segment }`, or null when the key cannot be parsed.
+ */
+export function parseVerseKey(key) {
+    const separator = String(key).indexOf(':');
+    if (separator === -1) return null;
+
+    const chapter = parseInt(key.slice(0, separator), 10);
+    const verse = parseVerseNumber(key.slice(separator + 1));
+    if (Number.isNaN(chapter) || !verse) return null;
+
+    return { chapter, ...verse };
+}
+
+/**
+ * Reads the origin reference of a note (`fr` or `xo`), such as "1:2", "1.2", "Tite 1:2-3" or a bare verse "2".
+ * Digits of any script are accepted.
+ * @param {string} text - Text of the origin.
+ * @param {number} chapter - Chapter of the note, for bare verse numbers.
+ * @returns {object|null} `{ chapter, start, end }`, or null when the text holds no reference.
+ */
+export function parseNoteOrigin(text, chapter) {
+    const digits = text.replace(/\p{Nd}/gu, (digit) => String(digitValue(digit)));
+    const full = digits.match(/(\d+)\s*[:.,]\s*(\d+)(?:\s*[-–]\s*(\d+))?/);
+    if (full) {
+        const [, originChapter, start, end = start] = full;
+        return { chapter: Number(originChapter), start: Number(start), end: Number(end) };
+    }
+    const bare = digits.match(/^\D*?(\d+)(?:\s*[-–]\s*(\d+))?[a-z]?\W*$/);
+    if (bare) {
+        const [, start, end = start] = bare;
+        return { chapter, start: Number(start), end: Number(end) };
+    }
+    return null;
+}
+
+/**
+ * Lists the verse numbers covered by a verse number ("3-4" -> [3, 4], "5a" -> [5]).
+ * @param {string|number} number - Verse number.
+ * @returns {Array} Covered verse numbers, empty when the number cannot be parsed.
+ */
+export function expandVerseNumber(number) {
+    const verse = parseVerseNumber(number);
+    if (!verse) return [];
+    return Array.from({ length: verse.end - verse.start + 1 }, (_, i) => verse.start + i);
+}
+
+/**
+ * Tells whether a verse number covers a given verse ("3-4" covers "4", "5" covers "5a" and "5").
+ * A segmented request only matches the same segment.
+ * @param {string} number - Verse number found in the text.
+ * @param {string} requested - Requested verse number.
+ * @returns {boolean}
+ */
+export function verseCovers(number, requested) {
+    if (number === requested) return true;
+    const verse = parseVerseNumber(number);
+    const wanted = parseVerseNumber(requested);
+    if (!verse || !wanted) return false;
+    if (wanted.segment) return verse.segment === wanted.segment && verse.start === wanted.start;
+    return wanted.start >= verse.start && wanted.end <= verse.end;
+}
+
+/**
+ * Builds an index from single verses ("1:4") to the verse keys that contain them ("1:3-4").
+ * @param {object} verses - Map of verse keys to text, as returned by `extractVerses`.
+ * @returns {Map} Map of "<chapter>:<verse>" to the first key covering it.
+ */
+export function indexVerseKeys(verses) {
+    const index = new Map();
+    for (const key of Object.keys(verses)) {
+        const parsed = parseVerseKey(key);
+        if (!parsed) {
+            index.set(key, key);
+            continue;
+        }
+        for (let verse = parsed.start; verse <= parsed.end; verse++) {
+            const single = `${parsed.chapter}:${verse}`;
+            if (!index.has(single)) index.set(single, key);
+        }
+    }
+    return index;
+}
+
+/**
+ * Returns the chapter and verse key a report issue points at.
+ * Issues carry either `verse: "c:v"` or separate `chapter` and `verse` numbers.
+ * @param {object} issue - Issue from a report.
+ * @returns {object} `{ chapter, verse }`: chapter number (or null) and "c:v" key (or null).
+ */
+export function issueChapterVerse(issue) {
+    if (typeof issue.verse === 'string' && issue.verse.includes(':')) {
+        const parsed = parseVerseKey(issue.verse);
+        return { chapter: parsed ? parsed.chapter : null, verse: issue.verse };
+    }
+    const chapter = issue.chapter !== undefined ? parseInt(issue.chapter, 10) : null;
+    if (chapter === null || Number.isNaN(chapter)) return { chapter: null, verse: null };
+    return { chapter, verse: issue.verse !== undefined ? `${chapter}:${issue.verse}` : null };
+}
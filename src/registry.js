@@ -0,0 +1,157 @@
+// Registry of the checks that recipes can enable
+
+const LEVELS = ['major', 'minor'];
+const PARAMETER_TYPES = ['number', 'integer', 'string', 'boolean', 'object', 'array'];
+
+const registry = new Map();
+
+/**
+ * Registers a check so that recipes can enable it by name.
+ * @param {object} definition - Check definition.
+ * @param {string} definition.name - Unique name, conventionally "<family>::<check>".
+ * @param {string} definition.readName - Human readable name.
+ * @param {string} definition.description - What the check detects.
+ * @param {string} definition.level - Default level: "major" or "minor".
+ * @param {object} [definition.parameters] - Parameter schema, keyed by parameter name:
+ *   `{ type, items, default, description, min, max, enum, validate }`. `type` may list several types,
+ *   `items` is the type of the items of an array, and `validate(value, parameters)` returns the problems
+ *   of a well-typed value (see `checkParameter`).
+ * @param {boolean} [definition.requiresSource] - Whether the check compares the target with a source text;
+ *   such checks are skipped when no source is given (default true).
+ * @param {function} definition.run - `(context, parameters) => ({ issues })`, where context is
+ *   `{ source, target, book, mapping, versification, sourceModel, targetModel }` for one source/target
+ *   book pair: the USJ objects, the target `Versification` of the recipe (or null), and the
+ *   `DocumentModel`s shared by all the checks of the run. Without a source, `source` and `sourceModel` are null.
+ * @param {object} [options] - Registration options.
+ * @param {boolean} [options.replace] - Replace an existing check with the same name.
+ * @returns {object} The registered definition.
+ */
+export function registerCheck(definition, options = {}) {
+    const { name, readName, description, level, parameters = {}, requiresSource = true, run } = definition || {};
+
+    if (typeof name !== 'string' || !name) {
+        throw new Error('registerCheck: "name" must be a non-empty string');
+    }
+    if (typeof run !== 'function') {
+        throw new Error(`registerCheck: check "${name}" must provide a "run" function`);
+    }
+    if (!LEVELS.includes(level)) {
+        throw new Error(`registerCheck: check "${name}" has invalid level "${level}" (expected ${LEVELS.join(' or ')})`);
+    }
+    for (const [parameter, schema] of Object.entries(parameters)) {
+        if (![].concat(schema?.type).every((type) => PARAMETER_TYPES.includes(type))) {
+            throw new Error(`registerCheck: parameter "${parameter}" of check "${name}" has invalid type "${schema?.type}"`);
+        }
+        if (schema.items !== undefined && !PARAMETER_TYPES.includes(schema.items)) {
+            throw new Error(`registerCheck: parameter "${parameter}" of check "${name}" has invalid item type "${schema.items}"`);
+        }
+    }
+    if (registry.has(name) && !options.replace) {
+        throw new Error(`registerCheck: check "${name}" is already registered`);
+    }
+
+    const registered = {
+        name,
+        readName: readName || name,
+        description: description || '',
+        level,
+        parameters,
+        requiresSource: requiresSource !== false,
+        run,
+    };
+    registry.set(name, registered);
+    return registered;
+}
+
+/**
+ * Removes a check from the registry.
+ * @param {string} name - Check name.
+ * @returns {boolean} True when a check was removed.
+ */
+export function unregisterCheck(name) {
+    return registry.delete(name);
+}
+
+/**
+ * Returns a registered check.
+ * @param {string} name - Check name.
+ * @returns {object|undefined} Check definition.
+ */
+export function getCheck(name) {
+    return registry.get(name);
+}
+
+/**
+ * Lists the registered checks in registration order.
+ * @returns {Array} Check definitions.
+ */
+export function listChecks() {
+    return [...registry.values()];
+}
+
+/**
+ * Returns the default value of each declared parameter of a check.
+ * @param {object} definition - Registered check definition.
+ * @returns {object} Map of parameter names to their default value.
+ */
+export function defaultParameters(definition) {
+    const defaults = {};
+    for (const [parameter, schema] of Object.entries(definition.parameters)) {
+        if (schema.default !== undefined) defaults[parameter] = schema.default;
+    }
+    return defaults;
+}
+
+/**
+ * Names the type of a value as parameter schemas do: "array" and "null" apart from "object".
+ * @param {*} value - Any value.
+ * @returns {string} Type name.
+ */
+export function describeType(value) {
+    if (value === null) return 'null';
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+// Problem of a value that is not of a type, or null: "expected a number, got string"
+function typeProblem(value, type) {
+    const types = [].concat(type);
+    const matches = (expected) => {
+        if (expected === 'integer') return Number.isInteger(value);
+        if (expected === 'number') return typeof value === 'number' && Number.isFinite(value);
+        return describeType(value) === expected;
+    };
+    if (types.some(matches)) return null;
+    const names = types.map((expected) => `${/^[aeiou]/.test(expected) ? 'an' : 'a'} ${expected}`);
+    return `expected ${names.join(' or ')}, got ${describeType(value)}`;
+}
+
+/**
+ * Checks a parameter value against its declared schema: type, item type, range, allowed values,
+ * then the schema's own `validate` function.
+ * @param {*} value - Value given in the recipe.
+ * @param {object} schema - Declared parameter schema.
+ * @param {object} [parameters] - All the parameters of the check, merged with their defaults.
+ * @returns {Array} Problems `{ path, message }`, where `path` is relative to the parameter ("" or "[2]")
+ *   and `message` reads after the parameter name ("expected a number, got string").
+ */
+export function checkParameter(value, schema, parameters = {}) {
+    if (value === null && schema.default === null) return [];
+
+    const problem = typeProblem(value, schema.type);
+    if (problem) return [{ path: '', message: problem }];
+    if (schema.items !== undefined && Array.isArray(value)) {
+        const items = value.map((item, index) => ({ path: `[${index}]`, message: typeProblem(item, schema.items) }));
+        if (items.some(({ message }) => message)) return items.filter(({ message }) => message);
+    }
+
+    if (schema.min !== undefined && value < schema.min) return [{ path: '', message: `must be at least ${schema.min}, got ${value}` }];
+    if (schema.max !== undefined && value > schema.max) return [{ path: '', message: `must be at most ${schema.max}, got ${value}` }];
+    if (schema.enum && !schema.enum.includes(value)) {
+        const options = schema.enum.map((option) => JSON.stringify(option)).join(', ');
+        return [{ path: '', message: `must be one of ${options}, got ${JSON.stringify(value)}` }];
+    }
+
+    const problems = schema.validate ? schema.validate(value, parameters) : null;
+    if (!problems) return [];
+    return typeof problems === 'string' ? [{ path: '', message: problems }] : problems;
+}
@@ -0,0 +1,311 @@
+// Document structure: USJ node types, markers and nesting against the USFM 3 inventory, and the
+// headings and paragraph breaks of the target against the source
+import { BOOK_CODES } from './books.js';
+import { DocumentModel } from './document.js';
+import { nodeLocation } from './locations.js';
+import {
+    baseMarker,
+    HEADING_MARKERS,
+    isKnownMarker,
+    isNoteCharMarker,
+    markerFitsType,
+    markerLevel,
+    markerType,
+    PARAGRAPH_MARKERS,
+    POETRY_MARKERS,
+    USJ_CHILD_TYPES,
+    USJ_EMPTY_TYPES
+} from './markers.js';
+import { parseVerseNumber } from './references.js';
+
+const NODE_TYPES = new Set([...Object.keys(USJ_CHILD_TYPES), ...USJ_EMPTY_TYPES]);
+
+// Node types with a marker, the others (`USJ`, `table`, `ref`, `optbreak`) have none
+const MARKED_TYPES = new Set(['book', 'chapter', 'verse', 'para', 'char', 'note', 'ms', 'figure', 'table:row', 'table:cell', 'sidebar', 'periph']);
+
+// "a char node \nd", "a table node", "the document root"
+function describe(node) {
+    if (node.type === 'USJ') return 'the document root';
+    return node.marker ? `a ${node.type} node \\${node.marker}` : `a ${node.type} node`;
+}
+
+const capitalize = (text) => text[0].toUpperCase() + text.slice(1);
+
+/**
+ * Validates the USJ tree of a text against the USFM 3 marker inventory and the node types each node
+ * type may contain. Unlike the parsers and the other checks, it never throws on a malformed tree:
+ * every violation is reported with the path of its node.
+ * - `missing_book`: no `book` node, or one that is not the first node of the document;
+ * - `invalid_book_code`: a book code that is not a known three-character code;
+ * - `invalid_node`: content that is neither text nor a node, a node without a type or with a type USJ does not have;
+ * - `unknown_marker`: a marker missing from the USFM 3 inventory;
+ * - `marker_type_mismatch`: a known marker on a node of the wrong type (`\ft` on a `para`);
+ * - `misplaced_node`: a node or text inside a node type that cannot contain it, or a note marker outside a note;
+ * - `invalid_number`: a chapter number that is not a positive integer, or a verse number that cannot be read;
+ * - `verse_outside_chapter`: a verse before the first chapter.
+ * @param {object} target - Parsed JSON object or `DocumentModel` of the target text.
+ * @returns {object} Report of structure violations.
+ */
+export function detectUsjStructure(target) {
+    const { usj } = DocumentModel.from(target);
+    const issues = [];
+    let chapter = null;
+    let verse = null;
+
+    function report(type, path, comment, fields = {}) {
+        const at = chapter === null ? {} : verse === null ? { chapter: parseInt(chapter, 10) } : { verse: `${chapter}:${verse}` };
+        const where = chapter === null ? 'before the first chapter' : verse === null ? `chapter ${chapter}` : `${chapter}:${verse}`;
+        issues.push({ ...at, type, ...fields, location: nodeLocation(path), comment: `${comment} (${where}).` });
+    }
+
+    function visitNode(item, path, parent, inNote) {
+        const typed = item.type !== undefined || typeof item.marker !== 'string' || !markerType(item.marker);
+        // A node without a type is validated as the type of its marker, so that a chapter still starts a chapter
+        const node = typed ? item : { ...item, type: markerType(item.marker) };
+        if (!NODE_TYPES.has(node.type) || node.type === 'USJ') {
+            report('invalid_node', path, `Node type "${node.type}" is not a USJ node type`, { node_type: String(node.type) });
+            return;
+        }
+        const marker = typeof node.marker === 'string' ? node.marker : null;
+        const fields = { node_type: node.type, ...(marker === null ? {} : { marker }) };
+
+        // Chapters and verses first, so that their own issues carry their reference
+        if (node.type === 'chapter') {
+            if (!/^[1-9]\d*$/.test(String(node.number ?? ''))) {
+                report('invalid_number', path, `Chapter number "${node.number ?? ''}" is not a positive integer`, { ...fields, number: node.number ?? null });
+            } else {
+                chapter = node.number;
+                verse = null;
+            }
+        } else if (node.type === 'verse') {
+            if (!parseVerseNumber(node.number ?? '')) {
+                report('invalid_number', path, `Verse number "${node.number ?? ''}" cannot be read`, { ...fields, number: node.number ?? null });
+            } else if (chapter === null) {
+                report('verse_outside_chapter', path, `Verse ${node.number} comes before the first chapter`, { ...fields, number: node.number });
+            } else {
+                verse = node.number;
+            }
+        } else if (node.type === 'book' && !BOOK_CODES.includes(String(node.code).toUpperCase())) {
+            report('invalid_book_code', path, `Book code "${node.code ?? ''}" is not a known book code`, { ...fields, code: node.code ?? null });
+        }
+
+        if (!typed) {
+            report('invalid_node', path, `Node \\${marker} has no type`, { ...fields, node_type: null });
+        }
+        if (!USJ_CHILD_TYPES[parent.type]?.includes(node.type)) {
+            report('misplaced_node', path, `${capitalize(describe(node))} cannot be inside ${describe(parent)}`, { ...fields, parent_type: parent.type });
+        } else if (node.type === 'char' && marker && isNoteCharMarker(marker) && !inNote) {
+            report('misplaced_node', path, `Note content marker \\${marker} is outside a note`, { ...fields, parent_type: parent.type });
+        }
+
+        if (MARKED_TYPES.has(node.type)) {
+            if (marker === null) {
+                report('unknown_marker', path, `A ${node.type} node has no marker`, fields);
+            } else if (!isKnownMarker(marker)) {
+                report('unknown_marker', path, `Marker \\${marker} is not a USFM 3 marker`, fields);
+            } else if (!markerFitsType(node.type, marker)) {
+                report('marker_type_mismatch', path, `Marker \\${marker} cannot be used on a ${node.type} node`, fields);
+            }
+        }
+
+        if (USJ_EMPTY_TYPES.includes(node.type)) {
+            if (Array.isArray(node.content) && node.content.length > 0) {
+                report('misplaced_node', `${path}/content/0`, `${capitalize(describe(node))} cannot have content`, fields);
+            }
+            return;
+        }
+        visitContent(node, path, inNote || node.type === 'note');
+    }
+
+    function visitContent(node, path, inNote) {
+        if (node.content === undefined) return;
+        if (!Array.isArray(node.content)) {
+            report('invalid_node', `${path}/content`, `Content of ${describe(node)} is not a list`, { node_type: node.type });
+            return;
+        }
+        node.content.forEach((item, index) => {
+            const itemPath = `${path}/content/${index}`;
+            if (typeof item === 'string') {
+                // Whitespace between nodes is formatting, wherever it appears
+                if (item.trim() && !USJ_CHILD_TYPES[node.type]?.includes('string')) {
+                    report('misplaced_node', itemPath, `Text cannot be inside ${describe(node)}`, { node_type: 'string', parent_type: node.type });
+                }
+            } else if (item && typeof item === 'object' && !Array.isArray(item)) {
+                visitNode(item, itemPath, node, inNote);
+            } else {
+                report('invalid_node', itemPath, `Content of ${describe(node)} holds ${JSON.stringify(item)}, which is neither text nor a node`, { node_type: null });
+            }
+        });
+    }
+
+    const book = Array.isArray(usj?.content) ? usj.content.findIndex((item) => item?.type === 'book') : -1;
+    if (book === -1) {
+        report('missing_book', '/content', 'Document has no book node (\\id)');
+    } else if (book > 0) {
+        report('missing_book', `/content/${book}`, 'Book node (\\id) is not the first node of the document');
+    }
+    visitContent({ ...usj, type: 'USJ' }, '', false);
+
+    return {
+        check: 'structure::usj_schema',
+        issues,
+    };
+}
+
+// Level-1 markers are the same with or without their number: "s" and "s1"
+const markerKey = (marker) => `${baseMarker(marker)}${markerLevel(marker)}`;
+
+const textOf = (content) => (content || []).map((item) => (typeof item === 'string' ? item : item?.type === 'note' ? '' : textOf(item?.content))).join('');
+
+/**
+ * Lists the headings and paragraph breaks of the chapters of a text, each anchored to a verse position:
+ * a break before a verse sits at the verse number, a break inside a verse half a verse after it.
+ * A heading takes the position of the paragraph following it.
+ * @param {object} usj - USJ object.
+ * @param {boolean} poetry - Whether poetry lines (`q`) count as paragraph breaks.
+ * @returns {Array} Items `{ kind, marker, text, chapter, position, path }`, `kind` being "heading" or "paragraph".
+ */
+function paragraphStructure(usj, poetry) {
+    const items = [];
+    let pending = [];
+    let chapter = null;
+    let lastVerse = 0;
+    const breakMarkers = poetry ? [...PARAGRAPH_MARKERS, ...POETRY_MARKERS] : PARAGRAPH_MARKERS;
+
+    (usj.content || []).forEach((node, index) => {
+        const path = `/content/${index}`;
+        if (node?.marker === 'c' && /^\d+$/.test(String(node.number))) {
+            chapter = parseInt(node.number, 10);
+            lastVerse = 0;
+            return;
+        }
+        if (node?.type !== 'para' || chapter === null) return;
+
+        const base = baseMarker(node.marker || '');
+        if (HEADING_MARKERS.includes(base)) {
+            pending.push({ kind: 'heading', marker: node.marker, text: textOf(node.content).trim(), path });
+            return;
+        }
+
+        const content = node.content || [];
+        const first = content.find((item) => typeof item !== 'string' || item.trim() !== '');
+        const verses = content.filter((item) => item?.type === 'verse').map((item) => parseVerseNumber(item.number)).filter(Boolean);
+        if (first !== undefined && breakMarkers.includes(base)) {
+            const position = first?.type === 'verse' && verses.length > 0 ? verses[0].start : lastVerse + 0.5;
+            for (const heading of pending) items.push({ ...heading, chapter, position });
+            pending = [];
+            items.push({ kind: 'paragraph', marker: node.marker, chapter, position, path });
+        }
+        if (verses.length > 0) lastVerse = verses[verses.length - 1].end;
+    });
+
+    return items;
+}
+
+// Verse position as written in an issue: "1:4", or "1:0" before the first verse
+const positionVerse = (chapter, position) => `${chapter}:${Math.floor(position)}`;
+const describePosition = (chapter, position) => (Number.isInteger(position)
+    ? `before ${chapter}:${position}`
+    : position < 1 ? `at the start of chapter ${chapter}` : `within ${chapter}:${Math.floor(position)}`);
+
+/**
+ * Compares the section headings and paragraph breaks of the target with the source, chapter by
+ * chapter, each one anchored to the verse it comes before (or within):
+ * - `missing_heading` and `extra_heading`: a heading (`s`, `r`, `sp`, `ms`, ...) of one side has no
+ *   heading of the same marker at the same place on the other;
+ * - `missing_paragraph_break` and `extra_paragraph_break`: a paragraph starts at a place where the
+ *   other side has none, such as two source paragraphs merged in the target.
+ * Chapters missing on either side are left to the chapter and verse checks.
+ * @param {object} source - Parsed JSON object or `DocumentModel` of the source text.
+ * @param {object} target - Parsed JSON object or `DocumentModel` of the target text.
+ * @param {object|null} mapping - Versification mapping `{ book, mapVerse }` from source to target.
+ * @param {object} [options] - Check options.
+ * @param {number} [options.verseTolerance=0] - Number of verses a heading or break may move and still match.
+ * @param {boolean} [options.headings=true] - Whether to compare headings.
+ * @param {boolean} [options.paragraphs=true] - Whether to compare paragraph breaks.
+ * @param {boolean} [options.poetry=false] - Whether poetry lines (`q`) count as paragraph breaks.
+ * @returns {object} Report of structure differences.
+ */
+export function detectStructureParity(source, target, mapping = null, options = {}) {
+    const sourceModel = DocumentModel.from(source);
+    const targetModel = DocumentModel.from(target);
+    const { verseTolerance = 0, headings = true, paragraphs = true, poetry = false } = options;
+    const issues = [];
+    const targetPaths = targetModel.chapterPaths;
+    const sourcePaths = sourceModel.chapterPaths;
+
+    // Source positions move to the target versification; a break within a verse stays within it
+    const mapPosition = (item) => {
+        const verse = Math.floor(item.position);
+        if (!mapping?.mapVerse || verse < 1) return item;
+        const mapped = mapping.mapVerse(mapping.book, item.chapter, verse);
+        if (mapped.book !== mapping.book || mapped.verse === 0) return item;
+        return { ...item, chapter: mapped.chapter, position: mapped.verse + (item.position - verse) };
+    };
+    const kinds = [headings && 'heading', paragraphs && 'paragraph'].filter(Boolean);
+    const sourceItems = paragraphStructure(sourceModel.usj, poetry).filter(({ kind }) => kinds.includes(kind)).map(mapPosition);
+    const targetItems = paragraphStructure(targetModel.usj, poetry).filter(({ kind }) => kinds.includes(kind));
+    const sameKind = (a, b) => a.kind === b.kind && (a.kind === 'paragraph' || markerKey(a.marker) === markerKey(b.marker));
+
+    // Each source item takes the nearest unmatched target item of its kind within the tolerance
+    const matched = new Set();
+    const unmatched = [];
+    for (const item of sourceItems) {
+        let best = null;
+        for (const candidate of targetItems) {
+            if (matched.has(candidate) || candidate.chapter !== item.chapter || !sameKind(item, candidate)) continue;
+            const distance = Math.abs(candidate.position - item.position);
+            if (distance <= verseTolerance && (!best || distance < Math.abs(best.position - item.position))) best = candidate;
+        }
+        if (best) matched.add(best);
+        else unmatched.push(item);
+    }
+
+    // Where a source item would go in the target: its verse marker, or the chapter
+    const locate = (chapter, position) => {
+        const verse = targetModel.chapterVerseNodes[chapter]?.find((node) => node.verse === Math.max(1, Math.floor(position)));
+        return nodeLocation(verse ? verse.path : targetPaths[chapter]);
+    };
+    const inBoth = (chapter) => chapter in targetPaths && chapter in sourcePaths;
+
+    const found = [
+        ...unmatched.filter(({ chapter }) => inBoth(chapter)).map((item) => ({ item, side: 'source' })),
+        ...targetItems.filter((item) => !matched.has(item) && inBoth(item.chapter)).map((item) => ({ item, side: 'target' })),
+    ].sort((a, b) => a.item.chapter - b.item.chapter || a.item.position - b.item.position || (a.side === 'source' ? -1 : 1));
+
+    found.forEach(({ item, side }, index) => {
+        const { kind, marker, text, chapter, position } = item;
+        // Several breaks within the same verse are told apart by nothing but their count
+        const previous = found[index - 1];
+        if (kind === 'paragraph' && previous && previous.side === side && previous.item.kind === kind
+            && previous.item.chapter === chapter && previous.item.position === position) return;
+        const where = describePosition(chapter, position);
+        const at = position < 1 ? { chapter } : { verse: positionVerse(chapter, position) };
+        if (kind === 'heading') {
+            issues.push({
+                ...at,
+                type: side === 'source' ? 'missing_heading' : 'extra_heading',
+                marker,
+                [side === 'source' ? 'source_text' : 'text']: text,
+                location: side === 'source' ? locate(chapter, position) : nodeLocation(item.path),
+                comment: side === 'source'
+                    ? `Source heading \\${marker} "${text}" has no counterpart in the target (${where}).`
+                    : `Heading \\${marker} "${text}" has no counterpart in the source (${where}).`,
+            });
+        } else {
+            issues.push({
+                ...at,
+                type: side === 'source' ? 'missing_paragraph_break' : 'extra_paragraph_break',
+                location: side === 'source' ? locate(chapter, position) : nodeLocation(item.path),
+                comment: side === 'source'
+                    ? `The source starts a paragraph ${where}, the target does not.`
+                    : `The target starts a paragraph ${where}, the source does not.`,
+            });
+        }
+    });
+
+    return {
+        check: 'structure::parity',
+        issues,
+    };
+}
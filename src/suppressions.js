@@ -0,0 +1,94 @@
+// Accepted issues: suppressions matched by check name, reference and fingerprint
+
+/**
+ * Reads a suppressions file.
+ * @param {string|array|object} input - JSON text, an array of suppressions, or `{ suppressions: [...] }`.
+ * @returns {Array} Suppressions `{ check, reference, fingerprint, justification, reviewer }`.
+ * @throws {Error} When the input is not a list of suppressions or an entry misses a required field.
+ */
+export function parseSuppressions(input) {
+    const data = typeof input === 'string' ? JSON.parse(input) : input;
+    const list = Array.isArray(data) ? data : data?.suppressions;
+    if (!Array.isArray(list)) {
+        throw new Error('Suppressions must be an array or an object with a "suppressions" array');
+    }
+
+    return list.map((entry, index) => {
+        for (const field of ['check', 'reference', 'fingerprint']) {
+            if (typeof entry?.[field] !== 'string' || !entry[field]) {
+                throw new Error(`Suppression at index ${index} needs a "${field}" string`);
+            }
+        }
+        return entry;
+    });
+}
+
+/**
+ * Builds a suppression accepting an issue of a report, ready to be saved in a suppressions file.
+ * @param {string} check - Name of the check that reported the issue.
+ * @param {object} issue - Issue from a report.
+ * @param {object} [details] - `{ justification, reviewer }`.
+ * @returns {object} Suppression entry.
+ */
+export function suppressionFor(check, issue, details = {}) {
+    const suppression = { check, reference: issue.reference, fingerprint: issue.fingerprint };
+    if (details.justification) suppression.justification = details.justification;
+    if (details.reviewer) suppression.reviewer = details.reviewer;
+    return suppression;
+}
+
+const suppressionKey = (check, reference, fingerprint) => `${check}\u0000${reference}\u0000${fingerprint}`;
+
+/**
+ * Hides accepted issues from a report and lists the suppressions that no longer match anything.
+ * Each check entry gets a `suppressed` count, and the report a `suppressions` summary.
+ * @param {object} report - Report returned by `runChecks`.
+ * @param {Array} suppressions - Parsed suppressions.
+ * @param {object} [options] - Options.
+ * @param {Array} [options.checks] - Names of the checks that ran; suppressions of other checks are not stale.
+ * @param {Array} [options.books] - Book codes that were checked; suppressions of other books are not stale.
+ * @param {boolean} [options.showSuppressed] - Keep accepted issues, marked with `suppressed`, instead of hiding them.
+ * @returns {object} The report.
+ */
+export function applySuppressions(report, suppressions, options = {}) {
+    const pending = new Map();
+    for (const suppression of suppressions) {
+        pending.set(suppressionKey(suppression.check, suppression.reference, suppression.fingerprint), suppression);
+    }
+    const used = new Set();
+    let applied = 0;
+
+    for (const check of report.checks) {
+        const kept = [];
+        let suppressed = 0;
+        for (const issue of check.issues) {
+            const key = suppressionKey(check.name, issue.reference, issue.fingerprint);
+            const suppression = pending.get(key);
+            if (!suppression) {
+                kept.push(issue);
+                continue;
+            }
+            used.add(key);
+            suppressed++;
+            if (options.showSuppressed) {
+                issue.suppressed = { justification: suppression.justification ?? null, reviewer: suppression.reviewer ?? null };
+                kept.push(issue);
+            }
+        }
+        check.issues = kept;
+        if (suppressed > 0) check.suppressed = suppressed;
+        applied += suppressed;
+    }
+
+    const ran = (suppression) => {
+        if (options.checks && !options.checks.includes(suppression.check)) return false;
+        const book = suppression.reference.split(' ')[0];
+        return !options.books || options.books.includes(book);
+    };
+    const stale = [...pending]
+        .filter(([key, suppression]) => !used.has(key) && ran(suppression))
+        .map(([, suppression]) => suppression);
+
+    report.suppressions = { applied, stale };
+    return report;
+}
@@ -0,0 +1,135 @@
+// Key terms: approved target renderings of source terms, from a consultant glossary
+import { DocumentModel } from './document.js';
+import { nodeLocation } from './locations.js';
+import { pairVerses } from './utils.js';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches a word or phrase on word boundaries, in any script
+function phraseRegExp(phrase) {
+    const words = phrase.normalize('NFC').trim().split(/\s+/).map(escapeRegExp);
+    return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${words.join('\\s+')}(?![\\p{L}\\p{M}\\p{N}])`, 'iu');
+}
+
+// Problem of a glossary entry, or null when it is complete: "needs a "term" or "lemma" string"
+function entryProblem(entry) {
+    const { term = null, lemma = null, renderings = [], patterns = [] } = entry || {};
+    if (typeof term !== 'string' && typeof lemma !== 'string') {
+        return 'needs a "term" or "lemma" string';
+    }
+    if (!Array.isArray(renderings) || !Array.isArray(patterns) || renderings.length + patterns.length === 0) {
+        return 'needs "renderings" or "patterns"';
+    }
+    if (![...renderings, ...patterns].every((item) => typeof item === 'string')) {
+        return 'has "renderings" or "patterns" that are not strings';
+    }
+    for (const pattern of patterns) {
+        try {
+            new RegExp(pattern, 'iu');
+        } catch (error) {
+            return `has an invalid pattern "${pattern}": ${error.message}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Reads a key terms glossary.
+ * Each entry names a source `term` (a word or phrase of the source text) and/or a source `lemma`
+ * (matched against the `lemma` attribute of the source `w` words), with the approved target
+ * `renderings` (words or phrases) and inflection `patterns` (regular expressions).
+ * @param {string|array|object} input - JSON text, an array of entries, or `{ terms: [...] }`.
+ * @returns {Array} Entries `{ term, lemma, renderings, patterns }`.
+ * @throws {Error} When the input is not a list of entries or an entry is incomplete.
+ */
+export function parseGlossary(input) {
+    const data = typeof input === 'string' ? JSON.parse(input) : input;
+    const list = Array.isArray(data) ? data : data?.terms;
+    if (!Array.isArray(list)) {
+        throw new Error('Glossary must be an array or an object with a "terms" array');
+    }
+
+    return list.map((entry, index) => {
+        const problem = entryProblem(entry);
+        if (problem) throw new Error(`Glossary entry at index ${index} ${problem}`);
+        const { term = null, lemma = null, renderings = [], patterns = [] } = entry;
+        return { term, lemma, renderings, patterns };
+    });
+}
+
+/**
+ * Lists the problems of a glossary given in a recipe, all entries included.
+ * @param {array|object} glossary - Array of entries, or `{ terms: [...] }`.
+ * @returns {Array} Problems `{ path, message }`, `path` locating the entry ("[2]" or ".terms[2]").
+ */
+export function glossaryProblems(glossary) {
+    const list = Array.isArray(glossary) ? glossary : glossary?.terms;
+    if (!Array.isArray(list)) {
+        return [{ path: '', message: 'must be an array or an object with a "terms" array' }];
+    }
+    const prefix = Array.isArray(glossary) ? '' : '.terms';
+    return list
+        .map((entry, index) => ({ path: `${prefix}[${index}]`, message: entryProblem(entry) }))
+        .filter(({ message }) => message);
+}
+
+/**
+ * Detects verses where the source contains a key term but the target contains none of its approved
+ * renderings. Verses are paired as in `detectShortLongVerses`; verses missing on either side are left
+ * to the missing-verse check.
+ * @param {object} source - Parsed JSON object or `DocumentModel` of the source text.
+ * @param {object} target - Parsed JSON object or `DocumentModel` of the target text.
+ * @param {string|array|object} glossary - Glossary, see `parseGlossary`.
+ * @param {object|null} mapping - Versification mapping `{ book, mapVerse }` from source to target.
+ * @returns {object} Report of key terms without an approved rendering.
+ */
+export function detectKeyTerms(source, target, glossary = [], mapping = null) {
+    const sourceModel = DocumentModel.from(source);
+    const targetModel = DocumentModel.from(target);
+    const issues = [];
+    const targetMap = targetModel.verseMap;
+    const units = pairVerses(sourceModel.verses, targetModel.verses, mapping);
+
+    const terms = parseGlossary(glossary).map((entry) => ({
+        ...entry,
+        lemma: entry.lemma === null ? null : entry.lemma.normalize('NFC'),
+        termRegExp: entry.term === null ? null : phraseRegExp(entry.term),
+        renderingRegExps: [
+            ...entry.renderings.map(phraseRegExp),
+            ...entry.patterns.map((pattern) => new RegExp(pattern, 'iu')),
+        ],
+    }));
+    if (terms.length === 0) return { check: 'terms::key_terms', issues };
+    const byLemma = terms.some((entry) => entry.lemma !== null);
+
+    for (const { key, sourceKeys, targetKeys, sourceText, targetText } of units) {
+        if (sourceKeys.length === 0 || targetKeys.length === 0) continue;
+
+        const normalizedSource = sourceText.normalize('NFC');
+        const normalizedTarget = targetText.normalize('NFC');
+        const lemmas = new Set(byLemma ? sourceKeys.flatMap((sourceKey) =>
+            (sourceModel.verseWords[sourceKey] || []).map(({ lemma }) => lemma?.normalize('NFC'))) : []);
+
+        for (const entry of terms) {
+            const inSource = (entry.termRegExp && entry.termRegExp.test(normalizedSource))
+                || (entry.lemma !== null && lemmas.has(entry.lemma));
+            if (!inSource) continue;
+            if (entry.renderingRegExps.some((regExp) => regExp.test(normalizedTarget))) continue;
+
+            const label = entry.term ?? entry.lemma;
+            const expected = [...entry.renderings, ...entry.patterns.map((pattern) => `/${pattern}/`)];
+            issues.push({
+                verse: key,
+                term: label,
+                expected_renderings: expected,
+                location: nodeLocation(targetMap[targetKeys[0]].path),
+                comment: `Key term "${label}" is in the source but none of its approved renderings is in the target (${key}): ${expected.join(', ')}`,
+            });
+        }
+    }
+
+    return {
+        check: 'terms::key_terms',
+        issues,
+    };
+}
@@ -0,0 +1,214 @@
+import { ParseError } from './errors.js';
+import { DEFAULT_ATTRIBUTES, isNoteCharMarker, markerType } from './markers.js';
+
+const MARKER_REGEX = /\\(\+?)([A-Za-z0-9][A-Za-z0-9-]*)?(\*?)/y;
+const TOKEN_REGEX = /[ \t\r\n]*([^\s\\]+)/y;
+const ATTRIBUTE_REGEX = /\s*([A-Za-z][\w-]*)\s*=\s*"([^"]*)"\s*/y;
+
+/**
+ * Parses a USFM string into a USJ object, using the same node shapes as the
+ * USJ files consumed by USJHandler (book, chapter, verse, para, char, note, ms).
+ * @param {string} text - Raw USFM text.
+ * @returns {object} USJ object.
+ * @throws {ParseError} When the text is not well-formed USFM.
+ */
+export function parseUSFM(text) {
+    const source = text.replace(/^\uFEFF/, '');
+    const lineStarts = [0];
+    for (let i = 0; i < source.length; i++) {
+        if (source[i] === '\n') lineStarts.push(i + 1);
+    }
+
+    const usj = { type: 'USJ', version: '3.0', content: [] };
+    const stack = []; // Open char and note nodes: { node, offset }
+    const closedMarkers = new Set([...source.matchAll(/\\\+?([A-Za-z0-9][A-Za-z0-9-]*)\*/g)].map((m) => m[1]));
+    let bookCode = null;
+    let chapter = null;
+    let para = null;
+    let index = 0;
+
+    function fail(message, offset) {
+        let line = 0;
+        while (line + 1 < lineStarts.length && lineStarts[line + 1] <= offset) line++;
+        throw new ParseError(message, line + 1, offset - lineStarts[line] + 1);
+    }
+
+    function container() {
+        if (stack.length > 0) return stack[stack.length - 1].node.content;
+        return para ? para.content : usj.content;
+    }
+
+    function openNote() {
+        return stack.find((entry) => entry.node.type === 'note');
+    }
+
+    function closePara(marker) {
+        const note = openNote();
+        if (note) fail(`Unclosed note \\${note.node.marker} before \\${marker}`, note.offset);
+        stack.length = 0;
+        if (para && typeof para.content[para.content.length - 1] === 'string') {
+            // Line breaks before the next paragraph marker are not content
+            const last = para.content.pop().trimEnd();
+            if (last) para.content.push(last);
+        }
+        para = null;
+    }
+
+    function readToken(from) {
+        TOKEN_REGEX.lastIndex = from;
+        const match = TOKEN_REGEX.exec(source);
+        return match ? { value: match[1], end: TOKEN_REGEX.lastIndex } : null;
+    }
+
+    function skipDelimiter(from) {
+        if (source[from] === '\r' && source[from + 1] === '\n') return from + 2;
+        return /[ \t\n]/.test(source[from] || '') ? from + 1 : from;
+    }
+
+    function parseAttributes(raw, offset, node) {
+        const trimmed = raw.trim();
+        if (!trimmed) return;
+        if (!trimmed.includes('=')) {
+            if (!DEFAULT_ATTRIBUTES[node.marker]) fail(`\\${node.marker} has no default attribute`, offset);
+            node[DEFAULT_ATTRIBUTES[node.marker]] = trimmed;
+            return;
+        }
+        ATTRIBUTE_REGEX.lastIndex = 0;
+        while (ATTRIBUTE_REGEX.lastIndex < raw.length) {
+            const start = ATTRIBUTE_REGEX.lastIndex;
+            const match = ATTRIBUTE_REGEX.exec(raw);
+            if (!match) fail(`Malformed attribute list "${trimmed}"`, offset + start);
+            node[match[1]] = match[2];
+        }
+    }
+
+    function addText(raw, offset) {
+        let value = raw.replace(/[ \t]*\r?\n[ \t]*/g, ' ');
+        const content = container();
+        const top = stack[stack.length - 1];
+
+        if (top && top.node.type === 'char' && value.includes('|')) {
+            const bar = raw.indexOf('|');
+            parseAttributes(raw.slice(bar + 1), offset + bar + 1, top.node);
+            value = raw.slice(0, bar).replace(/[ \t]*\r?\n[ \t]*/g, ' ');
+        }
+        if (!value) return;
+        if (!value.trim() && (content.length === 0 || content === usj.content)) return;
+        content.push(value);
+    }
+
+    function closeMarker(marker, offset) {
+        for (let i = stack.length - 1; i >= 0; i--) {
+            if (stack[i].node.marker === marker) {
+                stack.length = i;
+                return;
+            }
+            if (stack[i].node.type === 'note') break;
+        }
+        fail(`Closing marker \\${marker}* has no matching opening marker`, offset);
+    }
+
+    while (index < source.length) {
+        const next = source.indexOf('\\', index);
+        const textEnd = next === -1 ? source.length : next;
+        if (textEnd > index) addText(source.slice(index, textEnd), index);
+        if (next === -1) break;
+
+        MARKER_REGEX.lastIndex = next;
+        const [token, , name, star] = MARKER_REGEX.exec(source);
+        index = MARKER_REGEX.lastIndex;
+
+        if (!name) {
+            fail(star ? 'Unexpected milestone terminator \\*' : 'Backslash without a marker name', next);
+        }
+        if (star) {
+            closeMarker(name, next);
+            continue;
+        }
+
+        let type = markerType(name);
+        if (type === null) type = closedMarkers.has(name) ? 'char' : 'para';
+
+        switch (type) {
+            case 'book': {
+                closePara(name);
+                const lineEnd = source.indexOf('\n', index);
+                const line = source.slice(index, lineEnd === -1 ? source.length : lineEnd).trim();
+                const [code, ...rest] = line.split(/\s+/);
+                if (!/^[A-Z0-9]{3}$/.test(code || '')) fail(`Invalid book code "${code || ''}" in \\id`, index);
+                bookCode = code;
+                usj.content.push({ type: 'book', marker: 'id', code, content: rest.length ? [rest.join(' ')] : [] });
+                index = lineEnd === -1 ? source.length : lineEnd + 1;
+                break;
+            }
+            case 'chapter':
+            case 'verse': {
+                const number = readToken(index);
+                if (!number) fail(`Missing number after \\${name}`, next);
+                const node = { type, marker: name, number: number.value };
+                if (type === 'chapter') {
+                    closePara(name);
+                    chapter = number.value;
+                    if (bookCode) node.sid = `${bookCode} ${chapter}`;
+                    usj.content.push(node);
+                } else {
+                    if (openNote()) fail('Verse marker inside a note', next);
+                    stack.length = 0;
+                    if (bookCode && chapter) node.sid = `${bookCode} ${chapter}:${number.value}`;
+                    container().push(node);
+                }
+                index = skipDelimiter(number.end);
+                break;
+            }
+            case 'para': {
+                closePara(name);
+                para = { type: 'para', marker: name, content: [] };
+                usj.content.push(para);
+                index = skipDelimiter(index);
+                break;
+            }
+            case 'note': {
+                if (openNote()) fail(`Note \\${name} opened inside another note`, next);
+                const caller = readToken(index);
+                const node = { type: 'note', marker: name, caller: '+', content: [] };
+                if (caller) {
+                    node.caller = caller.value;
+                    index = skipDelimiter(caller.end);
+                }
+                container().push(node);
+                stack.push({ node, offset: next });
+                break;
+            }
+            case 'ms': {
+                const node = { type: 'ms', marker: name };
+                const end = source.indexOf('\\', index);
+                if (end !== -1 && source.startsWith('\\*', end)) {
+                    const raw = source.slice(index, end);
+                    if (raw.trim() && !raw.trim().startsWith('|')) fail(`Unexpected text in milestone \\${name}`, index);
+                    parseAttributes(raw.trim().slice(1), index + raw.indexOf('|') + 1, node);
+                    index = end + 2;
+                } else {
+                    index = skipDelimiter(index);
+                }
+                container().push(node);
+                break;
+            }
+            default: {
+                if (isNoteCharMarker(name) && openNote() && !token.startsWith('\\+')) {
+                    // Note content markers close the previous one implicitly
+                    while (stack[stack.length - 1].node.type !== 'note') stack.pop();
+                }
+                const node = { type: 'char', marker: name, content: [] };
+                container().push(node);
+                stack.push({ node, offset: next });
+                index = skipDelimiter(index);
+            }
+        }
+    }
+
+    const note = openNote();
+    if (note) fail(`Unclosed note \\${note.node.marker}`, note.offset);
+    closePara();
+
+    return usj;
+}
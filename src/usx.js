@@ -0,0 +1,175 @@
+import { ParseError } from './errors.js';
+
+const TAG_REGEX = /<(\/?)([A-Za-z_][\w:.-]*)((?:\s+[A-Za-z_][\w:.-]*\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+const ATTRIBUTE_REGEX = /([A-Za-z_][\w:.-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// USX element names mapped to USJ node types
+const ELEMENT_TYPES = {
+    book: 'book',
+    chapter: 'chapter',
+    verse: 'verse',
+    para: 'para',
+    char: 'char',
+    note: 'note',
+    ms: 'ms',
+    figure: 'figure',
+    table: 'table',
+    row: 'table:row',
+    cell: 'table:cell',
+    ref: 'ref',
+    optbreak: 'optbreak',
+    sidebar: 'sidebar',
+    periph: 'periph',
+};
+
+// USX-only attributes that have no USJ counterpart
+const DROPPED_ATTRIBUTES = new Set(['style', 'closed', 'vid']);
+
+function decodeEntities(text, fail, offset) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);?/g, (match, name, position) => {
+        if (!match.endsWith(';')) fail(`Unterminated entity "${match}"`, offset + position);
+        if (name[0] === '#') {
+            return String.fromCodePoint(name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+        }
+        if (!(name in ENTITIES)) fail(`Unknown entity "&${name};"`, offset + position);
+        return ENTITIES[name];
+    });
+}
+
+/**
+ * Parses a USX (XML) string into a USJ object.
+ * Chapter and verse end milestones (`eid`) are dropped, since USJ only keeps the start markers.
+ * @param {string} text - Raw USX text.
+ * @returns {object} USJ object.
+ * @throws {ParseError} When the text is not well-formed USX.
+ */
+export function parseUSX(text) {
+    const source = text.replace(/^\uFEFF/, '');
+    const lineStarts = [0];
+    for (let i = 0; i < source.length; i++) {
+        if (source[i] === '\n') lineStarts.push(i + 1);
+    }
+
+    function fail(message, offset) {
+        let line = 0;
+        while (line + 1 < lineStarts.length && lineStarts[line + 1] <= offset) line++;
+        throw new ParseError(message, line + 1, offset - lineStarts[line] + 1);
+    }
+
+    let usj = null;
+    const stack = []; // Open elements: { name, node, offset }
+    let index = 0;
+
+    function current() {
+        return stack.length > 0 ? stack[stack.length - 1] : null;
+    }
+
+    function addText(raw, offset) {
+        const parent = current();
+        if (!parent) {
+            if (raw.trim()) fail('Text outside of the <usx> root element', offset + raw.search(/\S/));
+            return;
+        }
+        // Indentation between elements is formatting, not content
+        if (!raw.trim() && (raw.includes('\n') || parent.node === usj)) return;
+        if (!parent.node) return;
+        const value = decodeEntities(raw, fail, offset).replace(/\s*\n\s*/g, ' ');
+        if (value && parent.node.content) parent.node.content.push(value);
+    }
+
+    function openElement(name, attributes, offset) {
+        const parent = current();
+        if (!parent) {
+            if (usj) fail('Only one root element is allowed', offset);
+            if (name !== 'usx') fail(`Expected <usx> root element, found <${name}>`, offset);
+            usj = { type: 'USJ', version: '3.0', content: [] };
+            return { name, node: usj };
+        }
+
+        // Children of skipped elements are skipped too
+        if (!parent.node) return { name, node: null };
+
+        const type = ELEMENT_TYPES[name];
+        if (!type) fail(`Unknown USX element <${name}>`, offset);
+        if ((type === 'chapter' || type === 'verse') && attributes.eid && !attributes.number) {
+            return { name, node: null };
+        }
+
+        const node = { type };
+        if (attributes.style) node.marker = attributes.style;
+        for (const [key, value] of Object.entries(attributes)) {
+            if (!DROPPED_ATTRIBUTES.has(key)) node[key] = value;
+        }
+        if (type !== 'chapter' && type !== 'verse' && type !== 'ms' && type !== 'optbreak') {
+            node.content = [];
+        }
+        if (!parent.node.content) fail(`<${name}> is not allowed inside <${parent.name}>`, offset);
+        parent.node.content.push(node);
+        return { name, node };
+    }
+
+    while (index < source.length) {
+        const next = source.indexOf('<', index);
+        const textEnd = next === -1 ? source.length : next;
+        if (textEnd > index) addText(source.slice(index, textEnd), index);
+        if (next === -1) break;
+
+        if (source.startsWith('<?', next)) {
+            const end = source.indexOf('?>', next);
+            if (end === -1) fail('Unterminated processing instruction', next);
+            index = end + 2;
+            continue;
+        }
+        if (source.startsWith('<!--', next)) {
+            const end = source.indexOf('-->', next);
+            if (end === -1) fail('Unterminated comment', next);
+            index = end + 3;
+            continue;
+        }
+        if (source.startsWith('<![CDATA[', next)) {
+            const end = source.indexOf(']]>', next);
+            if (end === -1) fail('Unterminated CDATA section', next);
+            const parent = current();
+            if (parent?.node?.content) parent.node.content.push(source.slice(next + 9, end));
+            index = end + 3;
+            continue;
+        }
+        if (source.startsWith('<!', next)) {
+            const end = source.indexOf('>', next);
+            if (end === -1) fail('Unterminated declaration', next);
+            index = end + 1;
+            continue;
+        }
+
+        TAG_REGEX.lastIndex = next;
+        const match = TAG_REGEX.exec(source);
+        if (!match) fail('Malformed tag', next);
+        index = TAG_REGEX.lastIndex;
+
+        const [, closing, name, rawAttributes, selfClosing] = match;
+        if (closing) {
+            const open = stack.pop();
+            if (!open) fail(`Unexpected closing tag </${name}>`, next);
+            if (open.name !== name) fail(`Closing tag </${name}> does not match <${open.name}>`, next);
+            continue;
+        }
+
+        const attributes = {};
+        for (const [, key, double, single] of rawAttributes.matchAll(ATTRIBUTE_REGEX)) {
+            attributes[key] = decodeEntities(double ?? single, fail, next);
+        }
+
+        const element = openElement(name, attributes, next);
+        if (!selfClosing) stack.push({ ...element, offset: next });
+    }
+
+    if (stack.length > 0) {
+        const open = stack[stack.length - 1];
+        fail(`Unclosed element <${open.name}>`, open.offset);
+    }
+    if (!usj) fail('Missing <usx> root element', source.length);
+
+    return usj;
+}
@@ -1,26 +1,41 @@
 import { USJHandler } from './USJHandler.js';
+import { DocumentModel } from './document.js';
+import { parseVerseKey } from './references.js';
+import { nodeLocation, textLocation, unitTextLocation } from './locations.js';
+import { digitValue, findNumberWords, findNumbers, numberWordsOf } from './numbers.js';
 
-const numeralMapping = {
-    // Arabic and Eastern Arabic numerals
-    "0": ["0", "٠"],
-    "1": ["1", "١"],
-    "2": ["2", "٢"],
-    "3": ["3", "٣"],
-    "4": ["4", "٤"],
-    "5": ["5", "٥"],
-    "6": ["6", "٦"],
-    "7": ["7", "٧"],
-    "8": ["8", "٨"],
-    "9": ["9", "٩"],
-};
-
+/**
+ * Normalizes a decimal digit of any script to its ASCII digit ("٣" and "३" give "3").
+ * @param {string} symbol - One character.
+ * @returns {string|null} ASCII digit, or null when the character is not a decimal digit.
+ */
 export function normalizeNumber(symbol) {
-    for (const [normalized, variants] of Object.entries(numeralMapping)) {
-        if (variants.includes(symbol)) {
-            return normalized;
+    const value = digitValue(symbol);
+    return value === null ? null : String(value);
+}
+
+/**
+ * Computes the Levenshtein edit distance between two strings.
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @returns {number} Number of single-character edits turning `a` into `b`.
+ */
+export function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
         }
+        previous = current;
     }
-    return null;
+
+    return previous[b.length];
 }
 
 /**
@@ -44,7 +59,10 @@ export function extractVerses(usj) {
             if(item.marker === 'f' || item.marker === 'x') {
                 inFootNote = true;
             } else if (item.marker === 'c' && item.number) {
-                // New chapter: reset tracking
+                // New chapter: store the last verse of the previous one and reset tracking
+                if (currentChapter && currentVerse) {
+                    verses[`${currentChapter}:${currentVerse}`] = currentContent.trim();
+                }
                 currentChapter = item.number;
                 currentVerse = null;
                 currentContent = '';
@@ -80,51 +98,140 @@ export function extractVerses(usj) {
 
 /**
  * Extracts chapter and verse numbers from USJ content.
+ * Bridged verses ("3-4") count as each verse they cover; segments ("5a", "5b") count once.
  * @param {object} text - USJ JSON object.
  * @returns {object} Map of chapters to arrays of verses.
  */
 export function extractChapterVerses(text) {
-    const handler = new USJHandler(text);
     const chapters = {};
+    for (const [chapter, verses] of Object.entries(extractChapterVerseNodes(text))) {
+        chapters[chapter] = verses.map(({ verse }) => verse);
+    }
+    return chapters;
+}
 
-    handler.traverse(text.content, (item) => {
-        if (item.marker === 'c' && item.number) {
-            handler.currentChapter = item.number;
-            if (!chapters[handler.currentChapter]) {
-                chapters[handler.currentChapter] = [];
-            }
-        } else if (item.marker === 'v' && item.number) {
-            chapters[handler.currentChapter].push(parseInt(item.number, 10));
+/**
+ * Extracts chapter and verse numbers like `extractChapterVerses`, with the JSON pointer of each verse marker.
+ * @param {object} text - USJ JSON object.
+ * @returns {object} Map of chapters to arrays of `{ verse, path }`.
+ */
+export function extractChapterVerseNodes(text) {
+    return new USJHandler(text).extractChapterVerseNodes();
+}
+
+/**
+ * Pairs source and target verses for comparison, keyed in the target versification.
+ * A bridged verse ("3-4") is paired with every verse it covers on the other side, and
+ * segments ("5a", "5b") are merged, so that each unit holds the text of both sides over
+ * the same verses. Source verses mapped to a psalm title (verse 0) or to another book are dropped.
+ * @param {object} sourceVerses - Map of source verse IDs to their text.
+ * @param {object} targetVerses - Map of target verse IDs to their text.
+ * @param {object|null} mapping - Versification mapping `{ book, mapVerse }` from source to target.
+ * @returns {Array} Units `{ key, sourceKeys, targetKeys, sourceText, targetText }` in verse order.
+ */
+export function pairVerses(sourceVerses, targetVerses, mapping = null) {
+    const entries = [];
+    const unparsed = new Map();
+
+    function addUnparsed(side, key, text) {
+        if (!unparsed.has(key)) unparsed.set(key, { source: [], target: [] });
+        unparsed.get(key)[side].push({ key, text });
+    }
+
+    for (const [key, text] of Object.entries(sourceVerses)) {
+        const parsed = parseVerseKey(key);
+        if (!parsed) {
+            addUnparsed('source', key, text);
+            continue;
         }
+        let { chapter, start, end } = parsed;
+        if (mapping?.mapVerse) {
+            const first = mapping.mapVerse(mapping.book, chapter, start);
+            const last = mapping.mapVerse(mapping.book, chapter, end);
+            if (first.book !== mapping.book || first.verse === 0) continue;
+            chapter = first.chapter;
+            start = first.verse;
+            end = last.chapter === first.chapter && last.verse >= first.verse ? last.verse : first.verse;
+        }
+        entries.push({ side: 'source', key, text, chapter, start, end });
+    }
+    for (const [key, text] of Object.entries(targetVerses)) {
+        const parsed = parseVerseKey(key);
+        if (!parsed) {
+            addUnparsed('target', key, text);
+            continue;
+        }
+        entries.push({ side: 'target', key, text, ...parsed });
+    }
+
+    entries.sort((a, b) => a.chapter - b.chapter || a.start - b.start);
+
+    const groups = [];
+    for (const entry of entries) {
+        const group = groups[groups.length - 1];
+        if (group && group.chapter === entry.chapter && entry.start <= group.end) {
+            group.end = Math.max(group.end, entry.end);
+            group[entry.side].push(entry);
+        } else {
+            groups.push({ chapter: entry.chapter, start: entry.start, end: entry.end, source: [], target: [], [entry.side]: [entry] });
+        }
+    }
+
+    const units = groups.map((group) => {
+        let key = `${group.chapter}:${group.start === group.end ? group.start : `${group.start}-${group.end}`}`;
+        if (group.target.length === 1) {
+            key = group.target[0].key;
+        } else if (group.target.length === 0 && group.source.length === 1 && !mapping?.mapVerse) {
+            key = group.source[0].key;
+        }
+        return {
+            key,
+            sourceKeys: group.source.map((entry) => entry.key),
+            targetKeys: group.target.map((entry) => entry.key),
+            sourceText: group.source.map((entry) => entry.text).join(' '),
+            targetText: group.target.map((entry) => entry.text).join(' '),
+        };
     });
 
-    return chapters;
+    for (const [key, { source: sourceEntries, target: targetEntries }] of unparsed) {
+        units.push({
+            key,
+            sourceKeys: sourceEntries.map((entry) => entry.key),
+            targetKeys: targetEntries.map((entry) => entry.key),
+            sourceText: sourceEntries.map((entry) => entry.text).join(' '),
+            targetText: targetEntries.map((entry) => entry.text).join(' '),
+        });
+    }
+
+    return units;
 }
 
 export function extractNumbers(text) {
-    const numberRegex = /[\d٠-٩]/g;
+    const numberRegex = /\p{Nd}/gu;
     return [...text.matchAll(numberRegex)].map((match) => normalizeNumber(match[0])).filter(Boolean);
 }
 
 /**
  * Detects short, long, or empty verses based on length comparison between source and target.
- * @param {object} source - Parsed JSON object of the source text.
- * @param {object} target - Parsed JSON object of the target text.
+ * @param {object} source - Parsed JSON object or `DocumentModel` of the source text.
+ * @param {object} target - Parsed JSON object or `DocumentModel` of the target text.
  * @param {number} threshold - Percentage difference to consider (default: 20%).
+ * @param {object|null} mapping - Versification mapping `{ book, mapVerse }` from source to target.
  * @returns {object} Report of short/long verses and empty verses.
  */
-export function detectShortLongVerses(source, target, threshold = 20) {
-    const handlerSrc = new USJHandler(source);
-    const handlerTgt = new USJHandler(target);
+export function detectShortLongVerses(source, target, threshold = 20, mapping = null) {
+    const sourceModel = DocumentModel.from(source);
+    const targetModel = DocumentModel.from(target);
     const issues = [];
-    const sourceVerses = handlerSrc.extractVerses();
-    const targetVerses = handlerTgt.extractVerses();
+    const targetMap = targetModel.verseMap;
+    const units = pairVerses(sourceModel.verses, targetModel.verses, mapping);
 
-    for (const [key, sourceText] of Object.entries(sourceVerses)) {
-        const targetText = targetVerses[key] || '';
+    for (const { key, sourceKeys, targetKeys, sourceText, targetText } of units) {
+        if (sourceKeys.length === 0) continue;
 
         const sourceLength = sourceText.trim().length;
         const targetLength = targetText.trim().length;
+        const location = targetKeys.length > 0 ? nodeLocation(targetMap[targetKeys[0]].path) : null;
 
         // Detect empty source or target verses
         if (sourceLength === 0 && targetLength > 0) {
@@ -135,6 +242,7 @@ export function detectShortLongVerses(source, target, threshold = 20) {
                 target_length: targetLength,
                 verse_text: targetText,
                 difference: null,
+                location,
                 comment: 'Source verse is empty, but target contains text.'
             });
         } else if (sourceLength > 0 && targetLength === 0) {
@@ -145,6 +253,7 @@ export function detectShortLongVerses(source, target, threshold = 20) {
                 target_length: targetLength,
                 verse_text: sourceText,
                 difference: null,
+                location,
                 comment: 'Target verse is empty, but source contains text.'
             });
         } else if (sourceLength > 0 && targetLength > 0) {
@@ -161,6 +270,7 @@ export function detectShortLongVerses(source, target, threshold = 20) {
                     target_length: targetLength,
                     verse_text: sourceText,
                     difference: `${parseFloat(Math.abs(diffPercentage).toFixed(2))}%`,
+                    location,
                     comment: diffPercentage > 0
                         ? 'Target verse is too long compared to source.'
                         : 'Target verse is too short compared to source.'
@@ -177,16 +287,17 @@ export function detectShortLongVerses(source, target, threshold = 20) {
 
 /**
  * Checks for duplicated or out-of-order chapter/verse numbers.
- * @param {object} source - Parsed JSON object of the source text.
- * @param {object} target - Parsed JSON object of the target text.
+ * @param {object} source - Parsed JSON object or `DocumentModel` of the source text.
+ * @param {object} target - Parsed JSON object or `DocumentModel` of the target text.
  * @returns {object} Report of chapter/verse integrity issues.
  */
 export function checkChapterVerseIntegrity(source, target) {
-    const handler = new USJHandler(target);
+    const targetModel = DocumentModel.from(target);
     const issues = [];
     // const sourceChapters = extractChapterVerses(source);
-    const targetChapters = extractChapterVerses(target);
-    const targetVerses = handler.extractVerses();
+    const targetChapters = targetModel.chapterVerseNodes;
+    const targetVerses = targetModel.verses;
+    const chapterPaths = targetModel.chapterPaths;
 
     function validateIntegrity(chapterVerses, textType, verses) {
         const seen = new Set();
@@ -201,18 +312,20 @@ export function checkChapterVerseIntegrity(source, target) {
                 issues.push({
                     type: 'out_of_order',
                     chapter,
+                    location: nodeLocation(chapterPaths[chapter]),
                     comment: `${textType} has out-of-order chapter ${chapter}.`,
                 });
             }
             lastChapter = chapter;
 
-            for (const verse of versesInChapter) {
+            for (const { verse, path } of versesInChapter) {
                 if (verse < lastVerse) {
                     issues.push({
                         type: 'out_of_order',
                         chapter,
                         verse,
                         verse_text: verses[`${chapter}:${verse}`],
+                        location: nodeLocation(path),
                         comment: `${textType} has out-of-order verse ${verse} in chapter ${chapter}.`,
                     });
                 }
@@ -222,6 +335,7 @@ export function checkChapterVerseIntegrity(source, target) {
                         chapter,
                         verse,
                         verse_text: verses[`${chapter}:${verse}`],
+                        location: nodeLocation(path),
                         comment: `${textType} has duplicate verse ${verse} in chapter ${chapter}.`,
                     });
                 }
@@ -242,29 +356,43 @@ export function checkChapterVerseIntegrity(source, target) {
 
 /**
  * Detects missing verses in the target compared to the source.
- * @param {object} source - Parsed JSON object of the source text.
- * @param {object} target - Parsed JSON object of the target text.
+ * @param {object} source - Parsed JSON object or `DocumentModel` of the source text.
+ * @param {object} target - Parsed JSON object or `DocumentModel` of the target text.
+ * @param {object|null} mapping - Versification mapping `{ book, mapVerse }` from source to target.
  * @returns {object} Report of missing verses.
  */
-export function detectMissingVerses(source, target) {
-    const handlerSrc = new USJHandler(source);
+export function detectMissingVerses(source, target, mapping = null) {
+    const sourceModel = DocumentModel.from(source);
+    const targetModel = DocumentModel.from(target);
     const issues = [];
-    const sourceChapters = extractChapterVerses(source);
-    const targetChapters = extractChapterVerses(target);
-    const sourceVerses = handlerSrc.extractVerses();
+    const sourceChapters = sourceModel.chapterVerses;
+    const targetChapterPaths = targetModel.chapterPaths;
+    const reported = new Set();
 
     for (const [chapter, verses] of Object.entries(sourceChapters)) {
-        const targetVerses = targetChapters[chapter] || [];
-        const missingVerses = verses.filter((verse) => !targetVerses.includes(verse));
+        for (const sourceVerse of verses) {
+            const mapped = mapping?.mapVerse
+                ? mapping.mapVerse(mapping.book, parseInt(chapter, 10), sourceVerse)
+                : { book: mapping?.book, chapter: parseInt(chapter, 10), verse: sourceVerse };
+            if (mapping?.mapVerse && (mapped.book !== mapping.book || mapped.verse === 0)) continue;
 
-        for (const missingVerse of missingVerses) {
-            issues.push({
+            const key = `${mapped.chapter}:${mapped.verse}`;
+            if (targetModel.hasVerse(mapped.chapter, mapped.verse) || reported.has(key)) continue;
+            reported.add(key);
+
+            const issue = {
                 type: 'missing',
-                chapter: parseInt(chapter, 10),
-                verse: missingVerse,
-                verse_text: sourceVerses[`${chapter}:${missingVerse}`],
-                comment: `Target is missing verse ${missingVerse} in chapter ${chapter}.`,
-            });
+                chapter: mapped.chapter,
+                verse: mapped.verse,
+                verse_text: sourceModel.verse(`${chapter}:${sourceVerse}`),
+                // The verse would go in its chapter, or anywhere in the book when the chapter is missing too
+                location: nodeLocation(targetChapterPaths[mapped.chapter] || ''),
+                comment: `Target is missing verse ${mapped.verse} in chapter ${mapped.chapter}.`,
+            };
+            if (key !== `${chapter}:${sourceVerse}`) {
+                issue.source_verse = `${chapter}:${sourceVerse}`;
+            }
+            issues.push(issue);
         }
     }
 
@@ -277,21 +405,23 @@ export function detectMissingVerses(source, target) {
 
 /**
  * Detects consecutive repeated words and excessive whitespace in verses.
- * @param {object} target - Parsed JSON object of the target text.
+ * @param {object} target - Parsed JSON object or `DocumentModel` of the target text.
  * @returns {object} Report of consecutive repeated words or whitespace issues.
  */
 export function detectRepeatedWordsAndWhitespace(target) {
-    const handlerSrc = new USJHandler(target);
+    const targetModel = DocumentModel.from(target);
     const issues = [];
-    const targetVerses = handlerSrc.extractVerses(target);
-
-    console.log(targetVerses);
+    const targetMap = targetModel.verseMap;
+    const targetVerses = targetModel.verses;
 
     for (const [key, text] of Object.entries(targetVerses)) {
         const words = text.split(/\s+/);
+        // Offsets of the words above in the verse text (the text is trimmed, so they line up)
+        const wordRanges = [...text.matchAll(/\S+/g)].map((match) => [match.index, match.index + match[0].length]);
         const consecutiveRepeats = [];
         const repeatPositions = [];
         const whitespacePositions = [];
+        const locations = [];
         let excessiveWhitespace = /\s{2,}/.test(text);
 
         // Detect consecutive repeated words with positions
@@ -301,6 +431,7 @@ export function detectRepeatedWordsAndWhitespace(target) {
             if (currentWord && currentWord === nextWord) {
                 consecutiveRepeats.push(currentWord);
                 repeatPositions.push(i);
+                locations.push(textLocation(targetMap[key], wordRanges[i][0], wordRanges[i + 1][1]));
             }
         }
 
@@ -309,6 +440,7 @@ export function detectRepeatedWordsAndWhitespace(target) {
             const matches = [...text.matchAll(/\s{2,}/g)];
             for (const match of matches) {
                 whitespacePositions.push(match.index);
+                locations.push(textLocation(targetMap[key], match.index, match.index + match[0].length));
             }
         }
 
@@ -319,6 +451,8 @@ export function detectRepeatedWordsAndWhitespace(target) {
                 positions: repeatPositions,
                 whitespace_positions: whitespacePositions,
                 whitespace_issue: excessiveWhitespace,
+                location: locations[0],
+                locations,
                 comment: consecutiveRepeats.length > 0
                     ? `Consecutive repeated words: ${[...new Set(consecutiveRepeats)].join(', ')}`
                     : "Excessive whitespace detected",
@@ -332,16 +466,29 @@ export function detectRepeatedWordsAndWhitespace(target) {
     };
 }
 
+/**
+ * Lists the problems of a custom punctuation pair map, for recipe validation.
+ * @param {object} pairs - Map of opening to closing punctuation.
+ * @returns {Array} Problems `{ path, message }`, where `path` names the opening mark ('["("]').
+ */
+export function punctuationPairProblems(pairs) {
+    const isMark = (mark) => typeof mark === 'string' && [...mark].length === 1;
+    return Object.entries(pairs)
+        .filter(([opening, closing]) => !isMark(opening) || !isMark(closing))
+        .map(([opening]) => ({ path: `[${JSON.stringify(opening)}]`, message: 'must map a single opening character to a single closing character' }));
+}
+
 /**
  * Detects unmatched punctuation pairs across verses (e.g., quotes, parentheses).
- * @param {object} target - Parsed JSON object of the target text.
+ * @param {object} target - Parsed JSON object or `DocumentModel` of the target text.
  * @param {object|null} pair_punctuation_list - Optional custom punctuation pairs.
  * @returns {object} Report of unmatched punctuation issues.
  */
 export function detectUnmatchedPunctuation(target, pair_punctuation_list = null) {
-    const handlerSrc = new USJHandler(target);
+    const targetModel = DocumentModel.from(target);
     const issues = [];
-    const targetVerses = handlerSrc.extractVerses();
+    const targetMap = targetModel.verseMap;
+    const targetVerses = targetModel.verses;
 
     // Define default punctuation pairs or use provided ones
     let PAIR_PUNCTUATION = {
@@ -369,7 +516,9 @@ export function detectUnmatchedPunctuation(target, pair_punctuation_list = null)
     }
 
     for (const [key, text] of Object.entries(targetVerses)) {
+        let offset = 0;
         for (const char of text) {
+            const location = textLocation(targetMap[key], offset, offset + char.length);
             if (PAIR_PUNCTUATION[char]) {
                 if (PAIR_PUNCTUATION[char] === char) {
                     // Handle symmetric punctuation using toggles
@@ -377,7 +526,7 @@ export function detectUnmatchedPunctuation(target, pair_punctuation_list = null)
                     if (toggles[char]) {
                         // Entering a symmetric punctuation
                         if (stack.length === 0) openVerse = key;
-                        stack.push({ char, verse: key });
+                        stack.push({ char, verse: key, location });
                     } else {
                         // Exiting a symmetric punctuation
                         const last = stack.pop();
@@ -385,6 +534,7 @@ export function detectUnmatchedPunctuation(target, pair_punctuation_list = null)
                             issues.push({
                                 verse: key,
                                 unmatched_punctuation: char,
+                                location,
                                 comment: `Unmatched closing punctuation: ${char}`,
                             });
                         // } else if (last.verse !== key) {
@@ -398,7 +548,7 @@ export function detectUnmatchedPunctuation(target, pair_punctuation_list = null)
                 } else {
                     // Handle asymmetric punctuation (e.g., (), {}, etc.)
                     if (stack.length === 0) openVerse = key;
-                    stack.push({ char, verse: key });
+                    stack.push({ char, verse: key, location });
                 }
             } else if (Object.values(PAIR_PUNCTUATION).includes(char)) {
                 // Handle closing punctuation
@@ -408,6 +558,7 @@ export function detectUnmatchedPunctuation(target, pair_punctuation_list = null)
                     issues.push({
                         verse: key,
                         unmatched_punctuation: char,
+                        location,
                         comment: `Unmatched closing punctuation: ${char}`,
                     });
                 // } else if (last.verse !== key) {
@@ -419,6 +570,7 @@ export function detectUnmatchedPunctuation(target, pair_punctuation_list = null)
                 //     });
                 }
             }
+            offset += char.length;
         }
     }
 
@@ -432,6 +584,7 @@ export function detectUnmatchedPunctuation(target, pair_punctuation_list = null)
                 issues.push({
                     verse: openVerse,
                     unmatched_punctuation: unmatched.char,
+                    location: unmatched.location,
                     comment: `Unmatched opening punctuation: ${unmatched.char}`,
                 });
             }
@@ -446,49 +599,57 @@ export function detectUnmatchedPunctuation(target, pair_punctuation_list = null)
 
 /**
  * Detects number mismatches between source and target verses.
- * @param {object} source - Parsed JSON object of the source text.
- * @param {object} target - Parsed JSON object of the target text.
+ * Numbers are compared by value, whatever their digits (Devanagari, Thai, Persian, Ethiopic numerals...)
+ * and thousands separators ("10,000", "10 000"). With a language, numbers written as words in that side
+ * ("twelve") account for the same number in digits on the other side; they are not reported on their own.
+ * @param {object} source - Parsed JSON object or `DocumentModel` of the source text.
+ * @param {object} target - Parsed JSON object or `DocumentModel` of the target text.
+ * @param {object|null} mapping - Versification mapping `{ book, mapVerse }` from source to target.
+ * @param {object} [options] - Check options.
+ * @param {string} [options.sourceLanguage] - Language of the source number words, see `NUMBER_WORDS`.
+ * @param {string} [options.targetLanguage] - Language of the target number words.
+ * @param {object} [options.numberWords] - Number words by language (`{ sw: { moja: 1, ... } }`), added to the built-in ones.
  * @returns {object} Report of number mismatches.
  */
-export function detectNumberMismatches(source, target) {
-    const handlerSrc = new USJHandler(source);
-    const handlerTgt = new USJHandler(target);
+export function detectNumberMismatches(source, target, mapping = null, options = {}) {
+    const sourceModel = DocumentModel.from(source);
+    const targetModel = DocumentModel.from(target);
     const issues = [];
-    const sourceVerses = handlerSrc.extractVerses();
-    const targetVerses = handlerTgt.extractVerses();
+    const targetMap = targetModel.verseMap;
+    const units = pairVerses(sourceModel.verses, targetModel.verses, mapping);
 
-    const numberRegex = /\b\d+\b/g;
+    const { sourceLanguage = null, targetLanguage = null, numberWords = null } = options;
+    const sourceWords = sourceLanguage ? numberWordsOf(sourceLanguage, numberWords || {}) : null;
+    const targetWords = targetLanguage ? numberWordsOf(targetLanguage, numberWords || {}) : null;
+    const written = (text, words) => new Set(words ? findNumberWords(text, words).map(({ number }) => number) : []);
+    const withText = ({ number, text, start }) => (text === number ? { number, position: start } : { number, text, position: start });
 
-    for (const [verseKey, sourceText] of Object.entries(sourceVerses)) {
-        const sourceNumbers = [...sourceText.matchAll(numberRegex)].map(match => ({
-            number: match[0],
-            position: match.index
-        }));
+    for (const { key: verseKey, sourceKeys, targetKeys, sourceText, targetText } of units) {
+        if (sourceKeys.length === 0) continue;
 
-        const targetText = targetVerses[verseKey] || '';
-        const targetNumbers = [...targetText.matchAll(numberRegex)].map(match => ({
-            number: match[0],
-            position: match.index
-        }));
+        const sourceNumbers = findNumbers(sourceText);
+        const targetNumbers = findNumbers(targetText);
 
         const sourceNumberSet = new Set(sourceNumbers.map(item => item.number));
         const targetNumberSet = new Set(targetNumbers.map(item => item.number));
+        const sourceWritten = written(sourceText, sourceWords);
+        const targetWritten = written(targetText, targetWords);
 
-        const missingNumbers = [...sourceNumberSet].filter(num => !targetNumberSet.has(num));
-        const extraNumbers = [...targetNumberSet].filter(num => !sourceNumberSet.has(num));
+        const missingNumbers = [...sourceNumberSet].filter(num => !targetNumberSet.has(num) && !targetWritten.has(num));
+        const extraNumbers = [...targetNumberSet].filter(num => !sourceNumberSet.has(num) && !sourceWritten.has(num));
 
         if (missingNumbers.length > 0 || extraNumbers.length > 0) {
+            // Point at the first extra number, or at the verse when numbers are only missing
+            const extra = targetNumbers.find(item => item.number === extraNumbers[0]);
+            const location = extra
+                ? unitTextLocation(targetMap, targetKeys, extra.start, extra.end)
+                : unitTextLocation(targetMap, targetKeys, 0, 0);
             issues.push({
                 verse: verseKey,
                 verse_text: sourceText,
-                missing_numbers: missingNumbers.map(num => ({
-                    number: num,
-                    position: sourceNumbers.find(item => item.number === num)?.position || -1
-                })),
-                extra_numbers: extraNumbers.map(num => ({
-                    number: num,
-                    position: targetNumbers.find(item => item.number === num)?.position || -1
-                })),
+                missing_numbers: missingNumbers.map(num => withText(sourceNumbers.find(item => item.number === num))),
+                extra_numbers: extraNumbers.map(num => withText(targetNumbers.find(item => item.number === num))),
+                location,
                 comment: `Number mismatches detected. Missing: [${missingNumbers.join(', ')}], Extra: [${extraNumbers.join(', ')}]`
             });
         }
@@ -503,19 +664,20 @@ export function detectNumberMismatches(source, target) {
 /**
  * Detects mismatches between quoted text (`fq`) in footnotes and the referenced verse content.
  * Verifies that the quoted text (`fq`) exists within the corresponding verse in the target text.
- * @param {object} target - Parsed USJ JSON object of the target text.
+ * @param {object} target - Parsed USJ JSON object or `DocumentModel` of the target text.
  * @returns {object} Report of missing or unmatched quotations in footnotes.
  */
 export function detectFootnoteQuotes(target) {
-    const handler = new USJHandler(target);
+    const targetModel = DocumentModel.from(target);
+    const handler = targetModel.handler;
 
     const issues = [];
-    const verses = handler.extractVerses(); // Extract verses in the format { "chapter:verse": "text content" }
-    const footnotes = handler.extractFootnotes(); // Extract all footnotes with `fq` markers and their references
+    const verses = targetModel.verses; // Verses in the format { "chapter:verse": "text content" }
+    const footnotes = targetModel.footnotes; // All footnotes with `fq` markers and their references
 
     // console.log(verses);
 
-    for (const { content, reference } of footnotes) {
+    for (const { content, reference, path } of footnotes) {
         const quotedTexts = handler.extractQuotedText(content); // Extract `fq` content from the footnote
 
         const unmatchedQuotes = [];
@@ -529,9 +691,18 @@ export function detectFootnoteQuotes(target) {
         }
 
         if (unmatchedQuotes.length > 0) {
+            // Point at the quotation node of the first unmatched quote
+            const index = content.findIndex((item) => (item?.marker === 'fq' || item?.marker === 'xq')
+                && item.content.join(' ') === unmatchedQuotes[0]);
+            const quote = content[index];
+            let location = nodeLocation(index === -1 ? path : `${path}/content/${index}`);
+            if (quote && quote.content.length === 1 && typeof quote.content[0] === 'string') {
+                location = { path: `${path}/content/${index}/content/0`, start: 0, end: quote.content[0].length };
+            }
             issues.push({
                 verse: reference,
                 unmatched_quotes: unmatchedQuotes,
+                location,
                 comment: `Quoted text not found in the verse (${reference}): ${unmatchedQuotes.join(', ')}`,
             });
         }
@@ -0,0 +1,197 @@
+import { normalizeRecipe } from './checks.js';
+import { checkParameter, defaultParameters, describeType, getCheck, listChecks } from './registry.js';
+import { editDistance } from './utils.js';
+import { getVersification } from './versification.js';
+
+const ENTRY_KEYS = ['name', 'readName', 'description', 'level', 'enabled', 'parameters'];
+const LEVELS = ['major', 'minor'];
+
+/**
+ * Suggests the closest candidate to a misspelled name.
+ * Names written without their "<family>::" prefix are compared to the part after it.
+ * @param {string} name - Name as written.
+ * @param {Array} candidates - Valid names.
+ * @returns {string|null} Closest candidate within a few edits, or null.
+ */
+function suggest(name, candidates) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const candidate of candidates) {
+        const compared = name.includes('::') ? candidate : candidate.split('::').pop();
+        const distance = editDistance(name.toLowerCase(), compared.toLowerCase());
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return bestDistance <= Math.max(2, Math.floor(name.length / 4)) ? best : null;
+}
+
+function didYouMean(name, candidates) {
+    const suggestion = suggest(name, candidates);
+    return suggestion ? ` Did you mean "${suggestion}"?` : '';
+}
+
+/**
+ * Validates a recipe against the registered checks and their parameter schemas.
+ * @param {array|object|string} recipe - Recipe (array of checks, `{ versification, checks }`, or its JSON string).
+ * @returns {object} `{ valid, errors, warnings }`; each problem is `{ index, path, code, message }`,
+ *   where `index` is the position of the offending check entry (null for recipe-level problems).
+ */
+export function validateRecipe(recipe) {
+    const errors = [];
+    const warnings = [];
+    let data = recipe;
+
+    if (typeof recipe === 'string') {
+        try {
+            data = JSON.parse(recipe);
+        } catch (error) {
+            errors.push({ index: null, path: '', code: 'invalid_json', message: `Recipe is not valid JSON: ${error.message}` });
+            return { valid: false, errors, warnings };
+        }
+    }
+
+    const isList = Array.isArray(data);
+    if (!isList && (data === null || typeof data !== 'object' || !Array.isArray(data.checks))) {
+        errors.push({
+            index: null,
+            path: isList || data === null || typeof data !== 'object' ? '' : 'checks',
+            code: 'invalid_recipe',
+            message: 'Recipe must be an array of checks or an object with a "checks" array.',
+        });
+        return { valid: false, errors, warnings };
+    }
+
+    const { checks, versification } = normalizeRecipe(data);
+    const prefix = isList ? '' : 'checks';
+
+    if (versification) {
+        // A target versification alone gives the verse inventory; mapping needs both sides
+        for (const side of ['source', 'target']) {
+            if (versification[side] === undefined) {
+                if (side === 'target') {
+                    errors.push({
+                        index: null,
+                        path: 'versification.target',
+                        code: 'missing_versification',
+                        message: 'Versification needs a "target"; "source" alone maps nothing.',
+                    });
+                }
+                continue;
+            }
+            try {
+                getVersification(versification[side]);
+            } catch (error) {
+                errors.push({ index: null, path: `versification.${side}`, code: 'invalid_versification', message: error.message });
+            }
+        }
+    }
+
+    const registered = listChecks().map((definition) => definition.name);
+    const seen = new Map();
+    let enabledCount = 0;
+
+    checks.forEach((entry, index) => {
+        const at = (field) => `${prefix}[${index}]${field ? `.${field}` : ''}`;
+
+        if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+            errors.push({ index, path: at(), code: 'invalid_entry', message: 'Check entry must be an object.' });
+            return;
+        }
+        if (typeof entry.name !== 'string' || !entry.name) {
+            errors.push({ index, path: at('name'), code: 'missing_name', message: 'Check entry has no "name".' });
+            return;
+        }
+
+        for (const key of Object.keys(entry)) {
+            if (!ENTRY_KEYS.includes(key)) {
+                warnings.push({
+                    index,
+                    path: at(key),
+                    code: 'unknown_field',
+                    message: `Unknown field "${key}" is ignored.${didYouMean(key, ENTRY_KEYS)}`,
+                });
+            }
+        }
+
+        if (seen.has(entry.name)) {
+            warnings.push({
+                index,
+                path: at('name'),
+                code: 'duplicate_check',
+                message: `Check "${entry.name}" is already listed at index ${seen.get(entry.name)}; it will run twice.`,
+            });
+        } else {
+            seen.set(entry.name, index);
+        }
+
+        if (entry.enabled !== undefined && typeof entry.enabled !== 'boolean') {
+            errors.push({ index, path: at('enabled'), code: 'invalid_type', message: `"enabled" must be a boolean, got ${describeType(entry.enabled)}.` });
+        }
+        if (entry.enabled === true) enabledCount++;
+
+        if (entry.level !== undefined && !LEVELS.includes(entry.level)) {
+            errors.push({
+                index,
+                path: at('level'),
+                code: 'invalid_level',
+                message: `"level" must be one of ${LEVELS.map((level) => `"${level}"`).join(', ')}, got ${JSON.stringify(entry.level)}.`,
+            });
+        }
+        for (const field of ['readName', 'description']) {
+            if (entry[field] !== undefined && typeof entry[field] !== 'string') {
+                warnings.push({ index, path: at(field), code: 'invalid_type', message: `"${field}" should be a string.` });
+            }
+        }
+
+        const definition = getCheck(entry.name);
+        if (!definition) {
+            errors.push({
+                index,
+                path: at('name'),
+                code: 'unknown_check',
+                message: `Unknown check "${entry.name}".${didYouMean(entry.name, registered)}`,
+            });
+            return;
+        }
+
+        if (entry.parameters === undefined) return;
+        if (describeType(entry.parameters) !== 'object') {
+            errors.push({ index, path: at('parameters'), code: 'invalid_type', message: '"parameters" must be an object.' });
+            return;
+        }
+
+        const declared = Object.keys(definition.parameters);
+        const parameters = { ...defaultParameters(definition), ...entry.parameters };
+        for (const [parameter, value] of Object.entries(entry.parameters)) {
+            const schema = definition.parameters[parameter];
+            if (!schema) {
+                const hint = declared.length > 0
+                    ? didYouMean(parameter, declared) || ` Known parameters: ${declared.join(', ')}.`
+                    : ' This check takes no parameters.';
+                errors.push({
+                    index,
+                    path: at(`parameters.${parameter}`),
+                    code: 'unknown_parameter',
+                    message: `Unknown parameter "${parameter}" for check "${entry.name}".${hint}`,
+                });
+                continue;
+            }
+            for (const { path, message } of checkParameter(value, schema, parameters)) {
+                errors.push({
+                    index,
+                    path: at(`parameters.${parameter}${path}`),
+                    code: 'invalid_parameter',
+                    message: `Parameter "${parameter}${path}" of check "${entry.name}" ${message}.`,
+                });
+            }
+        }
+    });
+
+    if (enabledCount === 0) {
+        warnings.push({ index: null, path: prefix, code: 'nothing_enabled', message: 'No check is enabled; nothing will run.' });
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+}
@@ -0,0 +1,309 @@
+import { ParseError } from './errors.js';
+
+const REFERENCE_REGEX = /^([A-Z0-9]{3})\s+(\d+)(?::(\d+)(?:-(\d+))?)?$/;
+
+// Psalms whose Hebrew superscription is counted as separate verses: [psalm, English verse count, title verses]
+const PSALM_TITLES = [
+    [3, 8, 1], [4, 8, 1], [5, 12, 1], [6, 10, 1], [7, 17, 1], [8, 9, 1], [9, 20, 1], [12, 8, 1],
+    [18, 50, 1], [19, 14, 1], [20, 9, 1], [21, 13, 1], [22, 31, 1], [30, 12, 1], [31, 24, 1],
+    [34, 22, 1], [36, 12, 1], [38, 22, 1], [39, 13, 1], [40, 17, 1], [41, 13, 1], [42, 11, 1],
+    [44, 26, 1], [45, 17, 1], [46, 11, 1], [47, 9, 1], [48, 14, 1], [49, 20, 1], [51, 19, 2],
+    [52, 9, 2], [53, 6, 1], [54, 7, 2], [55, 23, 1], [56, 13, 1], [57, 11, 1], [58, 11, 1],
+    [59, 17, 1], [60, 12, 2], [61, 8, 1], [62, 12, 1], [63, 11, 1], [64, 10, 1], [65, 13, 1],
+    [67, 7, 1], [68, 35, 1], [69, 36, 1], [70, 5, 1], [75, 10, 1], [76, 12, 1], [77, 20, 1],
+    [80, 19, 1], [81, 16, 1], [83, 18, 1], [84, 12, 1], [85, 13, 1], [88, 18, 1], [89, 52, 1],
+    [92, 15, 1], [102, 28, 1], [108, 13, 1], [140, 13, 1], [142, 7, 1],
+];
+
+function englishPsalms() {
+    const lines = [];
+    for (const [psalm, count, title] of PSALM_TITLES) {
+        lines.push(title === 1 ? `PSA ${psalm}:0 = PSA ${psalm}:1` : `PSA ${psalm}:0 = PSA ${psalm}:1-2`);
+        lines.push(`PSA ${psalm}:1-${count} = PSA ${psalm}:${1 + title}-${count + title}`);
+    }
+    lines.push('PSA 13:0 = PSA 13:1', 'PSA 13:1-5 = PSA 13:2-6', 'PSA 13:6 = PSA 13:6');
+    return lines;
+}
+
+// Greek psalter numbering (Septuagint and Vulgate)
+function greekPsalms() {
+    const lines = ['PSA 9:22-39 = PSA 10:1-18'];
+    for (let psalm = 10; psalm <= 112; psalm++) lines.push(`PSA ${psalm} = PSA ${psalm + 1}`);
+    lines.push('PSA 113:1-8 = PSA 114:1-8', 'PSA 113:9-26 = PSA 115:1-18');
+    lines.push('PSA 114:1-9 = PSA 116:1-9', 'PSA 115:1-10 = PSA 116:10-19');
+    for (let psalm = 116; psalm <= 145; psalm++) lines.push(`PSA ${psalm} = PSA ${psalm + 1}`);
+    lines.push('PSA 146:1-11 = PSA 147:1-11', 'PSA 147:1-9 = PSA 147:12-20');
+    return lines;
+}
+
+// Mappings from each versification to the original (Hebrew/Greek) one, in .vrs syntax.
+// Whole-chapter lines ("PSA 10 = PSA 11") are a compact extension of that syntax.
+const BUILT_IN_MAPPINGS = {
+    org: () => [],
+    eng: () => [
+        'GEN 31:55 = GEN 32:1', 'GEN 32:1-32 = GEN 32:2-33',
+        'EXO 8:1-4 = EXO 7:26-29', 'EXO 8:5-32 = EXO 8:1-28',
+        'EXO 22:1 = EXO 21:37', 'EXO 22:2-31 = EXO 22:1-30',
+        'LEV 6:1-7 = LEV 5:20-26', 'LEV 6:8-30 = LEV 6:1-23',
+        'NUM 16:36-50 = NUM 17:1-15', 'NUM 17:1-13 = NUM 17:16-28',
+        'NUM 29:40 = NUM 30:1', 'NUM 30:1-16 = NUM 30:2-17',
+        'DEU 12:32 = DEU 13:1', 'DEU 13:1-18 = DEU 13:2-19',
+        'DEU 22:30 = DEU 23:1', 'DEU 23:1-25 = DEU 23:2-26',
+        'DEU 29:1 = DEU 28:69', 'DEU 29:2-29 = DEU 29:1-28',
+        '1SA 23:29 = 1SA 24:1', '1SA 24:1-22 = 1SA 24:2-23',
+        '2SA 18:33 = 2SA 19:1', '2SA 19:1-43 = 2SA 19:2-44',
+        '1KI 4:21-34 = 1KI 5:1-14', '1KI 5:1-18 = 1KI 5:15-32',
+        '2KI 11:21 = 2KI 12:1', '2KI 12:1-21 = 2KI 12:2-22',
+        '1CH 6:1-15 = 1CH 5:27-41', '1CH 6:16-81 = 1CH 6:1-66',
+        '2CH 2:1 = 2CH 1:18', '2CH 2:2-18 = 2CH 2:1-17',
+        '2CH 14:1 = 2CH 13:23', '2CH 14:2-15 = 2CH 14:1-14',
+        'NEH 4:1-6 = NEH 3:33-38', 'NEH 4:7-23 = NEH 4:1-17',
+        'NEH 9:38 = NEH 10:1', 'NEH 10:1-39 = NEH 10:2-40',
+        'JOB 41:1-8 = JOB 40:25-32', 'JOB 41:9-34 = JOB 41:1-26',
+        ...englishPsalms(),
+        'ECC 5:1 = ECC 4:17', 'ECC 5:2-20 = ECC 5:1-19',
+        'SNG 6:13 = SNG 7:1', 'SNG 7:1-13 = SNG 7:2-14',
+        'ISA 9:1 = ISA 8:23', 'ISA 9:2-21 = ISA 9:1-20',
+        'ISA 64:1 = ISA 63:19', 'ISA 64:2-12 = ISA 64:1-11',
+        'JER 9:1 = JER 8:23', 'JER 9:2-26 = JER 9:1-25',
+        'EZK 20:45-49 = EZK 21:1-5', 'EZK 21:1-32 = EZK 21:6-37',
+        'DAN 4:1-3 = DAN 3:31-33', 'DAN 4:4-37 = DAN 4:1-34',
+        'DAN 5:31 = DAN 6:1', 'DAN 6:1-28 = DAN 6:2-29',
+        'HOS 1:10-11 = HOS 2:1-2', 'HOS 2:1-23 = HOS 2:3-25',
+        'HOS 11:12 = HOS 12:1', 'HOS 12:1-14 = HOS 12:2-15',
+        'HOS 13:16 = HOS 14:1', 'HOS 14:1-9 = HOS 14:2-10',
+        'JOL 2:28-32 = JOL 3:1-5', 'JOL 3:1-21 = JOL 4:1-21',
+        'JON 1:17 = JON 2:1', 'JON 2:1-10 = JON 2:2-11',
+        'MIC 5:1 = MIC 4:14', 'MIC 5:2-15 = MIC 5:1-14',
+        'NAM 1:15 = NAM 2:1', 'NAM 2:1-13 = NAM 2:2-14',
+        'ZEC 1:18-21 = ZEC 2:1-4', 'ZEC 2:1-13 = ZEC 2:5-17',
+        'MAL 4:1-6 = MAL 3:19-24',
+    ],
+    vul: () => [
+        ...greekPsalms(),
+        'MAL 4:1-6 = MAL 3:19-24',
+    ],
+    lxx: () => [
+        ...greekPsalms(),
+        'MAL 3:22 = MAL 3:23', 'MAL 3:23 = MAL 3:24', 'MAL 3:24 = MAL 3:22',
+    ],
+};
+
+/**
+ * A versification scheme: optional verse inventory (last verse of each chapter)
+ * and mappings from this scheme to the original versification.
+ */
+export class Versification {
+    /**
+     * @param {string} name - Versification name.
+     */
+    constructor(name) {
+        this.name = name;
+        this.lastVerses = {}; // book -> array of last verse numbers, index 0 is chapter 1
+        this.excluded = new Set();
+        this.toOriginalVerses = new Map();
+        this.fromOriginalVerses = new Map();
+        this.toOriginalChapters = new Map();
+        this.fromOriginalChapters = new Map();
+    }
+
+    /**
+     * Adds a mapping between a reference range of this versification and one of the original.
+     * Ranges are paired verse by verse; surplus verses on the longer side map to the last verse of the shorter one.
+     * @param {object} range - { book, chapter, start, end } in this versification (start null for a whole chapter).
+     * @param {object} original - { book, chapter, start, end } in the original versification.
+     */
+    addMapping(range, original) {
+        if (range.start === null || original.start === null) {
+            this.toOriginalChapters.set(`${range.book} ${range.chapter}`, { book: original.book, chapter: original.chapter });
+            this.fromOriginalChapters.set(`${original.book} ${original.chapter}`, { book: range.book, chapter: range.chapter });
+            return;
+        }
+        const length = Math.max(range.end - range.start, original.end - original.start) + 1;
+        for (let i = 0; i < length; i++) {
+            const verse = Math.min(range.start + i, range.end);
+            const originalVerse = Math.min(original.start + i, original.end);
+            const key = `${range.book} ${range.chapter}:${verse}`;
+            const originalKey = `${original.book} ${original.chapter}:${originalVerse}`;
+            if (!this.toOriginalVerses.has(key)) {
+                this.toOriginalVerses.set(key, { book: original.book, chapter: original.chapter, verse: originalVerse });
+            }
+            if (!this.fromOriginalVerses.has(originalKey)) {
+                this.fromOriginalVerses.set(originalKey, { book: range.book, chapter: range.chapter, verse });
+            }
+        }
+    }
+
+    /**
+     * Maps a reference of this versification to the original versification.
+     * @returns {object} { book, chapter, verse }
+     */
+    toOriginal(book, chapter, verse) {
+        return lookup(this.toOriginalVerses, this.toOriginalChapters, book, chapter, verse);
+    }
+
+    /**
+     * Maps a reference of the original versification to this versification.
+     * @returns {object} { book, chapter, verse }
+     */
+    fromOriginal(book, chapter, verse) {
+        return lookup(this.fromOriginalVerses, this.fromOriginalChapters, book, chapter, verse);
+    }
+
+    /**
+     * Last verse number of a chapter, when the versification carries a verse inventory.
+     * @returns {number|null}
+     */
+    lastVerse(book, chapter) {
+        return this.lastVerses[book]?.[chapter - 1] || null;
+    }
+
+    /**
+     * Number of chapters of a book, when the versification carries a verse inventory.
+     * @returns {number|null}
+     */
+    lastChapter(book) {
+        return this.lastVerses[book] ? this.lastVerses[book].length : null;
+    }
+
+    /**
+     * Tells whether a verse exists in this versification; unknown when there is no inventory for the book.
+     * @returns {boolean|null}
+     */
+    hasVerse(book, chapter, verse) {
+        if (!this.lastVerses[book]) return null;
+        if (this.excluded.has(`${book} ${chapter}:${verse}`)) return false;
+        const last = this.lastVerse(book, chapter);
+        return last !== null && verse >= 1 && verse <= last;
+    }
+}
+
+function lookup(verses, chapters, book, chapter, verse) {
+    const mapped = verses.get(`${book} ${chapter}:${verse}`);
+    if (mapped) return { ...mapped };
+    const mappedChapter = chapters.get(`${book} ${chapter}`);
+    if (mappedChapter) return { ...mappedChapter, verse };
+    return { book, chapter, verse };
+}
+
+function parseRange(text, lineNumber, column) {
+    const match = REFERENCE_REGEX.exec(text.trim());
+    if (!match) throw new ParseError(`Invalid reference "${text.trim()}"`, lineNumber, column);
+    const [, book, chapter, start, end] = match;
+    return {
+        book,
+        chapter: parseInt(chapter, 10),
+        start: start === undefined ? null : parseInt(start, 10),
+        end: start === undefined ? null : parseInt(end ?? start, 10),
+    };
+}
+
+/**
+ * Parses a Paratext `.vrs` versification file.
+ * Supports verse inventory lines ("GEN 1:31 2:25 ..."), excluded verses ("-ACT 8:37")
+ * and mapping lines ("MAL 4:1-6 = MAL 3:19-24", this versification on the left).
+ * @param {string} text - Content of the .vrs file.
+ * @param {string} [name] - Name given to the versification.
+ * @returns {Versification} Parsed versification.
+ * @throws {ParseError} When a line cannot be parsed.
+ */
+export function parseVrs(text, name = 'custom') {
+    const versification = new Versification(name);
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+        const lineNumber = index + 1;
+        const line = rawLine.replace(/#.*$/, '').trim();
+        if (!line) return;
+
+        if (line.includes('=')) {
+            const [left, right] = line.split('=');
+            const rightColumn = rawLine.indexOf('=') + 2 + (right.length - right.trimStart().length);
+            versification.addMapping(
+                parseRange(left, lineNumber, rawLine.search(/\S/) + 1),
+                parseRange(right, lineNumber, rightColumn)
+            );
+        } else if (line.startsWith('-')) {
+            const range = parseRange(line.slice(1), lineNumber, 2);
+            if (range.start === null) throw new ParseError(`Excluded verse needs a verse number`, lineNumber, 2);
+            for (let verse = range.start; verse <= range.end; verse++) {
+                versification.excluded.add(`${range.book} ${range.chapter}:${verse}`);
+            }
+        } else {
+            const [book, ...chapters] = line.split(/\s+/);
+            if (!/^[A-Z0-9]{3}$/.test(book)) throw new ParseError(`Invalid book code "${book}"`, lineNumber, 1);
+            const lastVerses = versification.lastVerses[book] || [];
+            for (const entry of chapters) {
+                const match = /^(\d+):(\d+)$/.exec(entry);
+                if (!match) throw new ParseError(`Invalid chapter entry "${entry}"`, lineNumber, rawLine.indexOf(entry) + 1);
+                lastVerses[parseInt(match[1], 10) - 1] = parseInt(match[2], 10);
+            }
+            versification.lastVerses[book] = lastVerses;
+        }
+    });
+
+    return versification;
+}
+
+/**
+ * Tells why a `.vrs` text cannot be used, for recipe validation.
+ * @param {string} vrs - Content of a .vrs file.
+ * @returns {string|null} Problem, or null when the text can be parsed.
+ */
+export function vrsProblem(vrs) {
+    try {
+        parseVrs(vrs);
+        return null;
+    } catch (error) {
+        return `cannot be read as a .vrs file: ${error.message}`;
+    }
+}
+
+const builtInCache = {};
+
+/**
+ * Names of the built-in versifications.
+ * @returns {Array} Built-in versification names.
+ */
+export function getBuiltInVersifications() {
+    return Object.keys(BUILT_IN_MAPPINGS);
+}
+
+/**
+ * Resolves a versification from a recipe setting.
+ * @param {string|object|Versification} spec - Built-in name ("org", "eng", "vul", "lxx"),
+ *   `{ vrs: "<.vrs file content>", name? }`, or a Versification instance.
+ * @returns {Versification} Resolved versification.
+ */
+export function getVersification(spec) {
+    if (spec instanceof Versification) return spec;
+    if (spec && typeof spec === 'object' && typeof spec.vrs === 'string') return parseVrs(spec.vrs, spec.name);
+
+    const name = String(spec).toLowerCase();
+    if (!BUILT_IN_MAPPINGS[name]) {
+        throw new Error(`Unknown versification "${spec}" (built-in: ${getBuiltInVersifications().join(', ')})`);
+    }
+    if (!builtInCache[name]) {
+        builtInCache[name] = parseVrs(BUILT_IN_MAPPINGS[name]().join('\n'), name);
+    }
+    return builtInCache[name];
+}
+
+/**
+ * Creates a function mapping source references to the target versification,
+ * going through the original versification.
+ * @param {string|object} source - Source versification spec.
+ * @param {string|object} target - Target versification spec.
+ * @returns {function} (book, chapter, verse) => { book, chapter, verse } in the target versification.
+ */
+export function createVerseMapper(source, target) {
+    const sourceVersification = getVersification(source);
+    const targetVersification = getVersification(target);
+
+    if (sourceVersification === targetVersification) {
+        return (book, chapter, verse) => ({ book, chapter, verse });
+    }
+    return (book, chapter, verse) => {
+        const original = sourceVersification.toOriginal(book, chapter, verse);
+        return targetVersification.fromOriginal(original.book, original.chapter, original.verse);
+    };
+}
@@ -0,0 +1,176 @@
+import { checks, DocumentModel, parseUSFM } from '../dist/index.js';
+import {
+    detectAlignmentMilestones,
+    detectAlignmentOccurrences,
+    detectMissingAlignedWords,
+    detectUnalignedWords
+} from '../dist/alignment.js';
+import fs from 'fs';
+import path from 'path';
+
+// Builds `\zaln-s ...\*` for a source word
+const zaln = (content, occurrence = 1, occurrences = 1) =>
+    String.raw`\zaln-s |x-content="${content}" x-occurrence="${occurrence}" x-occurrences="${occurrences}"\*`;
+const w = (word, occurrence = 1, occurrences = 1) =>
+    String.raw`\w ${word}|x-occurrence="${occurrence}" x-occurrences="${occurrences}"\w*`;
+const END = String.raw`\zaln-e\*`;
+
+describe('Alignment Check Tests', () => {
+    const source = [
+        String.raw`\id TIT`,
+        String.raw`\c 1`,
+        String.raw`\p`,
+        String.raw`\v 1 \w Παῦλος\w* \w δοῦλος\w* \w θεοῦ\w* \w καὶ\w* \w θεοῦ\w*`,
+        String.raw`\v 2 ἐλπίδι ζωῆς αἰωνίου`,
+    ].join('\n');
+
+    test('Report unbalanced, badly nested and empty alignment markers', () => {
+        const target = parseUSFM([
+            String.raw`\id TIT`,
+            String.raw`\c 1`,
+            String.raw`\p`,
+            String.raw`\v 1 ${zaln('Παῦλος')}${w('Paul')}${END}${END} ${zaln('δοῦλος')}${zaln('θεοῦ')}${END}${END}`,
+            String.raw`\v 2 ${zaln('ἐλπίδι')}${w('hope')}`,
+            String.raw`\q1 ${END} ${zaln('ζωῆς')}${w('life')}`,
+            String.raw`\v 3 ${zaln('αἰωνίου')}${w('eternal')}`,
+        ].join('\n'));
+
+        const { check, issues } = detectAlignmentMilestones(target);
+
+        expect(check).toBe('alignment::milestones');
+        expect(issues.map(({ verse, type, source_word }) => ({ verse, type, source_word }))).toEqual([
+            { verse: '1:1', type: 'unmatched_end', source_word: undefined },
+            { verse: '1:1', type: 'empty', source_word: 'δοῦλος' },
+            { verse: '1:1', type: 'empty', source_word: 'θεοῦ' },
+            { verse: '1:2', type: 'crosses_paragraph', source_word: 'ἐλπίδι' },
+            { verse: '1:2', type: 'unclosed', source_word: 'ζωῆς' },
+            { verse: '1:3', type: 'unclosed', source_word: 'αἰωνίου' },
+        ]);
+        expect(issues[0].location).toEqual({ path: '/content/2/content/4' });
+        expect(issues[3].location).toEqual({ path: '/content/2/content/12', end_path: '/content/3/content/0' });
+    });
+
+    test('Report target words outside any alignment and skip unaligned books', () => {
+        const target = parseUSFM([
+            String.raw`\id TIT`,
+            String.raw`\c 1`,
+            String.raw`\p`,
+            String.raw`\v 1 ${zaln('Παῦλος')}${w('Paul')}${END}, ${w('a')} ${w('servant')}`,
+            String.raw`\v 2 ${zaln('ἐλπίδι')}${w('hope')}${END}`,
+        ].join('\n'));
+
+        const { check, issues } = detectUnalignedWords(target);
+
+        expect(check).toBe('alignment::unaligned_words');
+        expect(issues).toEqual([{
+            verse: '1:1',
+            unaligned_words: ['a', 'servant'],
+            location: { path: '/content/2/content/5' },
+            comment: 'Target words not aligned to any source word (1:1): a, servant',
+        }]);
+
+        const unaligned = parseUSFM([String.raw`\id TIT`, String.raw`\c 1`, String.raw`\p`, String.raw`\v 1 ${w('Paul')}`].join('\n'));
+        expect(detectUnalignedWords(unaligned).issues).toEqual([]);
+    });
+
+    test('Check occurrence attributes against the source and target verses', () => {
+        const target = parseUSFM([
+            String.raw`\id TIT`,
+            String.raw`\c 1`,
+            String.raw`\p`,
+            String.raw`\v 1 ${zaln('Παῦλος')}${w('Paul')}${END} ${zaln('θεοῦ', 1, 1)}${w('God', 1, 2)}${END}`
+                + String.raw` ${zaln('θεοῦ', 2, 2)}${w('God', 2, 2)}${END} ${zaln('Τίτῳ')}${w('Titus')}${END}`,
+            String.raw`\v 2 ${zaln('ζωῆς', 2, 1)}${w('life')}${END}`,
+        ].join('\n'));
+
+        const { check, issues } = detectAlignmentOccurrences(new DocumentModel(source), target);
+
+        expect(check).toBe('alignment::occurrences');
+        expect(issues.map(({ verse, type, source_word, word, expected_occurrences }) =>
+            ({ verse, type, source_word, word, expected_occurrences }))).toEqual([
+            { verse: '1:1', type: 'source_occurrence_mismatch', source_word: 'θεοῦ', word: undefined, expected_occurrences: 2 },
+            { verse: '1:1', type: 'source_word_not_found', source_word: 'Τίτῳ', word: undefined, expected_occurrences: undefined },
+            { verse: '1:2', type: 'source_occurrence_mismatch', source_word: 'ζωῆς', word: undefined, expected_occurrences: 1 },
+        ]);
+        expect(issues[0].location).toEqual({ path: '/content/2/content/5' });
+
+        const wrongWord = parseUSFM([
+            String.raw`\id TIT`,
+            String.raw`\c 1`,
+            String.raw`\p`,
+            String.raw`\v 1 ${zaln('θεοῦ', 1, 2)}${w('God')}${END} ${zaln('θεοῦ', 2, 2)}${w('God')}${END}`,
+        ].join('\n'));
+        expect(detectAlignmentOccurrences(source, wrongWord).issues.filter(({ type }) => type === 'target_occurrence_mismatch'))
+            .toMatchObject([
+                { verse: '1:1', word: 'God', occurrence: 1, occurrences: 1, expected_occurrences: 2 },
+                { verse: '1:1', word: 'God', occurrence: 1, occurrences: 1, expected_occurrences: 2 },
+            ]);
+    });
+
+    test('Report source words missing from the alignment', () => {
+        const target = parseUSFM([
+            String.raw`\id TIT`,
+            String.raw`\c 1`,
+            String.raw`\p`,
+            String.raw`\v 1 ${zaln('Παῦλος')}${w('Paul')}${END} ${zaln('δοῦλος')}${w('servant')}${END}`
+                + String.raw` ${zaln('θεοῦ', 1, 2)}${w('God')}${END} ${zaln('καὶ')}${w('and')}${END}`,
+            String.raw`\v 2 ${zaln('ἐλπίδι')}${w('hope')}${END} ${zaln('ζωῆς')}${zaln('αἰωνίου')}${w('eternal')} ${w('life')}${END}${END}`,
+        ].join('\n'));
+
+        const { check, issues } = detectMissingAlignedWords(source, target);
+
+        expect(check).toBe('alignment::source_coverage');
+        expect(issues).toEqual([{
+            verse: '1:1',
+            missing_words: [{ word: 'θεοῦ', occurrence: 2 }],
+            location: { path: '/content/2/content/0' },
+            comment: 'Source words not aligned in the target (1:1): θεοῦ',
+        }]);
+    });
+
+    test('Report a source that is not the text the target is aligned to once', () => {
+        const sngSource = fs.readFileSync(path.resolve(__dirname, './mock_data/sng_fr.json'), 'utf8');
+        const sngTarget = fs.readFileSync(path.resolve(__dirname, './mock_data/sng_aligned.json'), 'utf8');
+        const expected = [{
+            type: 'not_alignment_source',
+            location: { path: '' },
+            comment: 'The source shares no word with the alignment of the target, so it is not the text the target is aligned to; source words are not checked.',
+        }];
+
+        expect(detectAlignmentOccurrences(sngSource, sngTarget).issues).toEqual(expected);
+        expect(detectMissingAlignedWords(sngSource, sngTarget).issues).toEqual(expected);
+    });
+
+    test('Run the alignment checks from a recipe on an aligned book', () => {
+        const sngTarget = fs.readFileSync(path.resolve(__dirname, './mock_data/sng_aligned.json'), 'utf8');
+
+        // Source made of the aligned words, once per word occurrence, so that it matches the alignment
+        const content = [{ type: 'book', marker: 'id', code: 'SNG', content: [] }];
+        let chapter = null;
+        for (const [key, verse] of Object.entries(new DocumentModel(sngTarget).alignments)) {
+            const [c, v] = key.split(':');
+            if (c !== chapter) {
+                content.push({ type: 'chapter', marker: 'c', number: c, sid: `SNG ${c}` });
+                chapter = c;
+            }
+            const para = { type: 'para', marker: 'p', content: [{ type: 'verse', marker: 'v', number: v, sid: `SNG ${key}` }] };
+            const seen = new Set();
+            for (const { content: word, occurrence } of verse.alignments) {
+                if (seen.has(`${word} ${occurrence}`)) continue;
+                seen.add(`${word} ${occurrence}`);
+                para.content.push({ type: 'char', marker: 'w', content: [word] }, ' ');
+            }
+            content.push(para);
+        }
+        const sngSource = { type: 'USJ', version: '3.0', content };
+
+        const recipe = ['alignment::unaligned_words', 'alignment::milestones', 'alignment::occurrences', 'alignment::source_coverage']
+            .map((name) => ({ name, enabled: true }));
+        const result = checks(JSON.stringify(sngSource), sngTarget, recipe);
+
+        expect(result.checks.map(({ name }) => name)).toEqual(['alignment::unaligned_words']);
+        expect(result.checks[0].issues).toMatchObject([
+            { reference: 'SNG 1:10', unaligned_words: ['is', 'beautiful'] },
+        ]);
+    });
+});
@@ -0,0 +1,84 @@
+import { checks, validateRecipe } from '../dist/index.js';
+import { detectChapterCompleteness } from '../dist/chapters.js';
+import { summarize, usfmChapters } from './helpers.js';
+
+describe('Chapter Completeness Check Tests', () => {
+    const fields = ['chapter', 'type', 'skipped_chapters', 'skipped_verses'];
+    const vrs = 'TIT 1:16 2:15 3:15\n-TIT 3:15';
+
+    test('Report missing, extra and skipped chapters and verses against the source', () => {
+        const source = usfmChapters('TIT', [1, 1, 2, 3], [2, 1, 2], [3, 1, 2, 3, 4, 5]);
+        const target = usfmChapters('TIT', [1, 1, 2, 3], [3, 1, 2, '5-6'], [4, 1]);
+        const { check, issues } = detectChapterCompleteness(source, target);
+
+        expect(check).toBe('chapterverse::chapter_completeness');
+        expect(summarize(issues, ...fields)).toEqual([
+            '2 missing_chapter',
+            '4 extra_chapter',
+            '3 chapter_gap 2',
+            '3 verse_gap 3-4',
+        ]);
+        expect(issues.map(({ comment }) => comment)).toEqual([
+            'Target is missing chapter 2.',
+            'Target has chapter 4, which is not in the source.',
+            'Target chapter numbering jumps from 1 to 3.',
+            'Target chapter 3 skips verses 3-4.',
+        ]);
+        expect(issues[3]).toMatchObject({ verse: 3, location: { path: '/content/4/content/4' } });
+    });
+
+    test('Find numbering gaps without a source, and use a verse inventory', () => {
+        const target = usfmChapters('TIT', [2, 1, 3], [3, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14]);
+
+        expect(summarize(detectChapterCompleteness(null, target).issues, ...fields)).toEqual([
+            '2 chapter_gap 1',
+            '2 verse_gap 2',
+        ]);
+        // Chapter 2 also stops before its 15 verses; 3:15 is excluded by the versification
+        const issues = detectChapterCompleteness(null, target, null, { versification: { vrs } }).issues;
+        expect(summarize(issues, ...fields)).toEqual([
+            '1 missing_chapter',
+            '2 chapter_gap 1',
+            '2 verse_gap 2',
+            '2 verse_gap 4-15',
+        ]);
+        expect(issues[0].comment).toBe('Target is missing chapter 1, which the versification has.');
+        expect(issues[3]).toMatchObject({ location: { path: '/content/1' }, comment: 'Target chapter 2 skips verses 4-15.' });
+    });
+
+    test('Take the verse inventory from the recipe versification or the vrs parameter', () => {
+        const source = usfmChapters('TIT', [1, 1, 2], [2, 1, 2], [3, 1, 2]);
+        const target = usfmChapters('TIT', [1, 1, 2], [2, 1, 2], [3, 1, 2], [4, 1]);
+        const entry = { name: 'chapterverse::chapter_completeness', enabled: true };
+        const run = (recipe) => summarize(checks(source, target, recipe).checks[0]?.issues || [], ...fields);
+
+        expect(run([entry])).toEqual(['4 extra_chapter']);
+        expect(run({ versification: { target: { vrs: 'TIT 1:2 2:2 3:2 4:1' } }, checks: [entry] })).toEqual([]);
+        expect(run([{ ...entry, parameters: { vrs: 'TIT 1:2 2:2 3:2 4:1' } }])).toEqual([]);
+        // The built-in versifications have no inventory, which is reported
+        const builtIn = checks(source, target, { versification: { target: 'eng' }, checks: [entry] }).checks[0].issues;
+        expect(summarize(builtIn, ...fields)).toEqual(['no_inventory', '4 extra_chapter']);
+        expect(builtIn[0]).toMatchObject({
+            reference: 'TIT',
+            comment: 'Versification "eng" has no verse inventory for TIT; chapters were only compared with the source.',
+        });
+        expect(checks(null, target, [{ ...entry, parameters: { vrs: 'GAL 1:24' } }]).checks[0].issues[0].comment)
+            .toBe('Versification "custom" has no verse inventory for TIT; only numbering gaps were checked.');
+        expect(checks(source, target, [{ ...entry, parameters: { vrs } }]).checks[0].issues.map(({ comment }) => comment)).toEqual([
+            'Target has chapter 4, which is not in the source or the versification.',
+            'Target chapter 1 skips verses 3-16.',
+            'Target chapter 2 skips verses 3-15.',
+            'Target chapter 3 skips verses 3-14.',
+        ]);
+    });
+
+    test('Refuse a .vrs text that cannot be read', () => {
+        const target = usfmChapters('TIT', [1, 1, 2]);
+        const recipe = [{ name: 'chapterverse::chapter_completeness', enabled: true, parameters: { vrs: 'garbage line' } }];
+
+        expect(validateRecipe(recipe).errors.map(({ message }) => message)).toEqual([
+            'Parameter "vrs" of check "chapterverse::chapter_completeness" cannot be read as a .vrs file: Invalid book code "garbage" (line 1, column 1).',
+        ]);
+        expect(checks(target, target, recipe).checks).toMatchObject([{ error: 'invalid_parameters' }]);
+    });
+});
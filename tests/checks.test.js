@@ -1,4 +1,4 @@
-import { checks } from '../dist/index.js';
+import { checks, parseUSFM } from '../dist/index.js';
 import fs from 'fs';
 import path from 'path';
 import { USJHandler } from '../dist/USJHandler.js';
@@ -261,7 +261,7 @@ describe('Run Comprehensive Check Tests for SNG', () => {
         // expect(issues.length).toBe(0);
     });
 
-    test.only('Detect repeated words and excessive whitespace', () => {
+    test('Detect repeated words and excessive whitespace', () => {
         const result = checks(sourceText, targetText, recipe);
 
         const repeatedWordsCheck = result.checks.find(c => c.name === 'textquality::repeated_words_whitespace');
@@ -302,4 +302,237 @@ describe('Run Comprehensive Check Tests for SNG', () => {
         expect(missingVerses.length).toBeGreaterThan(0);
         targetText = saveText;
     });
-});
\ No newline at end of file
+});
+describe('Multi-book Check Tests', () => {
+    let titSource, titTarget, sngSource, sngTarget, actText, recipe;
+
+    beforeAll(() => {
+        const read = (file) => fs.readFileSync(path.resolve(__dirname, './mock_data', file), 'utf8');
+
+        titSource = read('TAR_ENG_TITUS.json');
+        titTarget = read('SRC_FR_TIT.json');
+        sngSource = read('sng_fr.json');
+        sngTarget = read('sng_aligned.json');
+        actText = read('ACT.json');
+
+        recipe = [
+            {
+                name: "textquality::repeated_words_whitespace",
+                readName: "Repeated words and whitespace",
+                level: "minor",
+                enabled: true
+            },
+            {
+                name: "chapterverse::missing_verses",
+                readName: "Missing verses",
+                level: "major",
+                enabled: true
+            }
+        ];
+    });
+
+    test('Pair books by code and qualify references with the book', () => {
+        const result = checks([sngSource, titSource], [titTarget, sngTarget], recipe);
+
+        const repeatedWordsCheck = result.checks.find(c => c.name === 'textquality::repeated_words_whitespace');
+        const titIssue = repeatedWordsCheck.issues.find(issue => issue.reference === 'TIT 3:3');
+        expect(titIssue).toBeDefined();
+        expect(titIssue.book).toBe('TIT');
+        expect(titIssue.verse).toBe('3:3');
+        expect(titIssue.repeated_words).toContain('nous');
+        expect(repeatedWordsCheck.issues.some(issue => issue.book === 'SNG')).toBe(true);
+
+        // Issues come out in canonical book order
+        const books = repeatedWordsCheck.issues.map(issue => issue.book);
+        expect(books.lastIndexOf('SNG')).toBeLessThan(books.indexOf('TIT'));
+
+        expect(result.checks.find(c => c.name === 'books::pairing')).toBeUndefined();
+    });
+
+    test('Report books missing on either side', () => {
+        const result = checks([titSource, actText], [titTarget, sngTarget], recipe);
+
+        const pairingCheck = result.checks.find(c => c.name === 'books::pairing');
+        expect(pairingCheck).toBeDefined();
+        expect(pairingCheck.level).toBe('major');
+        expect(pairingCheck.issues).toEqual([
+            {
+                type: 'missing_in_source',
+                book: 'SNG',
+                reference: 'SNG',
+                fingerprint: expect.any(String),
+                comment: 'Book SNG is present in the target but missing from the source.'
+            },
+            {
+                type: 'missing_in_target',
+                book: 'ACT',
+                reference: 'ACT',
+                fingerprint: expect.any(String),
+                comment: 'Book ACT is present in the source but missing from the target.'
+            }
+        ]);
+    });
+
+    test('Single-book runs carry book-qualified references', () => {
+        const result = checks(titSource, titTarget, recipe);
+
+        const repeatedWordsCheck = result.checks.find(c => c.name === 'textquality::repeated_words_whitespace');
+        const issue = repeatedWordsCheck.issues.find(issue => issue.verse === '1:4');
+        expect(issue.reference).toBe('TIT 1:4');
+    });
+
+    test('Run the target-only checks without a source and list the skipped ones', () => {
+        const skipped = {
+            name: 'chapterverse::missing_verses',
+            readName: 'Missing verses',
+            level: 'major',
+            error: 'missing_source',
+            issues: [{
+                type: 'missing_source',
+                comment: 'This check compares the target with the source, and no source was given; the check was not run.',
+            }],
+        };
+
+        for (const source of [null, undefined, '']) {
+            const result = checks(source, titTarget, recipe);
+            expect(result.checks.map(c => c.name)).toEqual(['textquality::repeated_words_whitespace', 'chapterverse::missing_verses']);
+            expect(result.checks[0].issues.find(issue => issue.verse === '1:4').reference).toBe('TIT 1:4');
+            expect(result.checks[1]).toMatchObject(skipped);
+        }
+
+        // Whole-Bible runs check every target book, without a books::pairing entry
+        const result = checks(null, [titTarget, sngTarget], recipe);
+        expect(result.checks.map(c => c.name)).toEqual(['textquality::repeated_words_whitespace', 'chapterverse::missing_verses']);
+        expect([...new Set(result.checks[0].issues.map(issue => issue.book))]).toEqual(['SNG', 'TIT']);
+    });
+
+    test('Reject books without an id code in multi-book runs', () => {
+        const noId = fs.readFileSync(path.resolve(__dirname, './mock_data/example_footnote_ref.json'), 'utf8');
+
+        expect(() => checks([titSource, noId], [titTarget], recipe)).toThrow(
+            'Invalid input: Source document at index 1 has no \\id book code'
+        );
+    });
+});
+
+describe('Verse Bridges and Segments Check Tests', () => {
+    const usfm = (verses) => ['\\id TIT', '\\c 1', '\\p', ...verses].join('\n');
+    const source = usfm([
+        '\\v 1 Paul, a servant of God.',
+        '\\v 2 In hope of eternal life.',
+        '\\v 3 At the right time he revealed 2 things.',
+        '\\v 4 To Titus, my true son.',
+        '\\v 5 For this reason I left you in Crete.'
+    ]);
+    const target = usfm([
+        '\\v 1 Paul, a servant of God.',
+        '\\v 2 In hope of eternal life.',
+        '\\v 3-4 At the right time he revealed 2 things. To Titus, my true son.',
+        '\\v 5a For this reason',
+        '\\v 5b I left you in Crete.'
+    ]);
+    const recipe = [
+        { name: "chapterverse::missing_verses", level: "major", enabled: true },
+        { name: "chapterverse::integrity_check", level: "major", enabled: true },
+        { name: "versestats::verse_stats", level: "minor", enabled: true, parameters: { short_threshold: 20 } },
+        { name: "numbers_check::mismatches", level: "major", enabled: true }
+    ];
+
+    test('Bridges and segments satisfy the verses they cover', () => {
+        const result = checks(source, target, recipe);
+
+        expect(result.checks).toEqual([]);
+    });
+
+    test('Compare a bridge against the merged source verses', () => {
+        const shortTarget = target.replace(' To Titus, my true son.', '');
+        const result = checks(source, shortTarget, recipe);
+
+        const verseStatsCheck = result.checks.find(c => c.name === 'versestats::verse_stats');
+        expect(verseStatsCheck.issues).toHaveLength(1);
+        expect(verseStatsCheck.issues[0]).toMatchObject({
+            type: 'short',
+            verse: '1:3-4',
+            reference: 'TIT 1:3-4',
+            verse_text: 'At the right time he revealed 2 things. To Titus, my true son.'
+        });
+    });
+
+    test('A bridge in the source is covered by separate target verses', () => {
+        const result = checks(target, source, recipe);
+
+        expect(result.checks).toEqual([]);
+    });
+
+    test('Missing verses inside a bridged source report the bridge text', () => {
+        const result = checks(target, usfm(['\\v 1 Paul, a servant of God.', '\\v 2 In hope of eternal life.']), recipe);
+
+        const missingVersesCheck = result.checks.find(c => c.name === 'chapterverse::missing_verses');
+        expect(missingVersesCheck.issues.map(issue => issue.verse)).toEqual([3, 4, 5]);
+        expect(missingVersesCheck.issues[1].verse_text).toBe(
+            'At the right time he revealed 2 things. To Titus, my true son.'
+        );
+    });
+});
+
+describe('Issue Location Tests', () => {
+    const source = [
+        '\\id TIT',
+        '\\c 1',
+        '\\p',
+        '\\v 1 Paul, a servant of God, in 3 days.',
+        '\\v 2 In hope of life.',
+        '\\v 3 At the right time.',
+    ].join('\n');
+    const target = [
+        '\\id TIT',
+        '\\c 1',
+        '\\p',
+        '\\v 1 Paul, a servant of \\w God|lemma="theos"\\w* in 4 days.',
+        '\\v 2 In hope of of \\nd life\\nd* eternal ]',
+        '\\v 3 At the right \\f + \\fr 1:3 \\fq right moment\\f* time.',
+    ].join('\n');
+    let usj, result;
+
+    // Resolves a JSON pointer in the parsed target
+    const resolve = (pointer) => pointer.split('/').slice(1).reduce((node, key) => node[key], usj);
+    const issuesOf = (name) => result.checks.find((check) => check.name === name).issues;
+
+    beforeAll(() => {
+        usj = parseUSFM(target);
+        result = checks(source, target, [
+            { name: "textquality::repeated_words_whitespace", enabled: true },
+            { name: "textquality::unmatched_punctuation", enabled: true },
+            { name: "numbers_check::mismatches", enabled: true },
+            { name: "footnote::quotation_mismatch", enabled: true },
+            { name: "versestats::verse_stats", enabled: true },
+        ]);
+    });
+
+    test('Locate repeated words and stray punctuation inside string nodes', () => {
+        const [repeated, whitespace] = issuesOf('textquality::repeated_words_whitespace');
+        expect(repeated.location).toEqual({ path: '/content/2/content/5', start: 8, end: 13 });
+        expect(resolve(repeated.location.path).slice(8, 13)).toBe('of of');
+
+        // The double space left by the footnote spans two string nodes
+        expect(whitespace.location).toEqual({
+            path: '/content/2/content/9', start: 12, end_path: '/content/2/content/11', end: 1
+        });
+
+        const [bracket] = issuesOf('textquality::unmatched_punctuation');
+        const { path, start, end } = bracket.location;
+        expect(resolve(path).slice(start, end)).toBe(']');
+    });
+
+    test('Locate numbers, footnote quotations and verse-level issues', () => {
+        const { location: number } = issuesOf('numbers_check::mismatches')[0];
+        expect(resolve(number.path).slice(number.start, number.end)).toBe('4');
+
+        const { location: quote } = issuesOf('footnote::quotation_mismatch')[0];
+        expect(resolve(quote.path).slice(quote.start, quote.end)).toBe('right moment');
+
+        const { verse, location } = issuesOf('versestats::verse_stats')[0];
+        expect(verse).toBe('1:2');
+        expect(resolve(location.path)).toMatchObject({ marker: 'v', number: '2' });
+    });
+});
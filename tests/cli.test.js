@@ -0,0 +1,142 @@
+import { main, parseArguments } from '../dist/cli.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+describe('Command Line Interface Tests', () => {
+    const mockData = path.resolve(__dirname, './mock_data');
+    let stdout, stderr;
+
+    function run(...argv) {
+        stdout = '';
+        stderr = '';
+        return main(argv, {
+            stdout: (text) => { stdout += text; },
+            stderr: (text) => { stderr += text; },
+            cwd: mockData,
+        });
+    }
+
+    test('parses repeatable, comma separated and inline option values', () => {
+        const { command, options } = parseArguments([
+            'check', '--source', 'a.usfm', '--source=b.usfm', '--enable', 'x,y', '--fail-on=minor', '--strict'
+        ]);
+
+        expect(command).toBe('check');
+        expect(options).toMatchObject({
+            source: ['a.usfm', 'b.usfm'],
+            enable: ['x', 'y'],
+            'fail-on': 'minor',
+            strict: true,
+        });
+    });
+
+    test('list-checks prints the available checks', () => {
+        expect(run('list-checks')).toBe(0);
+        const recipe = JSON.parse(stdout);
+        expect(recipe.map((check) => check.name)).toContain('chapterverse::missing_verses');
+        expect(recipe.every((check) => check.enabled === false)).toBe(true);
+    });
+
+    test('check prints the report of the enabled checks only', () => {
+        const code = run('check', '--source', 'TAR_ENG_TITUS.json', '--target', 'SRC_FR_TIT.json',
+            '--enable', 'textquality::repeated_words_whitespace');
+        const report = JSON.parse(stdout);
+
+        expect(code).toBe(0);
+        expect(report.checks.map((check) => check.name)).toEqual(['textquality::repeated_words_whitespace']);
+    });
+
+    test('--fail-on gates the exit code on the level of reported issues', () => {
+        const args = ['check', '--source', 'TAR_ENG_TITUS.json', '--target', 'SRC_FR_TIT.json',
+            '--enable', 'versestats::verse_stats'];
+
+        expect(run(...args, '--fail-on', 'major')).toBe(0);
+        expect(run(...args, '--fail-on', 'minor')).toBe(1);
+    });
+
+    test('check runs without --source, skipping the checks that need one', () => {
+        const code = run('check', '--target', 'SRC_FR_TIT.json', '--fail-on', 'major',
+            '--enable', 'textquality::repeated_words_whitespace,chapterverse::missing_verses');
+        const report = JSON.parse(stdout);
+
+        // Skipped checks do not fail the run
+        expect(code).toBe(0);
+        expect(report.checks.map((check) => [check.name, check.error])).toEqual([
+            ['chapterverse::missing_verses', 'missing_source'],
+            ['textquality::repeated_words_whitespace', undefined],
+        ]);
+    });
+
+    test('--disable and --recipe combine, and the report can go to a file', () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bible-checker-'));
+        const recipe = path.join(directory, 'recipe.json');
+        const output = path.join(directory, 'report.json');
+        fs.writeFileSync(recipe, JSON.stringify([
+            { name: "versestats::verse_stats", enabled: true },
+            { name: "textquality::repeated_words_whitespace", enabled: true },
+        ]));
+
+        try {
+            const code = run('check', '--source', 'TAR_ENG_TITUS.json', '--target', 'SRC_FR_TIT.json',
+                '--recipe', recipe, '--disable', 'versestats::verse_stats', '--output', output);
+
+            expect(code).toBe(0);
+            expect(stdout).toBe('');
+            const report = JSON.parse(fs.readFileSync(output, 'utf8'));
+            expect(report.checks.map((check) => check.name)).toEqual(['textquality::repeated_words_whitespace']);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    test('--format renders the report in another format', () => {
+        expect(run('check', '--source', 'TAR_ENG_TITUS.json', '--target', 'SRC_FR_TIT.json',
+            '--enable', 'textquality::repeated_words_whitespace', '--format', 'sarif')).toBe(0);
+        const sarif = JSON.parse(stdout);
+        expect(sarif.runs[0].results[0].locations[0].physicalLocation.artifactLocation.uri).toBe('SRC_FR_TIT.json');
+        expect(run('check', '--source', 'TAR_ENG_TITUS.json', '--target', 'SRC_FR_TIT.json', '--format', 'pdf')).toBe(2);
+    });
+
+    test('reads USFM books and reports recipe problems on stderr', () => {
+        const code = run('check', '--source', 'example_tit.usfm', '--target', 'example_tit.usx',
+            '--enable', 'chapterverse::missing_verse');
+
+        expect(code).toBe(0);
+        expect(stderr).toMatch(/recipe error: \[\d+\]\.name: Unknown check "chapterverse::missing_verse"\. Did you mean "chapterverse::missing_verses"\?/);
+        expect(run('check', '--source', 'example_tit.usfm', '--target', 'example_tit.usx',
+            '--enable', 'chapterverse::missing_verse', '--strict')).toBe(2);
+    });
+
+    test('--glossary runs the key terms check with the glossary file', () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bible-checker-'));
+        const glossary = path.join(directory, 'glossary.json');
+        fs.writeFileSync(glossary, JSON.stringify({ terms: [{ term: 'Grace', renderings: ['faveur'] }] }));
+
+        try {
+            const code = run('check', '--source', 'TAR_ENG_TITUS.json', '--target', 'SRC_FR_TIT.json',
+                '--enable', 'textquality::repeated_words_whitespace', '--glossary', glossary);
+            const report = JSON.parse(stdout);
+
+            expect(code).toBe(0);
+            const issues = report.checks.find((check) => check.name === 'terms::key_terms').issues;
+            expect(issues).toContainEqual(expect.objectContaining({ reference: 'TIT 1:4', term: 'Grace' }));
+
+            fs.writeFileSync(glossary, JSON.stringify([{ term: 'Grace' }]));
+            expect(run('check', '--source', 'TAR_ENG_TITUS.json', '--target', 'SRC_FR_TIT.json', '--glossary', glossary)).toBe(2);
+            expect(stderr).toContain('Glossary entry at index 0 needs "renderings" or "patterns"');
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    test('exits with code 2 on usage errors', () => {
+        expect(run()).toBe(2);
+        expect(stderr).toContain('Usage: bible-checker');
+        expect(run('check', '--source', 'TAR_ENG_TITUS.json')).toBe(2);
+        expect(stderr).toContain('check needs --target');
+        expect(run('check', '--source', 'TAR_ENG_TITUS.json', '--target', 'SRC_FR_TIT.json', '--fail-on', 'fatal')).toBe(2);
+        expect(run('lint')).toBe(2);
+        expect(stderr).toContain('Unknown command "lint"');
+    });
+});
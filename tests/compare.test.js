@@ -0,0 +1,104 @@
+import { checks, compareReports } from '../dist/index.js';
+import { main } from '../dist/cli.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+describe('Report Comparison Tests', () => {
+    const source = [
+        '\\id TIT',
+        '\\c 1',
+        '\\p',
+        '\\v 1 Paul, a servant of God.',
+        '\\v 2 In hope of eternal life.',
+        '\\c 2',
+        '\\p',
+        '\\v 1 But you, speak what fits sound doctrine.',
+        '\\v 2 Older men should be temperate.',
+    ].join('\n');
+    const before = [
+        '\\id TIT',
+        '\\c 1',
+        '\\p',
+        '\\v 1 Paul, a a servant of God.',
+        '\\v 2 In hope of of eternal life.',
+        '\\c 2',
+        '\\p',
+        '\\v 1 But you, speak what fits sound doctrine.',
+    ].join('\n');
+    const after = [
+        '\\id TIT',
+        '\\c 1',
+        '\\p',
+        '\\v 1 Paul, a servant of God.',
+        '\\v 2 In hope of of eternal life.',
+        '\\c 2',
+        '\\p',
+        '\\v 1 But you, speak what what fits sound doctrine.',
+        '\\v 2 Older men should be temperate.',
+    ].join('\n');
+    const recipe = [
+        { name: "textquality::repeated_words_whitespace", enabled: true },
+        { name: "chapterverse::missing_verses", enabled: true },
+    ];
+    let previous, current;
+
+    beforeAll(() => {
+        previous = checks(source, before, recipe);
+        current = checks(source, after, recipe);
+    });
+
+    test('classifies issues as new, resolved or persisting', () => {
+        const comparison = compareReports(previous, current);
+        const describe = (issues) => issues.map((issue) => `${issue.check} ${issue.reference}`);
+
+        expect(describe(comparison.new)).toEqual(['textquality::repeated_words_whitespace TIT 2:1']);
+        expect(describe(comparison.persisting)).toEqual(['textquality::repeated_words_whitespace TIT 1:2']);
+        expect(describe(comparison.resolved)).toEqual([
+            'textquality::repeated_words_whitespace TIT 1:1',
+            'chapterverse::missing_verses TIT 2:2',
+        ]);
+        expect(comparison.resolved[1]).toMatchObject({ level: 'major', type: 'missing', verse: 2 });
+        expect(comparison.summary).toEqual({ new: 1, resolved: 2, persisting: 1 });
+    });
+
+    test('counts changes per check and per chapter', () => {
+        const comparison = compareReports(previous, current);
+
+        expect(comparison.checks).toEqual({
+            'textquality::repeated_words_whitespace': { new: 1, resolved: 1, persisting: 1 },
+            'chapterverse::missing_verses': { new: 0, resolved: 1, persisting: 0 },
+        });
+        expect(comparison.chapters).toEqual({
+            'TIT 1': { new: 0, resolved: 1, persisting: 1 },
+            'TIT 2': { new: 1, resolved: 1, persisting: 0 },
+        });
+    });
+
+    test('matches issues of reports saved without fingerprints', () => {
+        const stripped = JSON.parse(JSON.stringify(previous));
+        stripped.checks.forEach((check) => check.issues.forEach((issue) => { delete issue.fingerprint; }));
+
+        expect(compareReports(stripped, previous).summary).toEqual({ new: 0, resolved: 0, persisting: 3 });
+        expect(compareReports(null, previous).summary.new).toBe(3);
+    });
+
+    test('the CLI compares two report files and gates on new issues', () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bible-checker-'));
+        fs.writeFileSync(path.join(directory, 'previous.json'), JSON.stringify(previous));
+        fs.writeFileSync(path.join(directory, 'current.json'), JSON.stringify(current));
+        let stdout = '';
+        let stderr = '';
+        const io = { stdout: (text) => { stdout += text; }, stderr: (text) => { stderr += text; }, cwd: directory };
+
+        try {
+            expect(main(['compare', '--previous', 'previous.json', '--current', 'current.json', '--fail-on', 'major'], io)).toBe(0);
+            expect(JSON.parse(stdout).summary).toEqual({ new: 1, resolved: 2, persisting: 1 });
+            expect(stderr).toBe('1 new, 2 resolved, 1 persisting\n');
+            expect(main(['compare', '--previous', 'previous.json', '--current', 'current.json', '--fail-on', 'minor'], io)).toBe(1);
+            expect(main(['compare', '--previous', 'previous.json'], io)).toBe(2);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,118 @@
+import { checks, createBookNameResolver, parseCrossReferences, validateRecipe } from '../dist/index.js';
+import { detectCrossReferenceTargets } from '../dist/crossrefs.js';
+import { summarize, usfm } from './helpers.js';
+
+describe('Cross-Reference Target Check Tests', () => {
+    test('Resolve book codes, names and abbreviations', () => {
+        const resolve = createBookNameResolver({ 'Galates': 'GAL', 'Ac': 'act' });
+
+        expect(['GAL', 'Galatians', 'Gal.', 'Galates', 'Ac', '1 Cor', '1Co', 'Ps', 'Tit'].map(resolve))
+            .toEqual(['GAL', 'GAL', 'GAL', 'GAL', 'ACT', '1CO', '1CO', 'PSA', 'TIT']);
+        expect(resolve('Jo')).toBeNull();
+        expect(resolve('Hébreux')).toBeNull();
+        expect(() => createBookNameResolver({ 'Foo': 'XYZ' })).toThrow('Book name "Foo" is mapped to unknown book code "XYZ"');
+    });
+
+    test('Parse reference lists', () => {
+        const resolve = createBookNameResolver();
+        const groups = parseCrossReferences('Gal 2:1, 3; Act 13:9-11, 27:7; 3:5-4:2; 2; Foo 1:1.', resolve, 'TIT');
+
+        expect(groups.map(({ text, start, end }) => [text, start, end])).toEqual([
+            ['Gal 2:1, 3', 0, 10], ['Act 13:9-11, 27:7', 12, 29], ['3:5-4:2', 31, 38], ['2', 40, 41], ['Foo 1:1', 43, 50],
+        ]);
+        expect(groups[0].references).toEqual([
+            { book: 'GAL', chapter: 2, verse: 1, endChapter: 2, endVerse: 1 },
+            { book: 'GAL', chapter: 2, verse: 3, endChapter: 2, endVerse: 3 },
+        ]);
+        expect(groups[1].references[1]).toEqual({ book: 'ACT', chapter: 27, verse: 7, endChapter: 27, endVerse: 7 });
+        expect(groups[2].references).toEqual([{ book: 'ACT', chapter: 3, verse: 5, endChapter: 4, endVerse: 2 }]);
+        expect(groups[3].references).toEqual([{ book: 'ACT', chapter: 2, verse: null, endChapter: 2, endVerse: null }]);
+        expect(groups[4].error).toBe('unknown book "Foo"');
+    });
+
+    test('Report origins, unreadable targets and verses missing from the text', () => {
+        const target = usfm('TIT',
+            String.raw`\c 1`,
+            String.raw`\p \v 1 Paul.\x - \xo 1:1 \xt Act 13:9; Hébreux 2:1\x*`,
+            String.raw`\v 2 Titus.\x - \xo 1:3 \xt Tit 1:1; 1:9\x*`,
+            String.raw`\v 3 Crete.\x - \xo 1:3 \xt Gal 2:1\x*`,
+        );
+        const { check, issues } = detectCrossReferenceTargets(target);
+
+        expect(check).toBe('crossref::targets');
+        expect(summarize(issues, 'verse', 'type', 'cross_reference'))
+            .toEqual(['1:1 unparseable Hébreux 2:1', '1:2 origin_mismatch', '1:2 nonexistent_verse 1:9']);
+        expect(issues[0]).toMatchObject({
+            location: { start: 10, end: 21 },
+            comment: 'Cross-reference "Hébreux 2:1" cannot be read: unknown book "Hébreux" (1:1).',
+        });
+        expect(issues[1]).toMatchObject({ origin: '1:3', comment: 'Cross-reference origin "1:3" does not match the verse the note is attached to (1:2).' });
+        expect(issues[2]).toMatchObject({
+            target: 'TIT 1:9',
+            comment: 'Cross-reference "1:9" points to TIT 1:9, which does not exist (1:2).',
+        });
+
+        expect(detectCrossReferenceTargets(target, { bookNames: { 'Hébreux': 'HEB' } }).issues).toHaveLength(2);
+    });
+
+    test('Verify other books in the versification inventory and read link targets', () => {
+        const target = usfm('TIT',
+            String.raw`\c 1`,
+            String.raw`\p \v 1 Paul.\x - \xt Galates 2:30\x*`,
+            String.raw`\v 2 Titus.\x - \xt Galates sept|link-href="GAL 7:1"\xt*\x*`,
+            String.raw`\v 3 Crete.\x - \xt Act 27:7\x*`,
+        );
+        const vrs = 'GAL 1:24 2:21 3:29 4:31 5:26 6:18\nTIT 1:16 2:15 3:15';
+        const { issues } = detectCrossReferenceTargets(target, { bookNames: { 'Galates': 'GAL' }, versification: { vrs } });
+
+        // The inventory has no ACT, so "Act 27:7" is not verified
+        expect(summarize(issues, 'verse', 'type', 'cross_reference'))
+            .toEqual(['1:1 nonexistent_verse Galates 2:30', '1:2 nonexistent_verse GAL 7:1', '1:3 no_inventory Act 27:7']);
+        expect(issues.map(({ target: pointed }) => pointed)).toEqual(['GAL 2:30', 'GAL 7:1', undefined]);
+        expect(issues[2]).toMatchObject({
+            target_book: 'ACT',
+            comment: 'Cross-references to ACT cannot be verified: versification "custom" has no verse inventory for this book (first one "Act 27:7", 1:3).',
+        });
+
+        const result = checks(target, target, [{
+            name: 'crossref::targets',
+            enabled: true,
+            parameters: { book_names: { 'Galates': 'GAL' }, vrs },
+        }]);
+        expect(result.checks.map(({ name, issues: found }) => `${name} ${found.length}`)).toEqual(['crossref::targets 3']);
+        // The inventory can also come from the target versification of the recipe
+        const recipe = {
+            versification: { target: { vrs } },
+            checks: [{ name: 'crossref::targets', enabled: true, parameters: { book_names: { 'Galates': 'GAL' } } }],
+        };
+        expect(validateRecipe(recipe).valid).toBe(true);
+        expect(summarize(checks(target, target, recipe).checks[0].issues, 'verse', 'type', 'cross_reference'))
+            .toEqual(['1:1 nonexistent_verse Galates 2:30', '1:2 nonexistent_verse GAL 7:1', '1:3 no_inventory Act 27:7']);
+        // The built-in versifications have no inventory: each other book is reported once as not verified
+        const builtIn = { ...recipe, versification: { target: 'eng' } };
+        expect(summarize(checks(target, target, builtIn).checks[0].issues, 'verse', 'type', 'target_book'))
+            .toEqual(['1:1 no_inventory GAL', '1:3 no_inventory ACT']);
+        expect(validateRecipe({ ...recipe, versification: { source: 'eng' } }).errors)
+            .toMatchObject([{ path: 'versification.target', code: 'missing_versification' }]);
+        // Without names or inventory, only the displayed "Galates" cannot be read; GAL 7:1 cannot be verified
+        expect(summarize(checks(target, target, [{ name: 'crossref::targets', enabled: true }]).checks[0].issues, 'verse', 'type', 'cross_reference'))
+            .toEqual(['1:1 unparseable Galates 2:30']);
+    });
+
+    test('Refuse book names and .vrs texts that cannot be used', () => {
+        const target = usfm('TIT', String.raw`\c 1`, String.raw`\p \v 1 Paul.\x - \xt Tite 1:2\x*`);
+        const recipe = (parameters) => [{ name: 'crossref::targets', enabled: true, parameters }];
+
+        const { errors } = validateRecipe(recipe({ book_names: { 'Tite': 5, 'Galates': 'GAL', 'Foo': 'XYZ' } }));
+        expect(errors.map(({ path, message }) => `${path} ${message}`)).toEqual([
+            '[0].parameters.book_names["Tite"] Parameter "book_names["Tite"]" of check "crossref::targets" must be a book code, got number.',
+            '[0].parameters.book_names["Foo"] Parameter "book_names["Foo"]" of check "crossref::targets" names an unknown book code "XYZ".',
+        ]);
+        expect(validateRecipe(recipe({ vrs: 'garbage line' })).errors.map(({ message }) => message)).toEqual([
+            'Parameter "vrs" of check "crossref::targets" cannot be read as a .vrs file: Invalid book code "garbage" (line 1, column 1).',
+        ]);
+        // The check is skipped instead of ending the run
+        expect(checks(target, target, recipe({ book_names: { 'Tite': 5 } })).checks).toMatchObject([{ error: 'invalid_parameters' }]);
+        expect(checks(target, target, recipe({ vrs: 'garbage line' })).checks).toMatchObject([{ error: 'invalid_parameters' }]);
+    });
+});
@@ -0,0 +1,91 @@
+import { checks, DocumentModel, registerCheck, unregisterCheck } from '../dist/index.js';
+import fs from 'fs';
+import path from 'path';
+
+describe('Document Model Tests', () => {
+    const usfm = [
+        '\\id TIT',
+        '\\c 1',
+        '\\s1 Greeting',
+        '\\p',
+        '\\v 1 Paul, a servant of God.\\f + \\fr 1:1 \\ft A note.\\f*',
+        '\\v 2-3 In hope of eternal life.\\x - \\xo 1:2 \\xt 2 Tim 1:1\\x*',
+        '\\q1',
+        '\\v 4 To Titus.',
+    ].join('\n');
+
+    test('Index verses, chapters, notes and paragraphs', () => {
+        const model = new DocumentModel(usfm);
+
+        expect(model.book).toBe('TIT');
+        expect(model.verses).toEqual({ '1:1': 'Paul, a servant of God.', '1:2-3': 'In hope of eternal life.', '1:4': 'To Titus.' });
+        expect(model.chapterVerses).toEqual({ 1: [1, 2, 3, 4] });
+        expect(model.verse('1:3')).toBe('In hope of eternal life.');
+        expect(model.verse('1:5')).toBeUndefined();
+        expect(model.hasVerse(1, 3)).toBe(true);
+        expect(model.hasVerse('1', 5)).toBe(false);
+        expect(model.footnotes).toMatchObject([
+            { marker: 'f', caller: '+', reference: '1:1', path: '/content/3/content/2' },
+            { marker: 'x', caller: '-', reference: '1:2-3', path: '/content/3/content/6' },
+        ]);
+        expect(model.crossReferences).toMatchObject([{ marker: 'x', reference: '1:2-3', path: '/content/3/content/6' }]);
+        expect(model.paragraphs).toEqual([
+            { marker: 's1', path: '/content/2', chapter: '1', verse: null },
+            { marker: 'p', path: '/content/3', chapter: '1', verse: null },
+            { marker: 'q1', path: '/content/4', chapter: '1', verse: '2-3' },
+        ]);
+    });
+
+    test('Join the segments of a split verse', () => {
+        const source = ['\\id TIT', '\\c 1', '\\p', '\\v 4 To Titus.', '\\v 5a I left you in Crete', '\\v 5b to appoint elders.'].join('\n');
+        const target = ['\\id TIT', '\\c 1', '\\p', '\\v 4 À Tite.'].join('\n');
+        const split = new DocumentModel(source);
+
+        expect(split.verse('1:5')).toBe('I left you in Crete to appoint elders.');
+        expect(split.verse('1:5b')).toBe('to appoint elders.');
+        expect(checks(source, target, [{ name: 'chapterverse::missing_verses', enabled: true }]).checks[0].issues)
+            .toMatchObject([{ verse: 5, verse_text: 'I left you in Crete to appoint elders.' }]);
+    });
+
+    test('Build each index once and reuse given models', () => {
+        const model = new DocumentModel(usfm);
+        const extractVerseMap = jest.spyOn(model.handler, 'extractVerseMap');
+
+        expect(model.verses).toBe(model.verses);
+        expect(model.verseMap).toBe(model.verseMap);
+        expect(extractVerseMap).toHaveBeenCalledTimes(1);
+        expect(DocumentModel.from(model)).toBe(model);
+    });
+
+    test('Share one model per document across the checks of a run', () => {
+        const seen = [];
+        const spy = (name) => ({
+            name,
+            level: 'minor',
+            run: ({ targetModel }) => {
+                seen.push(targetModel);
+                return { issues: [] };
+            },
+        });
+        registerCheck(spy('test::first'));
+        registerCheck(spy('test::second'));
+
+        try {
+            const text = fs.readFileSync(path.resolve(__dirname, './mock_data/SRC_FR_TIT.json'), 'utf8');
+            checks(text, text, [
+                { name: "test::first", enabled: true },
+                { name: "versestats::verse_stats", enabled: true },
+                { name: "test::second", enabled: true },
+            ]);
+        } finally {
+            unregisterCheck('test::first');
+            unregisterCheck('test::second');
+        }
+
+        expect(seen).toHaveLength(2);
+        expect(seen[0]).toBeInstanceOf(DocumentModel);
+        expect(seen[1]).toBe(seen[0]);
+        // The verse index built for the first built-in check is still there for later checks
+        expect(seen[1].indexes.has('verseMap')).toBe(true);
+    });
+});
@@ -0,0 +1,122 @@
+import { checks } from '../dist/index.js';
+import { detectFootnoteCounts, detectFootnoteStructure } from '../dist/footnotes.js';
+import { summarize, usfm } from './helpers.js';
+
+describe('Footnote Structure Check Tests', () => {
+    test('Report footnote origins that do not match their verse', () => {
+        const target = usfm('TIT',
+            String.raw`\c 1`,
+            String.raw`\p \v 1 Paul.\f + \fr 1:1 \ft Or Saul.\f*`,
+            String.raw`\v 2 Titus.\f + \fr 1:3 \ft Or Tite.\f*`,
+            String.raw`\v 3-4 Crete.\f + \fr 1.4 \ft An island.\f*`,
+            String.raw`\v 5 Grace.\f + \fr 2:5 \ft Or favour.\f*`,
+            String.raw`\v 6 Peace.\f + \fr ६ \ft Or rest.\f*`,
+        );
+        const { check, issues } = detectFootnoteStructure(target);
+
+        expect(check).toBe('footnote::structure');
+        expect(issues).toEqual([{
+            verse: '1:2',
+            type: 'origin_mismatch',
+            note: 'f',
+            origin: '1:3',
+            location: { path: '/content/2/content/6/content/0/content/0', start: 0, end: 4 },
+            comment: 'Footnote origin "1:3" does not match the verse the note is attached to (1:2).',
+        }, {
+            verse: '1:5',
+            type: 'origin_mismatch',
+            note: 'f',
+            origin: '2:5',
+            location: { path: '/content/2/content/14/content/0/content/0', start: 0, end: 4 },
+            comment: 'Footnote origin "2:5" does not match the verse the note is attached to (1:5).',
+        }]);
+    });
+
+    test('Report footnotes without text and alternate translations identical to the text', () => {
+        const target = usfm('TIT',
+            String.raw`\c 1`,
+            String.raw`\p \v 1 Paul, a servant of God.\f + \fr 1:1 \f*`,
+            String.raw`\v 2 In hope of life.\f + \fr 1:2 \ft Or \fqa in hope of life.\f*`,
+            String.raw`\v 3 At the right time.\f + \fr 1:3 \fq right time: \ft Or \fqa Right time\f*`,
+            String.raw`\v 4 To Titus.\fe + \fr 1:4 \ft Or \fqa Tite.\fe*`,
+        );
+
+        expect(summarize(detectFootnoteStructure(target).issues, 'place', 'type')).toEqual([
+            '1:1 missing_text',
+            '1:2 alternate_identical',
+            '1:3 alternate_identical',
+        ]);
+        expect(detectFootnoteStructure(target).issues[2]).toMatchObject({
+            alternate: 'Right time',
+            comment: 'Alternate translation is identical to the quoted text it is an alternative for (1:3).',
+        });
+    });
+
+    test('Report callers departing from the convention of their note kind', () => {
+        const target = usfm('TIT',
+            String.raw`\c 1`,
+            String.raw`\p \v 1 Paul.\f + \ft Or Saul.\f*\x - \xo 1:1 \xt Act 13:9\x*`,
+            String.raw`\v 2 Titus.\f + \ft Or Tite.\f*\x - \xo 1:2 \xt Gal 2:1\x*`,
+            String.raw`\v 3 Crete.\f a \ft An island.\f*\x + \xo 1:3 \xt Act 27:7\x*`,
+        );
+
+        expect(detectFootnoteStructure(target).issues).toMatchObject([{
+            verse: '1:3',
+            type: 'inconsistent_caller',
+            note: 'f',
+            caller: 'a',
+            expected_caller: '+',
+            comment: 'Footnote caller "a" differs from the other "f" notes, which use "+" (1:3).',
+        }, {
+            verse: '1:3',
+            type: 'inconsistent_caller',
+            note: 'x',
+            caller: '+',
+            expected_caller: '-',
+            comment: 'Cross-reference caller "+" differs from the other "x" notes, which use "-" (1:3).',
+        }]);
+    });
+
+    test('Compare footnote counts per chapter with the source', () => {
+        const source = usfm('TIT',
+            String.raw`\c 1`,
+            String.raw`\p \v 1 Paul.\f + \ft Saul.\f* \v 2 Titus.\f + \ft Tite.\f*`,
+            String.raw`\c 2`,
+            String.raw`\p \v 1 Grace.\f + \ft Favour.\f*`,
+            String.raw`\c 3`,
+            String.raw`\p \v 1 Peace.`,
+        );
+        const target = usfm('TIT',
+            String.raw`\c 1`,
+            String.raw`\p \v 1 Paul.\f + \ft Saul.\f* \v 2 Tite.\x - \xt Gal 2:1\x*`,
+            String.raw`\c 2`,
+            String.raw`\p \v 1 Grâce.\f + \ft Faveur.\f*`,
+            String.raw`\c 3`,
+            String.raw`\p \v 1 Paix.\fe + \ft Repos.\fe*`,
+        );
+        const { check, issues } = detectFootnoteCounts(source, target);
+
+        expect(check).toBe('footnote::counts');
+        expect(issues).toEqual([{
+            chapter: 1,
+            type: 'fewer_footnotes',
+            source_count: 2,
+            target_count: 1,
+            location: { path: '/content/1' },
+            comment: 'Chapter 1 has fewer footnotes than the source.',
+        }, {
+            chapter: 3,
+            type: 'more_footnotes',
+            source_count: 0,
+            target_count: 1,
+            location: { path: '/content/5' },
+            comment: 'Chapter 3 has more footnotes than the source.',
+        }]);
+
+        const result = checks(source, target, [
+            { name: 'footnote::counts', enabled: true },
+            { name: 'footnote::structure', enabled: true },
+        ]);
+        expect(result.checks.map(({ name, issues: found }) => `${name} ${found.length}`)).toEqual(['footnote::counts 2']);
+    });
+});
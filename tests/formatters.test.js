@@ -0,0 +1,73 @@
+import { checks, formatReport } from '../dist/index.js';
+import fs from 'fs';
+import path from 'path';
+
+describe('Report Formatter Tests', () => {
+    let sourceText, targetText, report;
+
+    const recipe = [
+        { name: "chapterverse::integrity_check", enabled: true },
+        { name: "textquality::repeated_words_whitespace", enabled: true },
+    ];
+
+    beforeAll(() => {
+        sourceText = fs.readFileSync(path.resolve(__dirname, './mock_data/TAR_ENG_TITUS.json'), 'utf8');
+        targetText = fs.readFileSync(path.resolve(__dirname, './mock_data/SRC_FR_TIT.json'), 'utf8');
+        report = checks(sourceText, targetText, recipe);
+    });
+
+    test('renders one CSV line per issue with quoted fields', () => {
+        const csv = formatReport(report, 'csv');
+        const lines = csv.trim().split('\r\n');
+        const total = report.checks.reduce((sum, check) => sum + check.issues.length, 0);
+
+        expect(lines[0]).toBe('check,readName,level,book,reference,chapter,verse,type,comment,verse_text');
+        expect(lines).toHaveLength(total + 1);
+        expect(csv).toContain('textquality::repeated_words_whitespace,Repeated words and whitespace,minor,TIT,TIT 1:4,1,4,');
+
+        const quoted = formatReport({ checks: [{ name: 'a', level: 'minor', issues: [{ verse: '1:1', comment: 'Say "hi", twice' }] }] }, 'csv');
+        expect(quoted).toContain('"Say ""hi"", twice"');
+    });
+
+    test('renders JUnit XML with one failing test case per issue', () => {
+        const xml = formatReport(report, 'junit');
+        const total = report.checks.reduce((sum, check) => sum + check.issues.length, 0);
+
+        expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>/);
+        expect(xml).toContain(`<testsuites name="bible-checker" tests="${total}" failures="${total}" errors="0">`);
+        expect(xml).toContain('<testsuite name="textquality::repeated_words_whitespace"');
+        expect(xml).toContain('<testcase classname="textquality::repeated_words_whitespace" name="TIT 1:4">');
+        expect((xml.match(/<failure /g) || []).length).toBe(total);
+    });
+
+    test('renders SARIF with one rule per check and levels mapped to SARIF levels', () => {
+        const sarif = JSON.parse(formatReport(report, 'sarif', { uris: { TIT: 'target/TIT.usfm' } }));
+        const run = sarif.runs[0];
+
+        expect(sarif.version).toBe('2.1.0');
+        expect(run.tool.driver.rules.map((rule) => rule.id)).toEqual(report.checks.map((check) => check.name));
+        const result = run.results.find((item) => item.ruleId === 'textquality::repeated_words_whitespace');
+        expect(result.level).toBe('warning');
+        expect(result.locations[0].physicalLocation.artifactLocation.uri).toBe('target/TIT.usfm');
+        expect(result.locations[0].logicalLocations[0].fullyQualifiedName).toMatch(/^TIT \d+:\d+/);
+    });
+
+    test('renders a standalone HTML page grouped by chapter with both texts', () => {
+        const html = formatReport(report, 'html', { source: sourceText, target: targetText });
+
+        expect(html).toMatch(/^<!DOCTYPE html>/);
+        expect(html).toContain('<h2>TIT Chapter 1</h2>');
+        expect(html).toContain('<tr><th>Verse</th><th>Source</th><th>Target</th><th>Issues</th></tr>');
+        expect(html).toContain('<tr><td class="reference">3:3</td><td class="text">Foratonetimewetoowerefoolish');
+        expect(html).toContain('<td class="text">Nous devons nous rappeler que');
+        expect(html.indexOf('<h2>TIT Chapter 1</h2>')).toBeLessThan(html.indexOf('<h2>TIT Chapter 3</h2>'));
+    });
+
+    test('escapes markup in issue text and rejects unknown formats', () => {
+        const html = formatReport({ checks: [{ name: 'a', level: 'major', issues: [{ verse: '1:1', comment: '<script>' }] }] }, 'html');
+
+        expect(html).toContain('&lt;script&gt;');
+        expect(html).not.toContain('<script>');
+        expect(() => formatReport(report, 'pdf')).toThrow('Unsupported report format: pdf');
+    });
+});
@@ -0,0 +1,55 @@
+// Fixtures shared by the check tests: USFM books written inline, and compact issue summaries
+
+/**
+ * Writes a USFM book from its lines.
+ * @param {string} code - Book code of the `\id` line.
+ * @param {...string} lines - USFM lines after the `\id` line, e.g. String.raw`\c 1`.
+ * @returns {string} USFM text.
+ */
+export function usfm(code, ...lines) {
+    return [String.raw`\id ${code}`, ...lines].join('\n');
+}
+
+/**
+ * Writes a one-chapter USFM book: one paragraph with a verse per text, numbered from 1.
+ * @param {string} code - Book code.
+ * @param {...string} texts - Verse texts.
+ * @returns {string} USFM text.
+ */
+export function usfmVerses(code, ...texts) {
+    return usfm(code, String.raw`\c 1`, String.raw`\p`, ...texts.map((text, i) => String.raw`\v ${i + 1} ${text}`));
+}
+
+/**
+ * Writes a USFM book with a paragraph of numbered verses per chapter, each verse reading "Text.".
+ * @param {string} code - Book code.
+ * @param {...Array} chapters - `[chapter, ...verses]`, e.g. `[3, 1, 2, '5-6']`.
+ * @returns {string} USFM text.
+ */
+export function usfmChapters(code, ...chapters) {
+    return usfm(code, ...chapters.flatMap(([chapter, ...verses]) => [
+        String.raw`\c ${chapter}`,
+        String.raw`\p`,
+        ...verses.map((verse) => String.raw`\v ${verse} Text.`),
+    ]));
+}
+
+/**
+ * Summarizes issues one line each, for compact expectations: the values of the given fields joined
+ * by spaces, absent ones left out. A field is an issue key, "place" (the verse of the issue, or else
+ * its chapter), or a function of the issue.
+ * @example summarize(issues, 'place', 'type', 'marker') // ['1:4 missing_heading s1', '2 extra_heading']
+ * @param {Array} issues - Issues of a report.
+ * @param {...(string|function)} fields - Fields to show, in order.
+ * @returns {Array} One string per issue.
+ */
+export function summarize(issues, ...fields) {
+    const value = (issue, field) => {
+        if (typeof field === 'function') return field(issue);
+        return field === 'place' ? issue.verse ?? issue.chapter : issue[field];
+    };
+    return issues.map((issue) => fields
+        .map((field) => value(issue, field))
+        .filter((item) => item !== undefined && item !== null && item !== '')
+        .join(' '));
+}
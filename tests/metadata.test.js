@@ -0,0 +1,80 @@
+import { checks, DEFAULT_REQUIRED_HEADERS } from '../dist/index.js';
+import { detectBookHeaders } from '../dist/metadata.js';
+import { summarize, usfm } from './helpers.js';
+
+describe('Book Header Check Tests', () => {
+    // The headers of each book come before this text
+    const text = [String.raw`\c 1`, String.raw`\p \v 1 Paul.`];
+    const source = usfm('TIT', String.raw`\ide UTF-8`, String.raw`\h Titus`, String.raw`\toc1 The Letter of Paul to Titus`,
+        String.raw`\toc2 Titus`, String.raw`\toc3 Tit`, String.raw`\mt1 Titus`, ...text);
+
+    test('Accept a translated target with every required header', () => {
+        const target = usfm('TIT', String.raw`\ide utf8`, String.raw`\h Tite`, String.raw`\toc1 Lettre de Paul à Tite`,
+            String.raw`\toc2 Tite`, String.raw`\toc3 Tt`, String.raw`\mt Tite`, ...text);
+        const { check, issues } = detectBookHeaders(source, target);
+
+        expect(check).toBe('metadata::book_headers');
+        expect(issues).toEqual([]);
+        expect(DEFAULT_REQUIRED_HEADERS).toEqual(['h', 'toc1', 'toc2', 'mt1']);
+    });
+
+    test('Report a different book, missing, empty and untranslated headers and other encodings', () => {
+        const target = usfm('TTT', String.raw`\ide CP-1252`, String.raw`\h Tite`, String.raw`\toc1 The Letter of Paul to  titus`,
+            String.raw`\toc2`, String.raw`\toc3 Tit`, ...text);
+        const { issues } = detectBookHeaders(source, target);
+
+        expect(summarize(issues, 'type', 'marker')).toEqual([
+            'book_mismatch',
+            'empty_header toc2',
+            'missing_header mt1',
+            'untranslated_header toc1',
+            'untranslated_header toc3',
+            'non_utf8_encoding',
+        ]);
+        expect(issues[0]).toEqual({
+            type: 'book_mismatch',
+            source_book: 'TIT',
+            target_book: 'TTT',
+            location: { path: '/content/0' },
+            comment: 'Book code TTT does not match the source book code TIT.',
+        });
+        expect(issues[1].location).toEqual({ path: '/content/4' });
+        expect(issues[3]).toMatchObject({
+            text: 'The Letter of Paul to  titus',
+            source_marker: 'toc1',
+            comment: 'Header \\toc1 "The Letter of Paul to  titus" is the same as the source \\toc1; it may not be translated.',
+        });
+        expect(issues[5]).toMatchObject({ encoding: 'CP-1252', comment: 'Encoding declaration \\ide "CP-1252" is not UTF-8.' });
+    });
+
+    test('Check only the target headers without a source', () => {
+        const target = usfm('TTT', String.raw`\ide CP-1252`, String.raw`\h Tite`, String.raw`\toc1 The Letter of Paul to  titus`,
+            String.raw`\toc2`, String.raw`\toc3 Tit`, ...text);
+        const recipe = [{ name: 'metadata::book_headers', enabled: true }];
+
+        expect(summarize(detectBookHeaders(null, target).issues, 'type', 'marker')).toEqual([
+            'empty_header toc2',
+            'missing_header mt1',
+            'non_utf8_encoding',
+        ]);
+        expect(checks(null, target, recipe).checks[0].issues).toHaveLength(3);
+    });
+
+    test('Take the required headers from the recipe', () => {
+        const target = usfm('TIT', String.raw`\h Tite`, String.raw`\mt1 Tite`, ...text);
+        const run = (parameters) => checks(source, target, [{ name: 'metadata::book_headers', enabled: true, parameters }]).checks;
+
+        expect(run(undefined)[0].issues.map(({ marker }) => marker)).toEqual(['toc1', 'toc2']);
+        expect(run({ required_markers: ['h', 'mt1'] })).toEqual([]);
+        expect(run({ required_markers: ['h', 'toc3'] })[0].issues.map(({ reference, marker }) => `${reference} ${marker}`))
+            .toEqual(['TIT toc3']);
+
+        const invalid = checks(source, target, [{ name: 'metadata::book_headers', enabled: true, parameters: { required_markers: ['h', 1, 2] } }]);
+        expect(invalid.validation.errors.map(({ path, message }) => `${path}: ${message}`)).toEqual([
+            '[0].parameters.required_markers[1]: Parameter "required_markers[1]" of check "metadata::book_headers" expected a string, got number.',
+            '[0].parameters.required_markers[2]: Parameter "required_markers[2]" of check "metadata::book_headers" expected a string, got number.',
+        ]);
+        expect(invalid.checks).toMatchObject([{ error: 'invalid_parameters' }]);
+        expect(() => detectBookHeaders(source, target, { requiredMarkers: [1] })).toThrow('Required header markers must be strings, got 1');
+    });
+});
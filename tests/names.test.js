@@ -0,0 +1,96 @@
+import { checks, normalizeName } from '../dist/index.js';
+import { detectNameInconsistencies } from '../dist/names.js';
+import { usfmVerses } from './helpers.js';
+
+describe('Name Consistency Check Tests', () => {
+    const source = usfmVerses('TIT',
+        'Paul writes to Titus.',
+        'Titus is in Crete.',
+        'Let Titus stay in Crete.',
+        'He sees Paul and Saul.',
+        'He leaves for Crete.',
+    );
+    const target = usfmVerses('TIT',
+        'Paul écrit à Tite.',
+        'Tite est en Crète.',
+        'Que Titus reste en Crète.',
+        'Il voit Paul et Saul.',
+        'Il part pour la Crete.',
+    );
+
+    test('Normalize names across scripts', () => {
+        expect(normalizeName('Crète')).toBe('crete');
+        expect(normalizeName('Ἰησοῦς')).toBe('ιησουσ');
+        expect(normalizeName('إبراهيم')).toBe('ابراهيم');
+        expect(normalizeName('שָׁלוֹם')).toBe('שלומ');
+        expect(normalizeName('d’Israël')).toBe("d'israel");
+    });
+
+    test('Report minority spellings of a name with their references', () => {
+        const { check, issues } = detectNameInconsistencies(source, target);
+
+        expect(check).toBe('names::consistency');
+        expect(issues).toEqual([{
+            verse: '1:5',
+            type: 'spelling_variant',
+            name: 'Crete',
+            canonical: 'Crète',
+            source_name: 'Crete',
+            location: { path: '/content/2/content/9', start: 16, end: 21 },
+            comment: 'Name "Crete" is spelled "Crète" elsewhere in the book (1:5).',
+        }]);
+    });
+
+    test('Pair names through the source to group or keep apart close spellings', () => {
+        const { issues } = detectNameInconsistencies(source, target, { maxDistance: 2 });
+
+        expect(issues.map(({ verse, name, canonical, source_name }) => ({ verse, name, canonical, source_name }))).toEqual([
+            { verse: '1:3', name: 'Titus', canonical: 'Tite', source_name: 'Titus' },
+            { verse: '1:5', name: 'Crete', canonical: 'Crète', source_name: 'Crete' },
+        ]);
+        // Without the source, "Paul" and "Saul" look like one name
+        expect(detectNameInconsistencies(usfmVerses('TIT'), target).issues.map(({ name }) => name)).toEqual(['Saul', 'Crete']);
+    });
+
+    test('Take the canonical spelling from the names list', () => {
+        const { issues } = detectNameInconsistencies(source, target, { names: ['Crete'] });
+
+        expect(issues.map(({ verse, name, canonical }) => ({ verse, name, canonical }))).toEqual([
+            { verse: '1:2', name: 'Crète', canonical: 'Crete' },
+            { verse: '1:3', name: 'Crète', canonical: 'Crete' },
+        ]);
+        expect(issues[0]).toMatchObject({
+            type: 'non_canonical_spelling',
+            comment: 'Name "Crète" differs from the canonical spelling "Crete" (1:2).',
+        });
+
+        const hebrew = usfmVerses('TIT', 'וַיֵּלֶךְ שאול הָעִירָה', 'שָׁב שָׁאוּל');
+        expect(detectNameInconsistencies(usfmVerses('TIT'), hebrew, { names: ['שאול'] }).issues)
+            .toMatchObject([{ verse: '1:2', name: 'שָׁאוּל', canonical: 'שאול' }]);
+    });
+
+    test('Leave inflected forms of a name alone', () => {
+        const songs = usfmVerses('TIT', 'The Song of Songs.', 'A Song for the King.', 'Peter’s boat and Peter.');
+
+        expect(detectNameInconsistencies(usfmVerses('TIT'), songs, { names: ['Peter’s'] }).issues).toEqual([]);
+        expect(detectNameInconsistencies(usfmVerses('TIT'), usfmVerses('TIT', 'The Song.', 'The Sang.', 'The Song.')).issues)
+            .toMatchObject([{ name: 'Sang', canonical: 'Song' }]);
+    });
+
+    test('Run from a recipe with parameters', () => {
+        const result = checks(source, target, [
+            { name: 'names::consistency', enabled: true, parameters: { names: [{ name: 'Tite', source: 'Titus' }], max_distance: 2 } },
+        ]);
+
+        expect(result.checks[0].issues).toMatchObject([
+            { reference: 'TIT 1:3', name: 'Titus', canonical: 'Tite', source_name: 'Titus' },
+            { reference: 'TIT 1:5', name: 'Crete', canonical: 'Crète' },
+        ]);
+
+        const invalid = checks(source, target, [{ name: 'names::consistency', enabled: true, parameters: { names: ['Tite', 5] } }]);
+        expect(invalid.validation.errors).toMatchObject([{ path: '[0].parameters.names[1]', code: 'invalid_parameter' }]);
+        expect(invalid.checks).toMatchObject([{ error: 'invalid_parameters', issues: [{ parameter: 'names[1]' }] }]);
+        expect(() => detectNameInconsistencies(source, target, { names: [{ source: 'Titus' }] }))
+            .toThrow('Name entry at index 0 must be a name');
+    });
+});
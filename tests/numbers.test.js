@@ -0,0 +1,79 @@
+import { checks, findNumbers, findNumberWords, NUMBER_WORDS } from '../dist/index.js';
+import { parseEthiopicNumber } from '../dist/numbers.js';
+import { detectNumberMismatches } from '../dist/utils.js';
+import { usfmVerses } from './helpers.js';
+
+describe('Number Check Tests', () => {
+    const numbers = (text) => findNumbers(text).map(({ number }) => number);
+
+    test('Read decimal digits of every script and thousands separators', () => {
+        expect(numbers('42 ٤٢ ۴۲ ४२ ৪২ ๔๒ ༤༢ ４２')).toEqual(['42', '42', '42', '42', '42', '42', '42', '42']);
+        expect(numbers('10,000 10.000 10 000 10 000 ١٠٬٠٠٠')).toEqual(['10000', '10000', '10000', '10000', '10000']);
+        expect(numbers('1:5, 3rd, 12345,678 and 007')).toEqual(['1', '5', '12345', '678', '7']);
+        expect(findNumbers('በ፲፪ ቀን ፻')).toEqual([
+            { number: '12', text: '፲፪', start: 1, end: 3 },
+            { number: '100', text: '፻', start: 7, end: 8 },
+        ]);
+    });
+
+    test('Read Ethiopic numerals', () => {
+        expect(parseEthiopicNumber('፲፪')).toBe(12);
+        expect(parseEthiopicNumber('፻፵፬')).toBe(144);
+        expect(parseEthiopicNumber('፲፪፻፴፬')).toBe(1234);
+        expect(parseEthiopicNumber('፻፵፬፼')).toBe(1440000);
+        expect(parseEthiopicNumber('፲፪፻፴፬፼፶፮፻፸፰')).toBe(12345678);
+    });
+
+    test('Read numbers written as words', () => {
+        const read = (text, language) => findNumberWords(text, NUMBER_WORDS[language]).map(({ text: words, number }) => `${words}=${number}`);
+
+        expect(read('One hundred and forty-four thousand, two and three', 'en'))
+            .toEqual(['One hundred and forty-four thousand=144000', 'two=2', 'three=3']);
+        expect(read('quatre-vingt-dix-neuf brebis, vingt et un agneaux, deux cent mille', 'fr'))
+            .toEqual(['quatre-vingt-dix-neuf=99', 'vingt et un=21', 'deux cent mille=200000']);
+        expect(read('ciento veinte y treinta y dos', 'es')).toEqual(['ciento veinte=120', 'treinta y dos=32']);
+    });
+
+    test('Compare numbers by value across numeral systems', () => {
+        const source = usfmVerses('TIT', 'He chose 12 men and 10,000 soldiers.', 'They were 7.');
+        const target = usfmVerses('TIT', 'उसने १२ पुरुष और 10 000 सैनिक चुने।', 'वे ८ थे।');
+        const { issues } = detectNumberMismatches(source, target);
+
+        expect(issues).toEqual([{
+            verse: '1:2',
+            verse_text: 'They were 7.',
+            missing_numbers: [{ number: '7', position: 10 }],
+            extra_numbers: [{ number: '8', text: '८', position: 3 }],
+            location: { path: '/content/2/content/3', start: 3, end: 4 },
+            comment: 'Number mismatches detected. Missing: [7], Extra: [8]',
+        }]);
+    });
+
+    test('Match numbers written as words on the other side', () => {
+        const source = usfmVerses('TIT', 'He chose twelve men.', 'The 144,000 were sealed.');
+        const target = usfmVerses('TIT', 'Il choisit 12 hommes.', 'Les cent quarante-quatre mille furent marqués.');
+
+        expect(detectNumberMismatches(source, target).issues.map(({ verse }) => verse)).toEqual(['1:1', '1:2']);
+        expect(detectNumberMismatches(source, target, null, { sourceLanguage: 'en', targetLanguage: 'fr-CH' }).issues).toEqual([]);
+        expect(() => detectNumberMismatches(source, target, null, { targetLanguage: 'sw' })).toThrow('No number words for language "sw"');
+
+        const swahili = usfmVerses('TIT', 'Alichagua watu kumi.', 'Wale 144,000 walitiwa muhuri.');
+        const result = checks(usfmVerses('TIT', 'He chose 10 men.', 'The 144,000 were sealed.'), swahili, [{
+            name: 'numbers_check::mismatches',
+            enabled: true,
+            parameters: { target_language: 'sw', number_words: { sw: { 'kumi': 10 } } },
+        }]);
+        expect(result.checks).toEqual([]);
+        expect(result.validation).toBeUndefined();
+
+        const unknown = checks(swahili, swahili, [
+            { name: 'numbers_check::mismatches', enabled: true, parameters: { target_language: 'sw' } },
+            { name: 'chapterverse::missing_verses', enabled: true },
+        ]);
+        expect(unknown.validation.errors).toEqual([expect.objectContaining({
+            path: '[0].parameters.target_language',
+            message: 'Parameter "target_language" of check "numbers_check::mismatches" has no number words for "sw" (known: en, fr, es, pt).',
+        })]);
+        expect(unknown.checks).toMatchObject([{ name: 'numbers_check::mismatches', error: 'invalid_parameters' }]);
+    });
+});
@@ -0,0 +1,67 @@
+import { checks } from '../dist/index.js';
+import { detectPoetryLineStructure } from '../dist/poetry.js';
+import { summarize, usfm } from './helpers.js';
+
+describe('Poetry Line Structure Check Tests', () => {
+    const source = usfm('PSA',
+        String.raw`\c 1`,
+        String.raw`\q1 \v 1 Blessed is the man`,
+        String.raw`\q2 who walks not in the counsel of the wicked,`,
+        String.raw`\q1 nor stands in the way of sinners;`,
+        String.raw`\q1 \v 2 but his delight is in the law of the Lord,`,
+        String.raw`\q2 and on his law he meditates day and night.`,
+        String.raw`\q1 \v 3 He is like a tree`,
+        String.raw`\q2 planted by streams of water.`,
+        String.raw`\p \v 4 The wicked are not so, but are like chaff that the wind drives away.`,
+        String.raw`\q1 \v 5 Therefore the wicked will not stand in the judgment,`,
+        String.raw`\q2 nor sinners in the congregation of the righteous.`,
+    );
+    const target = usfm('PSA',
+        String.raw`\c 1`,
+        String.raw`\q1 \v 1 Heureux l'homme`,
+        String.raw`\q2 qui ne marche pas selon le conseil des méchants,`,
+        String.raw`\q1 \v 2 mais qui trouve son plaisir dans la loi de l'Éternel,`,
+        String.raw`\q1 et qui la médite jour et nuit !`,
+        String.raw`\p \v 3 Il est comme un arbre planté près d'un courant d'eau.`,
+        String.raw`\q1 \v 4 Il n'en est pas ainsi des méchants :`,
+        String.raw`\q2 ils sont comme la paille que le vent dissipe.`,
+        String.raw`\q1`,
+        String.raw`\q1 \v 5 C'est pourquoi les méchants ne résistent pas au jour du jugement,`,
+        String.raw`\q2 ni les pécheurs dans l'assemblée des justes.`,
+    );
+
+    test('Compare line counts, indents and prose or poetry layout per verse', () => {
+        const { check, issues } = detectPoetryLineStructure(source, target);
+
+        expect(check).toBe('poetry::line_structure');
+        expect(summarize(issues, 'place', 'type')).toEqual([
+            '1:1 line_count_mismatch',
+            '1:2 indent_mismatch',
+            '1:3 prose_for_poetry',
+            '1:4 poetry_for_prose',
+            '1:4 empty_poetry_line',
+        ]);
+        expect(issues[0]).toEqual({
+            verse: '1:1',
+            type: 'line_count_mismatch',
+            source_lines: ['q1', 'q2', 'q1'],
+            target_lines: ['q1', 'q2'],
+            location: { path: '/content/2/content/0' },
+            comment: 'Verse has 2 poetic lines, the source has 3 (1:1).',
+        });
+        expect(issues[1].comment).toBe('Poetic lines are indented q1 q1, the source q1 q2 (1:2).');
+        expect(issues[2].comment).toBe('Verse is laid out as prose, the source has poetic lines (1:3).');
+        expect(issues[4]).toMatchObject({ marker: 'q1', location: { path: '/content/9' }, comment: 'Poetic line \\q1 has no text (1:4).' });
+    });
+
+    test('Apply the line tolerance and skip indents when asked', () => {
+        const result = checks(source, target, [{
+            name: 'poetry::line_structure',
+            enabled: true,
+            parameters: { line_tolerance: 1, indents: false },
+        }]);
+
+        expect(summarize(result.checks[0].issues, 'place', 'type')).toEqual(['1:3 prose_for_poetry', '1:4 poetry_for_prose', '1:4 empty_poetry_line']);
+        expect(detectPoetryLineStructure(source, source).issues).toEqual([]);
+    });
+});
@@ -0,0 +1,156 @@
+import { checks, quoteLevels, validateRecipe } from '../dist/index.js';
+import { detectQuotationMarks } from '../dist/quotes.js';
+import { summarize, usfm } from './helpers.js';
+
+describe('Quotation Marks Check Tests', () => {
+    const fields = ['verse', 'type', 'mark'];
+
+    test('Accept correctly nested quotations and apostrophes', () => {
+        const target = usfm('TIT',
+            String.raw`\c 1`,
+            String.raw`\p \v 1 He said, “She told me, ‘He cried, “Go!” ’ ” The disciples’ boat didn’t move.`,
+        );
+
+        expect(detectQuotationMarks(target, { locale: 'en-US' }).issues).toEqual([]);
+    });
+
+    test('Report quotations opened at the wrong level', () => {
+        const target = usfm('TIT',
+            String.raw`\c 1`,
+            String.raw`\p \v 1 He said, ‘Go.’`,
+            String.raw`\v 2 She said, “He told me, “Stay.” ” `,
+        );
+        const { check, issues } = detectQuotationMarks(target, { locale: 'en' });
+
+        expect(check).toBe('textquality::quotation_marks');
+        expect(issues).toEqual([{
+            verse: '1:1',
+            type: 'wrong_level',
+            mark: '‘',
+            expected: '“',
+            location: { path: '/content/2/content/1', start: 9, end: 10 },
+            comment: 'Quotation mark "‘" opens a primary quotation, which takes "“" (1:1).',
+        }, {
+            verse: '1:2',
+            type: 'wrong_level',
+            mark: '“',
+            expected: '‘',
+            location: { path: '/content/2/content/3', start: 23, end: 24 },
+            comment: 'Quotation mark "“" opens a secondary quotation, which takes "‘" (1:2).',
+        }]);
+    });
+
+    test('Follow the conventions of the locale', () => {
+        const target = usfm('TIT',
+            String.raw`\c 1`,
+            String.raw`\p \v 1 Il dit : « Elle a crié : “Viens !” » Puis il dit "non".`,
+            String.raw`\v 2 Il répondit : Allez ! »`,
+        );
+
+        expect(summarize(detectQuotationMarks(target, { locale: 'fr', straightQuotes: false }).issues, ...fields)).toEqual([
+            '1:1 unexpected_mark "',
+            '1:1 unexpected_mark "',
+            '1:2 unmatched_closing »',
+        ]);
+        // Straight quotes stand for the French secondary “”, so they open a primary quotation at the wrong level
+        expect(summarize(detectQuotationMarks(target, { locale: 'fr' }).issues, ...fields)).toEqual([
+            '1:1 wrong_level "',
+            '1:2 unmatched_closing »',
+        ]);
+        expect(summarize(detectQuotationMarks(target, { locale: 'fr-CA' }).issues, ...fields)).toHaveLength(2);
+        expect(summarize(detectQuotationMarks(target, { levels: [['«', '»'], ['“', '”'], ['"', '"']] }).issues, ...fields)).toEqual([
+            '1:1 wrong_level "',
+            '1:2 unmatched_closing »',
+        ]);
+        expect(quoteLevels('de-AT')).toEqual(quoteLevels('de'));
+        expect(() => detectQuotationMarks(target, { locale: 'xx' })).toThrow('Unknown quotation locale "xx"');
+    });
+
+    test('Accept straight double quotes in place of curly ones', () => {
+        const target = usfm('TIT',
+            String.raw`\c 1`,
+            String.raw`\p \v 1 He said, "She told me, ‘Go.’ "`,
+            String.raw`\v 2 "Come," he said.`,
+            String.raw`\v 3 They left." And "they came back`,
+        );
+
+        expect(summarize(detectQuotationMarks(target).issues, ...fields)).toEqual([
+            '1:3 unmatched_closing "',
+            '1:3 unclosed "',
+        ]);
+        expect(detectQuotationMarks(target).issues[1].comment).toBe('Quotation mark """ opened in 1:3 is never closed.');
+        expect(summarize(detectQuotationMarks(target, { straightQuotes: false }).issues, ...fields)).toHaveLength(7);
+    });
+
+    test('Expect opening quotes to be repeated at each new paragraph of a speech', () => {
+        const target = usfm('TIT',
+            String.raw`\c 1`,
+            String.raw`\p \v 1 Il dit : « Écoutez.`,
+            String.raw`\p \v 2 « Le semeur sortit pour semer.`,
+            String.raw`\nb Il sema.`,
+            String.raw`\q1 Louez`,
+            String.raw`\q2 le Seigneur,`,
+            String.raw`\b`,
+            String.raw`\q1 « Chantez`,
+            String.raw`\q2 sa gloire.`,
+            String.raw`\m Et il se tut. »`,
+            String.raw`\p \v 3 Il dit encore : « Venez.`,
+            String.raw`\p \v 4 Ils vinrent.`,
+        );
+
+        expect(detectQuotationMarks(target, { locale: 'fr' }).issues).toEqual([{
+            verse: '1:3',
+            type: 'unclosed',
+            mark: '«',
+            location: { path: '/content/11/content/1', start: 16, end: 17 },
+            comment: 'Quotation mark "«" opened in 1:3 is never closed before the next paragraph, which does not repeat it.',
+        }]);
+
+        const unrepeated = usfm('TIT',
+            String.raw`\c 1`,
+            String.raw`\p \v 1 Il dit : « Écoutez.`,
+            String.raw`\p \v 2 Le semeur sortit pour semer. »`,
+        );
+        expect(summarize(detectQuotationMarks(unrepeated, { locale: 'fr' }).issues, ...fields)).toEqual([
+            '1:1 unclosed «',
+            '1:2 unmatched_closing »',
+        ]);
+        expect(detectQuotationMarks(unrepeated, { locale: 'fr', paragraphContinuation: false }).issues).toEqual([]);
+    });
+
+    test('Run the check from a recipe with its locale', () => {
+        const target = usfm('TIT', String.raw`\c 1`, String.raw`\p \v 1 Er sagte: „Komm!“`);
+        const recipe = [{ name: "textquality::quotation_marks", enabled: true, parameters: { locale: 'de' } }];
+
+        expect(checks(target, target, recipe).checks).toEqual([]);
+        recipe[0].parameters.locale = 'de-AT';
+        expect(checks(target, target, recipe)).toEqual({ checks: [] });
+        recipe[0].parameters.locale = 'xx';
+        const unknown = checks(target, target, recipe);
+        expect(unknown.validation.errors).toMatchObject([{ path: '[0].parameters.locale', code: 'invalid_parameter' }]);
+        expect(unknown.checks).toMatchObject([{ error: 'invalid_parameters', issues: [{ parameter: 'locale' }] }]);
+        recipe[0].parameters.locale = 'en';
+        expect(summarize(checks(target, target, recipe).checks[0].issues, ...fields)).toEqual([
+            '1:1 unexpected_mark „',
+            '1:1 unclosed “',
+        ]);
+    });
+
+    test('Refuse custom levels that are not pairs of marks', () => {
+        const target = usfm('TIT', String.raw`\c 1`, String.raw`\p \v 1 He said, “Go.”`);
+        const recipe = (levels) => [{ name: "textquality::quotation_marks", enabled: true, parameters: { levels } }];
+
+        expect(validateRecipe(recipe([])).errors.map(({ message }) => message)).toEqual([
+            'Parameter "levels" of check "textquality::quotation_marks" must list at least one `[opening, closing]` pair.',
+        ]);
+        expect(validateRecipe(recipe([['“', '”'], [1, 2], ['x'], ['<<', '>>']])).errors.map(({ path }) => path)).toEqual([
+            '[0].parameters.levels[1]',
+            '[0].parameters.levels[2]',
+            '[0].parameters.levels[3]',
+        ]);
+        expect(checks(target, target, recipe([])).checks).toMatchObject([{ error: 'invalid_parameters', issues: [{ parameter: 'levels' }] }]);
+        expect(checks(target, target, recipe([['“', '”']])).checks).toEqual([]);
+        expect(() => detectQuotationMarks(target, { levels: [['“']] }))
+            .toThrow('Quotation levels[0] must be an `[opening, closing]` pair of single characters');
+    });
+});
@@ -0,0 +1,120 @@
+import { checks, getAvailableChecks, registerCheck, unregisterCheck, getCheck, USJHandler } from '../dist/index.js';
+import fs from 'fs';
+import path from 'path';
+
+describe('Check Registry Tests', () => {
+    let targetText;
+
+    const forbiddenWords = {
+        name: "org::forbidden_words",
+        readName: "Forbidden words",
+        description: "Reports verses using words from an organisation blocklist.",
+        level: "minor",
+        parameters: {
+            words: { type: 'array', default: ['Dieu'], description: 'Words to report.' }
+        },
+        run: ({ target }, parameters) => {
+            const issues = [];
+            for (const [verse, text] of Object.entries(new USJHandler(target).extractVerses())) {
+                const found = parameters.words.filter(word => text.includes(word));
+                if (found.length > 0) {
+                    issues.push({ verse, words: found, comment: `Forbidden words: ${found.join(', ')}` });
+                }
+            }
+            return { issues };
+        }
+    };
+
+    beforeAll(() => {
+        targetText = fs.readFileSync(path.resolve(__dirname, './mock_data/SRC_FR_TIT.json'), 'utf8');
+        registerCheck(forbiddenWords);
+    });
+
+    afterAll(() => {
+        unregisterCheck(forbiddenWords.name);
+    });
+
+    test('Built-in checks are listed from the registry', () => {
+        const available = getAvailableChecks();
+
+        expect(available.map(c => c.name).slice(0, 7)).toEqual([
+            "versestats::verse_stats",
+            "chapterverse::integrity_check",
+            "chapterverse::missing_verses",
+            "textquality::repeated_words_whitespace",
+            "textquality::unmatched_punctuation",
+            "numbers_check::mismatches",
+            "footnote::quotation_mismatch"
+        ]);
+        expect(available[0]).toEqual({
+            name: "versestats::verse_stats",
+            readName: "Verse statistics",
+            description: "Checks for empty, short and long verses",
+            level: "minor",
+            enabled: false,
+            parameters: { short_threshold: 20 }
+        });
+        expect(available.every(c => c.enabled === false)).toBe(true);
+    });
+
+    test('Registered checks are listed and run like built-in ones', () => {
+        const available = getAvailableChecks();
+        expect(available.find(c => c.name === 'org::forbidden_words')).toEqual({
+            name: "org::forbidden_words",
+            readName: "Forbidden words",
+            description: "Reports verses using words from an organisation blocklist.",
+            level: "minor",
+            enabled: false,
+            parameters: { words: ['Dieu'] }
+        });
+
+        const result = checks(targetText, targetText, [
+            { name: "org::forbidden_words", enabled: true, parameters: { words: ['Crète'] } }
+        ]);
+        const check = result.checks[0];
+        expect(check.readName).toBe('Forbidden words');
+        expect(check.level).toBe('minor');
+        expect(check.issues[0]).toMatchObject({ verse: '1:5', words: ['Crète'], reference: 'TIT 1:5' });
+    });
+
+    test('Unknown checks produce a structured report entry', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const result = checks(targetText, targetText, [{ name: "textquality::typo", level: "minor", enabled: true }]);
+
+        expect(warn).not.toHaveBeenCalled();
+        warn.mockRestore();
+        expect(result.checks).toEqual([{
+            name: "textquality::typo",
+            readName: "textquality::typo",
+            description: '',
+            level: "minor",
+            error: 'unknown_check',
+            issues: [{
+                type: 'unknown_check',
+                comment: 'Unknown check "textquality::typo": no check is registered under this name.'
+            }]
+        }]);
+    });
+
+    test('Recipe parameters reach the check', () => {
+        const result = checks(targetText, targetText, [{
+            name: "textquality::unmatched_punctuation",
+            enabled: true,
+            parameters: { pair_punctuation_list: { '«': '»' } }
+        }]);
+
+        expect(result.checks).toEqual([]);
+    });
+
+    test('Reject invalid registrations', () => {
+        expect(() => registerCheck(forbiddenWords)).toThrow('check "org::forbidden_words" is already registered');
+        expect(() => registerCheck({ ...forbiddenWords, name: 'org::other', level: 'critical' })).toThrow('invalid level "critical"');
+        expect(() => registerCheck({ ...forbiddenWords, name: 'org::other', run: undefined })).toThrow('must provide a "run" function');
+        expect(() => registerCheck({ ...forbiddenWords, name: 'org::other', parameters: { words: { type: 'array', items: 'word' } } }))
+            .toThrow('invalid item type "word"');
+        expect(getCheck('org::other')).toBeUndefined();
+
+        const replaced = registerCheck({ ...forbiddenWords, level: 'major' }, { replace: true });
+        expect(getCheck('org::forbidden_words')).toBe(replaced);
+    });
+});
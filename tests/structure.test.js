@@ -0,0 +1,157 @@
+import fs from 'fs';
+import path from 'path';
+import { checks } from '../dist/index.js';
+import { detectStructureParity, detectUsjStructure } from '../dist/structure.js';
+import { summarize, usfm } from './helpers.js';
+
+describe('USJ Structure Check Tests', () => {
+    test('Accept well-formed documents', () => {
+        for (const file of ['example_tit.usfm', 'example_tit.usx', 'TAR_ENG_TITUS.json', 'sng_aligned.json']) {
+            const text = fs.readFileSync(path.resolve(__dirname, './mock_data', file), 'utf8');
+            expect(detectUsjStructure(text).issues).toEqual([]);
+        }
+    });
+
+    test('Report misplaced nodes, unknown markers and bad numbers with their path', () => {
+        const usj = {
+            type: 'USJ',
+            version: '3.0',
+            content: [
+                { type: 'para', marker: 'p', content: [{ type: 'verse', marker: 'v', number: '1' }, 'Paul.'] },
+                { type: 'book', marker: 'id', code: 'TIT', content: [] },
+                { type: 'chapter', marker: 'c', number: '1', content: [{ type: 'char', marker: 'nd', content: ['Lord'] }] },
+                { type: 'para', marker: 'p', content: [
+                    { type: 'verse', marker: 'v', number: '1' },
+                    { type: 'char', marker: 'ft', content: ['Note text'] },
+                    { type: 'char', marker: 'xyz', content: ['odd'] },
+                    { type: 'para', marker: 'q1', content: [] },
+                    { type: 'note', marker: 'f', caller: '+', content: [{ type: 'char', marker: 'ft', content: ['Fine.'] }] },
+                ] },
+                { type: 'chapter', marker: 'c', number: 'two' },
+                { type: 'para', marker: 'nd', content: [{ type: 'verse', marker: 'v', number: 'x' }, 42] },
+                { type: 'stanza', content: [] },
+            ],
+        };
+        const { check, issues } = detectUsjStructure(usj);
+
+        expect(check).toBe('structure::usj_schema');
+        expect(summarize(issues, ({ location }) => location.path, 'type')).toEqual([
+            '/content/1 missing_book',
+            '/content/0/content/0 verse_outside_chapter',
+            '/content/2/content/0 misplaced_node',
+            '/content/3/content/1 misplaced_node',
+            '/content/3/content/2 unknown_marker',
+            '/content/3/content/3 misplaced_node',
+            '/content/4 invalid_number',
+            '/content/5 marker_type_mismatch',
+            '/content/5/content/0 invalid_number',
+            '/content/5/content/1 invalid_node',
+            '/content/6 invalid_node',
+        ]);
+        expect(issues[2]).toEqual({
+            chapter: 1,
+            type: 'misplaced_node',
+            node_type: 'chapter',
+            marker: 'c',
+            location: { path: '/content/2/content/0' },
+            comment: 'A chapter node \\c cannot have content (chapter 1).',
+        });
+        expect(issues[3]).toMatchObject({ verse: '1:1', comment: 'Note content marker \\ft is outside a note (1:1).' });
+        expect(issues[5].comment).toBe('A para node \\q1 cannot be inside a para node \\p (1:1).');
+        expect(issues[7].comment).toBe('Marker \\nd cannot be used on a para node (1:1).');
+    });
+
+    test('Report documents without a book node or with untyped nodes instead of throwing', () => {
+        const usj = { type: 'USJ', content: [{ marker: 'c', number: '1' }, { marker: 'v', number: '1' }, 'In the beginning.'] };
+
+        expect(detectUsjStructure(usj).issues.map(({ type, verse, chapter }) => `${verse ?? chapter ?? '-'} ${type}`)).toEqual([
+            '- missing_book',
+            '1 invalid_node',
+            '1:1 invalid_node',
+            '1:1 misplaced_node',
+            '1:1 misplaced_node',
+        ]);
+
+        const target = String.raw`\id TIT` + '\n' + String.raw`\p \v 1 Paul.` + '\n' + String.raw`\c 1` + '\n' + String.raw`\p \v 1 Paul.`;
+        const result = checks(target, target, [
+            { name: 'chapterverse::integrity_check', enabled: true },
+            { name: 'structure::usj_schema', enabled: true },
+        ]);
+        expect(result.checks.map(({ name, issues }) => `${name} ${issues.map(({ type }) => type)}`))
+            .toEqual(['structure::usj_schema verse_outside_chapter']);
+    });
+});
+
+describe('Structure Parity Check Tests', () => {
+    const source = usfm('TIT',
+        String.raw`\c 1`,
+        String.raw`\s1 Greeting`,
+        String.raw`\p \v 1 Paul. \v 2 Hope.`,
+        String.raw`\p \v 3 Word.`,
+        String.raw`\s1 Elders`,
+        String.raw`\r (1 Tim 3:1-7)`,
+        String.raw`\p \v 4 Titus. \v 5 Crete.`,
+        String.raw`\q1 A poem line`,
+        String.raw`\q2 and another \v 6 Six.`,
+        String.raw`\c 2`,
+        String.raw`\p \v 1 Speak.`,
+    );
+    const target = usfm('TIT',
+        String.raw`\c 1`,
+        String.raw`\s1 Salutation`,
+        String.raw`\p \v 1 Paul. \v 2 Espoir. \v 3 Parole.`,
+        String.raw`\s Anciens`,
+        String.raw`\p \v 4 Tite.`,
+        String.raw`\p \v 5 Crète. Un poème \v 6 Six.`,
+        String.raw`\c 2`,
+        String.raw`\s1 Parler`,
+        String.raw`\p \v 1 Parle.`,
+    );
+
+    test('Report headings and paragraph breaks missing or added in the target', () => {
+        const { check, issues } = detectStructureParity(source, target);
+
+        expect(check).toBe('structure::parity');
+        expect(summarize(issues, 'place', 'type', 'marker')).toEqual([
+            '1:3 missing_paragraph_break',
+            '1:4 missing_heading r',
+            '1:5 extra_paragraph_break',
+            '2:1 extra_heading s1',
+        ]);
+        expect(issues[0]).toEqual({
+            verse: '1:3',
+            type: 'missing_paragraph_break',
+            location: { path: '/content/3/content/4' },
+            comment: 'The source starts a paragraph before 1:3, the target does not.',
+        });
+        expect(issues[1]).toMatchObject({
+            source_text: '(1 Tim 3:1-7)',
+            location: { path: '/content/5/content/0' },
+            comment: 'Source heading \\r "(1 Tim 3:1-7)" has no counterpart in the target (before 1:4).',
+        });
+        expect(issues[3]).toMatchObject({
+            text: 'Parler',
+            location: { path: '/content/8' },
+            comment: 'Heading \\s1 "Parler" has no counterpart in the source (before 2:1).',
+        });
+    });
+
+    test('Apply the verse tolerance and the compared kinds', () => {
+        const run = (parameters) => summarize(
+            checks(source, target, [{ name: 'structure::parity', enabled: true, parameters }]).checks[0]?.issues || [],
+            'place', 'type', 'marker',
+        );
+
+        expect(run({ verse_tolerance: 1 })).toEqual(['1:4 missing_heading r', '2:1 extra_heading s1']);
+        expect(run({ headings: false })).toEqual(['1:3 missing_paragraph_break', '1:5 extra_paragraph_break']);
+        expect(run({ paragraphs: false, headings: false })).toEqual([]);
+
+        // Both source poetry lines fall within 1:5 and are reported once
+        const poetry = detectStructureParity(source, target, null, { poetry: true, headings: false }).issues;
+        expect(poetry.map(({ comment }) => comment)).toEqual([
+            'The source starts a paragraph before 1:3, the target does not.',
+            'The target starts a paragraph before 1:5, the source does not.',
+            'The source starts a paragraph within 1:5, the target does not.',
+        ]);
+    });
+});
@@ -0,0 +1,84 @@
+import { checks, issueFingerprint, parseSuppressions, suppressionFor } from '../dist/index.js';
+import { main } from '../dist/cli.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+describe('Issue Suppression Tests', () => {
+    let sourceText, targetText;
+
+    const recipe = [
+        { name: "textquality::repeated_words_whitespace", enabled: true },
+        { name: "chapterverse::integrity_check", enabled: true },
+    ];
+    const repeatedWords = (report) => report.checks.find((check) => check.name === 'textquality::repeated_words_whitespace');
+
+    beforeAll(() => {
+        sourceText = fs.readFileSync(path.resolve(__dirname, './mock_data/TAR_ENG_TITUS.json'), 'utf8');
+        targetText = fs.readFileSync(path.resolve(__dirname, './mock_data/SRC_FR_TIT.json'), 'utf8');
+    });
+
+    test('fingerprints ignore references, offsets and measurements', () => {
+        const issue = { verse: '1:2', repeated_words: ['of'], positions: [3], comment: 'Consecutive repeated words: of' };
+        const moved = { ...issue, verse: '1:2', positions: [7], location: { path: '/content/9', start: 2, end: 7 } };
+
+        expect(issueFingerprint('a::b', issue)).toMatch(/^[0-9a-f]{16}$/);
+        expect(issueFingerprint('a::b', moved)).toBe(issueFingerprint('a::b', issue));
+        expect(issueFingerprint('a::b', { ...issue, repeated_words: ['in'] })).not.toBe(issueFingerprint('a::b', issue));
+        expect(issueFingerprint('a::c', issue)).not.toBe(issueFingerprint('a::b', issue));
+    });
+
+    test('hides accepted issues, counts them and reports stale suppressions', () => {
+        const baseline = checks(sourceText, targetText, recipe);
+        const accepted = repeatedWords(baseline).issues.find((issue) => issue.reference === 'TIT 3:3');
+        const suppressions = {
+            suppressions: [
+                suppressionFor('textquality::repeated_words_whitespace', accepted, { justification: 'Intentional "nous nous".', reviewer: 'ML' }),
+                { check: "textquality::repeated_words_whitespace", reference: 'TIT 2:7', fingerprint: '0000000000000000' },
+                // Not stale: the check did not run
+                { check: "versestats::verse_stats", reference: 'TIT 1:1', fingerprint: '0000000000000000' },
+            ],
+        };
+
+        const report = checks(sourceText, targetText, recipe, { suppressions: JSON.stringify(suppressions) });
+        const entry = repeatedWords(report);
+
+        expect(entry.suppressed).toBe(1);
+        expect(entry.issues).toHaveLength(repeatedWords(baseline).issues.length - 1);
+        expect(entry.issues.find((issue) => issue.reference === 'TIT 3:3')).toBeUndefined();
+        expect(report.suppressions.applied).toBe(1);
+        expect(report.suppressions.stale).toEqual([suppressions.suppressions[1]]);
+
+        const shown = checks(sourceText, targetText, recipe, { suppressions, showSuppressed: true });
+        expect(repeatedWords(shown).issues.find((issue) => issue.reference === 'TIT 3:3').suppressed)
+            .toEqual({ justification: 'Intentional "nous nous".', reviewer: 'ML' });
+    });
+
+    test('rejects malformed suppressions files', () => {
+        expect(() => parseSuppressions({ accepted: [] })).toThrow('Suppressions must be an array');
+        expect(() => parseSuppressions([{ check: 'a', reference: 'TIT 1:1' }]))
+            .toThrow('Suppression at index 0 needs a "fingerprint" string');
+    });
+
+    test('the CLI applies a suppressions file and keeps accepted issues out of --fail-on', () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bible-checker-'));
+        const file = path.join(directory, 'suppressions.json');
+        const report = checks(sourceText, targetText, [recipe[0]]);
+        fs.writeFileSync(file, JSON.stringify(repeatedWords(report).issues
+            .map((issue) => suppressionFor('textquality::repeated_words_whitespace', issue))));
+
+        let stderr = '';
+        const io = { stdout: () => {}, stderr: (text) => { stderr += text; }, cwd: path.resolve(__dirname, './mock_data') };
+        const args = ['check', '--source', 'TAR_ENG_TITUS.json', '--target', 'SRC_FR_TIT.json',
+            '--enable', 'textquality::repeated_words_whitespace', '--fail-on', 'minor'];
+
+        try {
+            expect(main(args, io)).toBe(1);
+            expect(main([...args, '--suppressions', file], io)).toBe(0);
+            expect(main([...args, '--suppressions', file, '--show-suppressed'], io)).toBe(0);
+            expect(stderr).toBe('');
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+});
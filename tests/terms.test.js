@@ -0,0 +1,115 @@
+import { checks, parseGlossary, validateRecipe } from '../dist/index.js';
+import { detectKeyTerms } from '../dist/terms.js';
+
+describe('Key Terms Check Tests', () => {
+    const source = [
+        String.raw`\id TIT`,
+        String.raw`\c 1`,
+        String.raw`\p`,
+        String.raw`\v 1 Grace and peace to you.`,
+        String.raw`\v 2 The grace of God has appeared.`,
+        String.raw`\v 3 He keeps his covenant.`,
+        String.raw`\v 4 Disgraceful words.`,
+    ].join('\n');
+    const target = [
+        String.raw`\id TIT`,
+        String.raw`\c 1`,
+        String.raw`\p`,
+        String.raw`\v 1 Que la Grâce et la paix soient avec vous.`,
+        String.raw`\v 2 Le don gratuit de Dieu est apparu.`,
+        String.raw`\v 3 Il garde ses alliances.`,
+        String.raw`\v 4 Des paroles honteuses.`,
+    ].join('\n');
+    const glossary = [
+        { term: 'grace', renderings: ['grâce'] },
+        { term: 'covenant', renderings: ['alliance'], patterns: ['alliances?'] },
+    ];
+
+    test('Report verses where the source term has no approved rendering', () => {
+        const { check, issues } = detectKeyTerms(source, target, glossary);
+
+        expect(check).toBe('terms::key_terms');
+        expect(issues).toEqual([{
+            verse: '1:2',
+            term: 'grace',
+            expected_renderings: ['grâce'],
+            location: { path: '/content/2/content/2' },
+            comment: 'Key term "grace" is in the source but none of its approved renderings is in the target (1:2): grâce',
+        }]);
+    });
+
+    test('Match renderings as whole words unless an inflection pattern allows more', () => {
+        const strict = [{ term: 'covenant', renderings: ['alliance'] }];
+
+        expect(detectKeyTerms(source, target, strict).issues).toMatchObject([
+            { verse: '1:3', term: 'covenant', expected_renderings: ['alliance'] },
+        ]);
+        expect(detectKeyTerms(source, target, glossary).issues.map(({ verse }) => verse)).toEqual(['1:2']);
+    });
+
+    test('Find source terms by lemma', () => {
+        const greek = [
+            String.raw`\id TIT`,
+            String.raw`\c 1`,
+            String.raw`\p`,
+            String.raw`\v 1 \w χάρις|lemma="χάρις"\w* \w ὑμῖν|lemma="σύ"\w*`,
+            String.raw`\v 2 \w ἡ|lemma="ὁ"\w* \w χάρις|lemma="χάρις"\w* \w τοῦ|lemma="ὁ"\w* \w θεοῦ|lemma="θεός"\w*`,
+        ].join('\n');
+
+        const { issues } = detectKeyTerms(greek, target, [{ lemma: 'χάρις', renderings: ['grâce'] }]);
+
+        expect(issues).toMatchObject([{ verse: '1:2', term: 'χάρις' }]);
+    });
+
+    test('Pair bridged verses and read the glossary from the recipe', () => {
+        const bridged = [
+            String.raw`\id TIT`,
+            String.raw`\c 1`,
+            String.raw`\p`,
+            String.raw`\v 1-2 Que la grâce et la paix soient avec vous, car le don de Dieu est apparu.`,
+            String.raw`\v 3 Il garde son alliance.`,
+        ].join('\n');
+
+        const report = checks(source, bridged, [{ name: 'terms::key_terms', enabled: true, parameters: { glossary } }]);
+        expect(report).toEqual({ checks: [] });
+        expect(checks(source, bridged, [
+            { name: 'terms::key_terms', enabled: true, parameters: { glossary: { terms: glossary } } },
+        ])).toEqual({ checks: [] });
+    });
+
+    test('Report incomplete glossary entries of a recipe without running the check', () => {
+        const recipe = [{ name: 'terms::key_terms', enabled: true, parameters: { glossary: [glossary[0], { term: 'grace' }, 'faith'] } }];
+
+        expect(validateRecipe(recipe).errors).toEqual([
+            expect.objectContaining({
+                path: '[0].parameters.glossary[1]',
+                message: 'Parameter "glossary[1]" of check "terms::key_terms" needs "renderings" or "patterns".',
+            }),
+            expect.objectContaining({ path: '[0].parameters.glossary[2]', code: 'invalid_parameter' }),
+        ]);
+        expect(validateRecipe([{ ...recipe[0], parameters: { glossary: { terms: [{ lemma: 'χάρις' }] } } }]).errors)
+            .toMatchObject([{ path: '[0].parameters.glossary.terms[0]' }]);
+
+        const report = checks(source, source, recipe);
+        expect(report.checks).toMatchObject([{
+            name: 'terms::key_terms',
+            error: 'invalid_parameters',
+            issues: [
+                { type: 'invalid_parameter', parameter: 'glossary[1]' },
+                { type: 'invalid_parameter', parameter: 'glossary[2]' },
+            ],
+        }]);
+        expect(report.validation.errors).toHaveLength(2);
+    });
+
+    test('Reject incomplete glossary entries', () => {
+        expect(parseGlossary(JSON.stringify({ terms: glossary }))).toEqual([
+            { term: 'grace', lemma: null, renderings: ['grâce'], patterns: [] },
+            { term: 'covenant', lemma: null, renderings: ['alliance'], patterns: ['alliances?'] },
+        ]);
+        expect(() => parseGlossary({ glossary })).toThrow('Glossary must be an array or an object with a "terms" array');
+        expect(() => parseGlossary([{ renderings: ['grâce'] }])).toThrow('Glossary entry at index 0 needs a "term" or "lemma" string');
+        expect(() => parseGlossary([{ term: 'grace' }])).toThrow('Glossary entry at index 0 needs "renderings" or "patterns"');
+        expect(() => parseGlossary([{ term: 'grace', patterns: ['grâce('] }])).toThrow('Glossary entry at index 0 has an invalid pattern "grâce("');
+    });
+});
@@ -0,0 +1,91 @@
+import { checks, parseUSFM, parseDocument, detectFormat, USJHandler } from '../dist/index.js';
+import fs from 'fs';
+import path from 'path';
+
+describe('USFM Input Tests', () => {
+    let usfmText;
+
+    beforeAll(() => {
+        usfmText = fs.readFileSync(path.resolve(__dirname, './mock_data/example_tit.usfm'), 'utf8');
+    });
+
+    test('Detect USFM and USJ formats', () => {
+        expect(detectFormat(usfmText)).toBe('usfm');
+        expect(detectFormat('{"type": "USJ", "content": []}')).toBe('usj');
+        expect(() => detectFormat('plain text')).toThrow('Unable to detect document format');
+    });
+
+    test('Parse USFM into the USJ tree', () => {
+        const usj = parseUSFM(usfmText);
+
+        expect(usj.content[0]).toEqual({ type: 'book', marker: 'id', code: 'TIT', content: ['EN_ULT sample'] });
+        expect(usj.content.filter(item => item.marker === 'c').map(item => item.number)).toEqual(['1', '2']);
+
+        const firstPara = usj.content.find(item => item.marker === 'p');
+        expect(firstPara.content[0]).toEqual({ type: 'verse', marker: 'v', number: '1', sid: 'TIT 1:1' });
+        expect(firstPara.content[2]).toEqual({
+            type: 'char',
+            marker: 'w',
+            content: ['servant'],
+            lemma: 'δοῦλος',
+            strong: 'G14010'
+        });
+
+        const note = firstPara.content.find(item => item.marker === 'f');
+        expect(note.caller).toBe('+');
+        expect(note.content.map(item => item.marker)).toEqual(['fr', 'ft', 'fq']);
+    });
+
+    test('USJHandler accepts USFM text', () => {
+        const handler = new USJHandler(usfmText);
+
+        expect(handler.nbchapters()).toBe(2);
+        expect(handler.verse('1:2')).toBe(
+            'They are in hope of eternal life that God, who does not lie, promised before all the ages of time.'
+        );
+        expect(handler.extractVerses()['1:1']).toBe(
+            'Paul, a servant of God and an apostle of Jesus Christ, for the faith of the chosen people of God.'
+        );
+    });
+
+    test('checks() gives the same report for USFM and equivalent USJ', () => {
+        const recipe = [
+            {
+                name: "versestats::verse_stats",
+                level: "minor",
+                enabled: true,
+                parameters: { short_threshold: 20 }
+            },
+            {
+                name: "textquality::repeated_words_whitespace",
+                level: "minor",
+                enabled: true
+            }
+        ];
+        const usjText = JSON.stringify(parseDocument(usfmText));
+        const target = usfmText.replace('eternal life', 'eternal eternal life');
+
+        expect(checks(usfmText, target, recipe)).toEqual(checks(usjText, target, recipe, { sourceFormat: 'usj' }));
+
+        const result = checks(usfmText, target, recipe, { format: 'usfm' });
+        const repeated = result.checks.find(c => c.name === 'textquality::repeated_words_whitespace');
+        expect(repeated.issues[0].verse).toBe('1:2');
+        expect(repeated.issues[0].repeated_words).toEqual(['eternal']);
+    });
+
+    test('Parse errors report line and column', () => {
+        const broken = '\\id TIT\n\\c 1\n\\p\n\\v 1 Paul, a \\w servant\\add* of God';
+
+        expect(() => parseUSFM(broken)).toThrow('Closing marker \\add* has no matching opening marker (line 4, column 24)');
+        let error;
+        try {
+            checks(broken, broken, []);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).toMatch(/^Invalid input: /);
+        expect(error.cause.line).toBe(4);
+        expect(error.cause.column).toBe(24);
+        expect(() => parseUSFM('\\id TIT\n\\c 1\n\\p\n\\v 1 Text\\f + \\ft note\n\\p More')).toThrow('Unclosed note \\f before \\p (line 4, column 10)');
+    });
+});
@@ -65,3 +65,89 @@ describe('USJHandler Core Functionality Tests', () => {
         expect(invalidChapter).toBe('');
     });
 });
+
+describe('USJHandler Verse Bridges and Segments', () => {
+    let handler;
+
+    beforeAll(() => {
+        handler = new USJHandler([
+            '\\id TIT',
+            '\\c 1',
+            '\\p',
+            '\\v 1 First verse.',
+            '\\v 2 Second verse.',
+            '\\v 3-4 Third and fourth verses.',
+            '\\v 5a Fifth verse, first part;',
+            '\\v 5b fifth verse, second part.',
+            '\\v 6 Sixth verse.'
+        ].join('\n'));
+    });
+
+    test('Count bridged verses once per covered verse and segments once', () => {
+        expect(handler.nbverses()).toBe(6);
+    });
+
+    test('Extract a verse covered by a bridge or split in segments', () => {
+        expect(handler.verse('1:3')).toBe('Third and fourth verses.');
+        expect(handler.verse('1:4')).toBe('Third and fourth verses.');
+        expect(handler.verse('1:5')).toBe('Fifth verse, first part; fifth verse, second part.');
+        expect(handler.verse('1:5b')).toBe('fifth verse, second part.');
+    });
+
+    test('Extract a range overlapping a bridge', () => {
+        expect(handler.verseRange('1:4-1:5')).toBe(
+            'Third and fourth verses. Fifth verse, first part; fifth verse, second part.'
+        );
+    });
+});
+
+describe('USJHandler Verse Map', () => {
+    test('Map verse text back to the string nodes it comes from', () => {
+        const handler = new USJHandler([
+            '\\id TIT',
+            '\\c 1',
+            '\\p',
+            '\\v 1 Paul, a servant of \\w God|lemma="theos"\\w* and an apostle.',
+            '\\v 2 In hope\\f + \\fr 1:2 \\ft A note.\\f* of life.'
+        ].join('\n'));
+        const verses = handler.extractVerseMap();
+
+        expect(verses['1:1']).toEqual({
+            text: 'Paul, a servant of God and an apostle.',
+            path: '/content/2/content/0',
+            segments: [
+                { path: '/content/2/content/1', offset: 0 },
+                { path: '/content/2/content/2/content/0', offset: 19 },
+                { path: '/content/2/content/3', offset: 22 },
+            ],
+        });
+        expect(verses['1:2'].text).toBe(handler.extractVerses()['1:2']);
+        expect(handler.extractChapterPaths()).toEqual({ 1: '/content/1' });
+    });
+
+    test('Keep the last verse of every chapter', () => {
+        const handler = new USJHandler([
+            '\\id TIT',
+            '\\c 1',
+            '\\p \\v 1 Paul. \\v 2 Titus.',
+            '\\c 2',
+            '\\p \\v 1 Speak.'
+        ].join('\n'));
+
+        expect(handler.extractVerses()).toEqual({ '1:1': 'Paul.', '1:2': 'Titus.', '2:1': 'Speak.' });
+        expect(handler.extractVerseMap()['1:2'].path).toBe('/content/2/content/2');
+    });
+
+    test('Leave verses before the first chapter out of the chapters', () => {
+        const handler = new USJHandler([
+            '\\id TIT',
+            '\\p \\v 1 Paul.',
+            '\\c 1',
+            '\\p \\v 1 Paul. \\v 2 Titus.'
+        ].join('\n'));
+
+        expect(handler.extractChapterVerseNodes()).toEqual({
+            1: [{ verse: 1, path: '/content/3/content/0' }, { verse: 2, path: '/content/3/content/2' }],
+        });
+    });
+});
@@ -0,0 +1,76 @@
+import { checks, parseUSX, parseDocument, detectFormat, USJHandler } from '../dist/index.js';
+import fs from 'fs';
+import path from 'path';
+
+describe('USX Input Tests', () => {
+    let usxText, usfmText;
+
+    beforeAll(() => {
+        usxText = fs.readFileSync(path.resolve(__dirname, './mock_data/example_tit.usx'), 'utf8');
+        usfmText = fs.readFileSync(path.resolve(__dirname, './mock_data/example_tit.usfm'), 'utf8');
+    });
+
+    test('Detect USX format', () => {
+        expect(detectFormat(usxText)).toBe('usx');
+    });
+
+    test('Map USX elements to USJ nodes', () => {
+        const usj = parseUSX(usxText);
+
+        expect(usj.content[0]).toEqual({ type: 'book', marker: 'id', code: 'TIT', content: ['EN_ULT sample'] });
+        expect(usj.content.filter(item => item.type === 'chapter')).toEqual([
+            { type: 'chapter', marker: 'c', number: '1', sid: 'TIT 1' },
+            { type: 'chapter', marker: 'c', number: '2', sid: 'TIT 2' }
+        ]);
+
+        const firstPara = usj.content.find(item => item.marker === 'p');
+        const verses = firstPara.content.filter(item => item.type === 'verse');
+        expect(verses.map(item => item.number)).toEqual(['1', '2', '3', '4']);
+        expect(firstPara.content[2]).toEqual({
+            type: 'char',
+            marker: 'w',
+            lemma: 'δοῦλος',
+            strong: 'G14010',
+            content: ['servant']
+        });
+
+        const note = firstPara.content.find(item => item.type === 'note');
+        expect(note.marker).toBe('f');
+        expect(note.caller).toBe('+');
+        expect(note.content.map(item => item.marker)).toEqual(['fr', 'ft', 'fq']);
+        expect(usj.content.find(item => item.marker === 's1').content).toEqual(["Titus's task in Crete"]);
+    });
+
+    test('USX yields the same verses as the equivalent USFM', () => {
+        const fromUsx = new USJHandler(usxText);
+        const fromUsfm = new USJHandler(usfmText);
+
+        expect(fromUsx.extractVerses()).toEqual(fromUsfm.extractVerses());
+        expect(fromUsx.extractFootnotes()).toEqual(fromUsfm.extractFootnotes());
+    });
+
+    test('Checks run on a USX source paired with a USJ target', () => {
+        const recipe = [
+            {
+                name: "chapterverse::missing_verses",
+                level: "major",
+                enabled: true
+            }
+        ];
+        const target = parseDocument(usfmText);
+        target.content.splice(target.content.findIndex(item => item.marker === 's1'), 2);
+
+        const result = checks(usxText, JSON.stringify(target), recipe);
+        const missing = result.checks.find(c => c.name === 'chapterverse::missing_verses');
+        expect(missing.issues).toHaveLength(1);
+        expect(missing.issues[0].verse).toBe(5);
+    });
+
+    test('Parse errors report line and column', () => {
+        expect(() => parseUSX('<usx>\n  <para style="p">Text</char>\n</usx>')).toThrow(
+            'Closing tag </char> does not match <para> (line 2, column 23)'
+        );
+        expect(() => parseUSX('<usx>\n<para style="p">')).toThrow('Unclosed element <para> (line 2, column 1)');
+        expect(() => parseUSX('<book code="TIT"/>')).toThrow('Expected <usx> root element');
+    });
+});
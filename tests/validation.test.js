@@ -0,0 +1,100 @@
+import { checks, validateRecipe, getAvailableChecks } from '../dist/index.js';
+import fs from 'fs';
+import path from 'path';
+
+describe('Recipe Validation Tests', () => {
+    let sourceText, targetText;
+
+    beforeAll(() => {
+        sourceText = fs.readFileSync(path.resolve(__dirname, './mock_data/SRC_FR_TIT.json'), 'utf8');
+        targetText = fs.readFileSync(path.resolve(__dirname, './mock_data/TAR_ENG_TITUS.json'), 'utf8');
+    });
+
+    test('accepts the recipe returned by getAvailableChecks once a check is enabled', () => {
+        const recipe = getAvailableChecks();
+        recipe[0].enabled = true;
+        expect(validateRecipe(recipe)).toEqual({ valid: true, errors: [], warnings: [] });
+    });
+
+    test('reports misspelled checks and parameters with a path and a suggestion', () => {
+        const recipe = [
+            { name: "versestats::verse_stats", enabled: true, parameters: { short_treshold: 10 } },
+            { name: "missing_verse", enabled: true },
+        ];
+        const { valid, errors } = validateRecipe(recipe);
+
+        expect(valid).toBe(false);
+        expect(errors).toEqual([
+            expect.objectContaining({ index: 0, path: '[0].parameters.short_treshold', code: 'unknown_parameter' }),
+            expect.objectContaining({ index: 1, path: '[1].name', code: 'unknown_check' }),
+        ]);
+        expect(errors[0].message).toContain('Did you mean "short_threshold"?');
+        expect(errors[1].message).toContain('Did you mean "chapterverse::missing_verses"?');
+    });
+
+    test('checks parameter types, ranges, levels and versifications', () => {
+        const recipe = {
+            versification: { source: 'eng', target: 'klingon' },
+            checks: [
+                { name: "versestats::verse_stats", enabled: 'yes', level: 'critical', parameters: { short_threshold: -5 } },
+                { name: "textquality::unmatched_punctuation", enabled: true, parameters: { pair_punctuation_list: null } },
+                { name: "chapterverse::integrity_check", enabled: true, parameters: [] },
+            ],
+        };
+        const { errors } = validateRecipe(recipe);
+
+        expect(errors.map((error) => error.path)).toEqual([
+            'versification.target',
+            'checks[0].enabled',
+            'checks[0].level',
+            'checks[0].parameters.short_threshold',
+            'checks[2].parameters',
+        ]);
+        expect(errors[3].message).toContain('must be at least 0');
+    });
+
+    test('requires punctuation pairs of single characters', () => {
+        const recipe = (pairs) => [{ name: "textquality::unmatched_punctuation", enabled: true, parameters: { pair_punctuation_list: pairs } }];
+        const { errors } = validateRecipe(recipe({ '(': 1, '<<': '>>', '[': ']', '‹': '' }));
+
+        expect(errors.map((error) => error.path)).toEqual([
+            '[0].parameters.pair_punctuation_list["("]',
+            '[0].parameters.pair_punctuation_list["<<"]',
+            '[0].parameters.pair_punctuation_list["‹"]',
+        ]);
+        expect(errors[0].message).toContain('must map a single opening character to a single closing character');
+        expect(validateRecipe(recipe({ '(': ')', '‹': '›' })).valid).toBe(true);
+    });
+
+    test('warns about duplicates, unknown fields and recipes that enable nothing', () => {
+        const { valid, warnings } = validateRecipe([
+            { name: "chapterverse::missing_verses", enabled: false, parametres: {} },
+            { name: "chapterverse::missing_verses", enabled: false },
+        ]);
+
+        expect(valid).toBe(true);
+        expect(warnings.map((warning) => warning.code)).toEqual(['unknown_field', 'duplicate_check', 'nothing_enabled']);
+    });
+
+    test('rejects recipes of the wrong shape', () => {
+        expect(validateRecipe('{').errors[0].code).toBe('invalid_json');
+        expect(validateRecipe({ checks: 'all' }).errors[0]).toMatchObject({ path: 'checks', code: 'invalid_recipe' });
+        expect(validateRecipe([null]).errors[0]).toMatchObject({ index: 0, code: 'invalid_entry' });
+    });
+
+    test('checks() attaches validation problems to the report', () => {
+        const recipe = [{ name: "versestats::verse_stats", enabled: true, parameters: { short_treshold: 10 } }];
+        const result = checks(sourceText, targetText, JSON.stringify(recipe));
+
+        expect(result.validation.errors).toHaveLength(1);
+        expect(result.checks.length).toBeGreaterThan(0);
+    });
+
+    test('checks() throws on an invalid recipe in strict mode', () => {
+        const recipe = [{ name: "versestats::verse_stats", enabled: true, parameters: { short_threshold: '20' } }];
+
+        expect(() => checks(sourceText, targetText, recipe, { strict: true }))
+            .toThrow('Invalid input: Invalid recipe: [0].parameters.short_threshold: Parameter "short_threshold" of check "versestats::verse_stats" expected a number, got string.');
+        expect(() => checks(sourceText, targetText, getAvailableChecks(), { strict: true })).not.toThrow();
+    });
+});
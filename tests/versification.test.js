@@ -0,0 +1,109 @@
+import { checks, createVerseMapper, formatReport, parseVrs, getVersification } from '../dist/index.js';
+
+function buildUsfm(book, chapters) {
+    let usfm = `\\id ${book}\n`;
+    for (const [chapter, verses] of Object.entries(chapters)) {
+        usfm += `\\c ${chapter}\n\\p\n`;
+        for (const [verse, text] of verses) {
+            usfm += `\\v ${verse} ${text}\n`;
+        }
+    }
+    return usfm;
+}
+
+describe('Versification Mapping Tests', () => {
+    const verseText = (n) => `This is the text of verse number ${n} with about the same length.`;
+    const range = (start, end, offset = 0) =>
+        Array.from({ length: end - start + 1 }, (_, i) => [start + i, verseText(start + i + offset)]);
+
+    // Malachi 3:19-24 in the original versification is Malachi 4:1-6 in English
+    const originalMalachi = buildUsfm('MAL', { 3: range(1, 24) });
+    const englishMalachi = buildUsfm('MAL', { 3: range(1, 18), 4: range(1, 6, 18) });
+
+    const recipeChecks = [
+        { name: "chapterverse::missing_verses", level: "major", enabled: true },
+        { name: "versestats::verse_stats", level: "minor", enabled: true, parameters: { short_threshold: 20 } }
+    ];
+
+    test('Map references through the original versification', () => {
+        const engToOrg = createVerseMapper('eng', 'org');
+        const orgToEng = createVerseMapper('org', 'eng');
+
+        expect(engToOrg('MAL', 4, 5)).toEqual({ book: 'MAL', chapter: 3, verse: 23 });
+        expect(orgToEng('MAL', 3, 19)).toEqual({ book: 'MAL', chapter: 4, verse: 1 });
+        expect(orgToEng('PSA', 51, 3)).toEqual({ book: 'PSA', chapter: 51, verse: 1 });
+        expect(orgToEng('JHN', 3, 16)).toEqual({ book: 'JHN', chapter: 3, verse: 16 });
+
+        const vulToLxx = createVerseMapper('vul', 'lxx');
+        expect(vulToLxx('PSA', 22, 1)).toEqual({ book: 'PSA', chapter: 22, verse: 1 });
+        expect(vulToLxx('MAL', 4, 5)).toEqual({ book: 'MAL', chapter: 3, verse: 22 });
+        expect(createVerseMapper('org', 'vul')('PSA', 23, 1)).toEqual({ book: 'PSA', chapter: 22, verse: 1 });
+    });
+
+    test('Unmapped comparisons flood with false issues', () => {
+        const result = checks(originalMalachi, englishMalachi, recipeChecks);
+
+        const missing = result.checks.find(c => c.name === 'chapterverse::missing_verses');
+        expect(missing.issues).toHaveLength(6);
+    });
+
+    test('Recipe versification aligns source and target verses', () => {
+        const recipe = { versification: { source: 'org', target: 'eng' }, checks: recipeChecks };
+        const result = checks(originalMalachi, englishMalachi, recipe);
+
+        expect(result.checks).toEqual([]);
+    });
+
+    test('Missing verses are reported in the target versification', () => {
+        const recipe = { versification: { source: 'org', target: 'eng' }, checks: recipeChecks };
+        const target = englishMalachi.replace(/\\v 5 .*\n/g, (line, offset) =>
+            offset > englishMalachi.indexOf('\\c 4') ? '' : line
+        );
+        const result = checks(originalMalachi, target, recipe);
+
+        const missing = result.checks.find(c => c.name === 'chapterverse::missing_verses');
+        expect(missing.issues).toHaveLength(1);
+        expect(missing.issues[0]).toMatchObject({
+            chapter: 4,
+            verse: 5,
+            source_verse: '3:23',
+            reference: 'MAL 4:5',
+            verse_text: verseText(23)
+        });
+    });
+
+    test('Show the mapped source verse of an issue in the HTML report', () => {
+        const recipe = { versification: { source: 'org', target: 'eng' }, checks: recipeChecks };
+        const target = englishMalachi.replace(verseText(19), 'Short.');
+        const report = checks(originalMalachi, target, recipe);
+
+        expect(report.checks[0].issues).toMatchObject([{ type: 'short', verse: '4:1', reference: 'MAL 4:1', source_reference: 'MAL 3:19' }]);
+        expect(formatReport(report, 'html', { source: originalMalachi, target }))
+            .toContain(`<td class="reference">4:1</td><td class="text">${verseText(19)}</td><td class="text">Short.</td>`);
+    });
+
+    test('Custom .vrs file', () => {
+        const vrs = [
+            '# Custom versification',
+            'MAL 3:18 4:6',
+            '-MAL 4:6',
+            'MAL 4:1-6 = MAL 3:19-24  # English-style Malachi'
+        ].join('\n');
+        const custom = parseVrs(vrs, 'mine');
+
+        expect(custom.lastChapter('MAL')).toBe(4);
+        expect(custom.lastVerse('MAL', 4)).toBe(6);
+        expect(custom.lastVerse('MAL', 1)).toBe(null);
+        expect(custom.hasVerse('MAL', 4, 5)).toBe(true);
+        expect(custom.hasVerse('MAL', 4, 6)).toBe(false);
+        expect(custom.hasVerse('GEN', 1, 1)).toBe(null);
+
+        const recipe = { versification: { source: 'org', target: { vrs } }, checks: recipeChecks };
+        expect(checks(originalMalachi, englishMalachi, recipe).checks).toEqual([]);
+    });
+
+    test('Invalid versification settings', () => {
+        expect(() => getVersification('kjv')).toThrow('Unknown versification "kjv"');
+        expect(() => parseVrs('MAL 3:18\nMAL 4:1 = MAL three')).toThrow('Invalid reference "MAL three" (line 2, column 11)');
+    });
+});